@@ -0,0 +1,144 @@
+/**
+ * Gateway TypeScript SDK - 鉴权令牌
+ *
+ * 每个请求 (包括 Reconnecter 的重订阅) 发送前向 tokenProvider 获取当前令牌并写入鉴权头部；
+ * 请求被判定为鉴权失败时刷新令牌并重试一次，并发的刷新合并为一次
+ */
+
+import { GatewayServerRejectedError } from './errors.js';
+
+/**
+ * 令牌提供者，返回当前令牌；forceRefresh 为 true 时应丢弃缓存重新获取
+ * 返回 null 或空字符串时请求不带鉴权头部
+ */
+export type TokenProvider = (context: { forceRefresh: boolean }) => string | null | Promise<string | null>;
+
+/**
+ * 一次请求的结果，用于判断是否鉴权失败
+ */
+export interface AuthCheck {
+  api: string;
+  reqId: string;
+  /** 原始响应字符串，请求失败时未设置 */
+  response?: string;
+  /** 请求失败时的错误 */
+  error?: unknown;
+}
+
+/**
+ * 鉴权配置
+ */
+export interface AuthOptions {
+  /** 鉴权头部名称 (默认: 'Authorization') */
+  header?: string;
+  /** 令牌前缀 (默认: 'Bearer')，空字符串表示直接使用令牌 */
+  scheme?: string;
+  /** 判断请求是否因鉴权失败被拒绝，默认按 errMsg 匹配 unauthorized / forbidden / token expired 等 */
+  isAuthRejected?: (check: AuthCheck) => boolean;
+}
+
+const AUTH_REJECTED_PATTERN = /unauthori[sz]ed|unauthenticated|forbidden|invalid[ _-]?token|token[ _-]?(expired|invalid)|expired[ _-]?token|\b40[13]\b/i;
+
+/**
+ * 默认的鉴权失败判断：响应或 GatewayServerRejectedError 中的 errMsg 匹配常见的鉴权失败信息
+ */
+export function isAuthRejectedByDefault(check: AuthCheck): boolean {
+  if (check.error instanceof GatewayServerRejectedError) {
+    return AUTH_REJECTED_PATTERN.test(check.error.errMsg);
+  }
+  if (check.response === undefined) {
+    return false;
+  }
+  try {
+    const errMsg = (JSON.parse(check.response) as { errMsg?: unknown } | null)?.errMsg;
+    return typeof errMsg === 'string' && AUTH_REJECTED_PATTERN.test(errMsg);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 令牌管理，由 GatewayClient 内部使用
+ */
+export class TokenManager {
+  private provider: TokenProvider;
+  private header: string;
+  private scheme: string;
+  private check: (check: AuthCheck) => boolean;
+  // 最近一次获取的令牌，用于判断鉴权失败时是否已被其他请求刷新
+  private latest: string | null = null;
+  private refreshing: Promise<string | null> | null = null;
+
+  constructor(provider: TokenProvider, options: AuthOptions = {}) {
+    this.provider = provider;
+    this.header = options.header || 'Authorization';
+    this.scheme = options.scheme ?? 'Bearer';
+    this.check = options.isAuthRejected || isAuthRejectedByDefault;
+  }
+
+  /**
+   * 鉴权头部名称
+   */
+  get headerName(): string {
+    return this.header;
+  }
+
+  /**
+   * 获取当前令牌，刷新进行中时等待刷新结果
+   */
+  async getToken(): Promise<string | null> {
+    if (this.refreshing) {
+      return this.refreshing;
+    }
+    this.latest = await this.provider({ forceRefresh: false });
+    return this.latest;
+  }
+
+  /**
+   * 刷新令牌；并发调用共享同一次刷新，令牌在 stale 之后已被刷新时直接返回新令牌
+   *
+   * @param stale - 被拒绝的请求使用的令牌
+   */
+  refresh(stale: string | null): Promise<string | null> {
+    if (this.refreshing) {
+      return this.refreshing;
+    }
+    if (this.latest !== stale) {
+      return Promise.resolve(this.latest);
+    }
+    const refreshing = Promise.resolve()
+      .then(() => this.provider({ forceRefresh: true }))
+      .then(
+        (token) => {
+          this.latest = token;
+          this.refreshing = null;
+          return token;
+        },
+        (error) => {
+          this.refreshing = null;
+          throw error;
+        }
+      );
+    this.refreshing = refreshing;
+    return refreshing;
+  }
+
+  /**
+   * 将令牌写入请求头部
+   */
+  apply(header: Map<string, string>, token: string | null): void {
+    if (token) {
+      header.set(this.header, this.scheme ? `${this.scheme} ${token}` : token);
+    } else {
+      header.delete(this.header);
+    }
+  }
+
+  isRejected(check: AuthCheck): boolean {
+    try {
+      return this.check(check);
+    } catch {
+      return false;
+    }
+  }
+}
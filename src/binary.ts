@@ -0,0 +1,81 @@
+/**
+ * Gateway TypeScript SDK - 二进制负载
+ *
+ * Uint8Array / ArrayBuffer / Blob 以 base64 编码后发送，X-Content-Type 头部标记内容类型；
+ * 观察者默认收到 base64 字符串，也可以选择以 Uint8Array 接收
+ */
+
+import { decodeBase64, encodeBase64, utf8Encode } from './encoding.js';
+import type { OnBinaryPushCallback, OnPushMessageCallback } from './types.js';
+
+/** 二进制内容类型头部，存在时内容为 base64 编码 */
+export const CONTENT_TYPE_HEADER = 'X-Content-Type';
+
+/** 未指定类型时使用的内容类型 */
+export const DEFAULT_BINARY_CONTENT_TYPE = 'application/octet-stream';
+
+/**
+ * 可发送的二进制内容 (Node.js 的 Buffer 也是 Uint8Array)
+ */
+export type BinaryPayload = Uint8Array | ArrayBuffer | Blob;
+
+/**
+ * 是否为二进制内容
+ */
+export function isBinaryPayload(data: unknown): data is BinaryPayload {
+  return data instanceof Uint8Array
+    || data instanceof ArrayBuffer
+    || (typeof Blob !== 'undefined' && data instanceof Blob);
+}
+
+/**
+ * 二进制内容编码为 base64，并设置 X-Content-Type 头部
+ *
+ * 已设置 X-Content-Type 时保留调用方的值，否则使用 Blob 的 type 或 application/octet-stream
+ */
+export async function encodeBinaryPayload(data: BinaryPayload, headers: Map<string, string>): Promise<string> {
+  let bytes: Uint8Array;
+  let type = '';
+  if (data instanceof Uint8Array) {
+    bytes = data;
+  } else if (data instanceof ArrayBuffer) {
+    bytes = new Uint8Array(data);
+  } else {
+    bytes = new Uint8Array(await data.arrayBuffer());
+    type = data.type;
+  }
+  if (!headers.has(CONTENT_TYPE_HEADER)) {
+    headers.set(CONTENT_TYPE_HEADER, type || DEFAULT_BINARY_CONTENT_TYPE);
+  }
+  return encodeBase64(bytes);
+}
+
+/**
+ * 推送内容是否为二进制 (base64 编码)
+ */
+export function isBinaryPush(headers: Map<string, string>): boolean {
+  return headers.has(CONTENT_TYPE_HEADER);
+}
+
+/**
+ * 取推送内容的字节：二进制推送解码 base64，文本推送按 UTF-8 编码
+ *
+ * @throws Error 二进制推送的内容不是合法的 base64
+ */
+export function payloadBytes(data: string, headers: Map<string, string>): Uint8Array {
+  return isBinaryPush(headers) ? decodeBase64(data) : utf8Encode(data);
+}
+
+/**
+ * 将以 Uint8Array 接收推送的回调包装为普通观察者回调，可用于 subscribePattern、subscribeMany 等
+ *
+ * @example
+ * ```typescript
+ * client.subscribePattern('camera:*', FRAMES, binaryObserver((cmd, bytes, header) => {
+ *   render(new Blob([bytes], { type: header.get(CONTENT_TYPE_HEADER) }));
+ * }));
+ * ```
+ */
+export function binaryObserver(callback: OnBinaryPushCallback): OnPushMessageCallback {
+  return (cmd, data, header, info) => callback(cmd, payloadBytes(data, header), header, info);
+}
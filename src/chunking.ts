@@ -0,0 +1,216 @@
+/**
+ * Gateway TypeScript SDK - 分块发送与重组
+ *
+ * 超过大小上限的发布内容拆分为多个分块依次发布，分块共享同一个消息 ID 并带有序号和总数；
+ * 接收方缓存分块 (允许乱序到达)，收齐后重组为一条消息分发。未收齐的消息超时后丢弃，缓存总量超出上限时丢弃最早的消息
+ */
+
+import { utf8Decode, utf8Encode } from './encoding.js';
+
+/** 分块所属消息的 ID */
+export const CHUNK_ID_HEADER = 'X-Chunk-Id';
+
+/** 分块序号，从 0 开始 */
+export const CHUNK_INDEX_HEADER = 'X-Chunk-Index';
+
+/** 消息的分块总数 */
+export const CHUNK_TOTAL_HEADER = 'X-Chunk-Total';
+
+/** 默认单个分块的内容上限 (UTF-8 字节) */
+export const DEFAULT_MAX_CHUNK_BYTES = 64 * 1024;
+
+// 单个分块的最小上限，保证能容纳任意 UTF-8 字符
+const MIN_CHUNK_BYTES = 16;
+
+/**
+ * 分块配置
+ */
+export interface ChunkingOptions {
+  /** 单个分块的内容上限 (UTF-8 字节，不含头部)，超过时拆分发布 (默认: 65536) */
+  maxChunkBytes?: number;
+  /** 未收齐的消息从收到第一个分块起的保留时间 (毫秒，默认: 30000) */
+  reassemblyTimeoutMs?: number;
+  /** 未收齐消息的缓存总量上限 (字节，默认: 16MB) */
+  maxPendingBytes?: number;
+  /** 单条消息允许的最大分块数 (默认: 10000) */
+  maxChunks?: number;
+}
+
+/**
+ * 重组完成的消息
+ */
+export interface ReassembledMessage {
+  data: string;
+  /** 第一个分块的头部 (已移除分块相关头部) */
+  headers: Map<string, string>;
+}
+
+/**
+ * 被丢弃的未完成消息
+ */
+export interface DroppedMessage {
+  cmd: string;
+  chunkId: string;
+  reason: 'timeout' | 'memory';
+  received: number;
+  total: number;
+}
+
+/**
+ * 按 UTF-8 字节数拆分内容，不会在多字节字符中间切分
+ */
+export function splitPayload(data: string, maxBytes: number): string[] {
+  const limit = Math.max(MIN_CHUNK_BYTES, maxBytes);
+  const bytes = utf8Encode(data);
+  if (bytes.length <= limit) {
+    return [data];
+  }
+  const parts: string[] = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + limit, bytes.length);
+    // 回退到字符边界 (UTF-8 后续字节为 10xxxxxx)
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) {
+      end--;
+    }
+    parts.push(utf8Decode(bytes.subarray(start, end)));
+    start = end;
+  }
+  return parts;
+}
+
+// 正在重组的消息
+interface PendingMessage {
+  cmd: string;
+  chunkId: string;
+  total: number;
+  chunks: Array<string | undefined>;
+  received: number;
+  bytes: number;
+  headers: Map<string, string> | null;
+  timer: ReturnType<typeof setTimeout>;
+}
+
+function parseCount(value: string | undefined): number {
+  return value !== undefined && /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+/**
+ * 分块重组，由 GatewayClient 内部使用
+ */
+export class ChunkReassembler {
+  private timeoutMs: number;
+  private maxPendingBytes: number;
+  private maxChunks: number;
+  private onDrop: (message: DroppedMessage) => void;
+  // 键为 `${cmd}\n${chunkId}`，按收到第一个分块的顺序排列
+  private pending: Map<string, PendingMessage> = new Map();
+  private pendingBytes: number = 0;
+
+  constructor(options: ChunkingOptions, onDrop: (message: DroppedMessage) => void) {
+    this.timeoutMs = options.reassemblyTimeoutMs ?? 30000;
+    this.maxPendingBytes = options.maxPendingBytes ?? 16 * 1024 * 1024;
+    this.maxChunks = options.maxChunks ?? 10000;
+    this.onDrop = onDrop;
+  }
+
+  /**
+   * 未收齐的消息数
+   */
+  get size(): number {
+    return this.pending.size;
+  }
+
+  /**
+   * 加入一个分块
+   *
+   * @returns 消息收齐时返回重组后的消息，否则返回 null
+   * @throws Error 分块头部无效或与同一消息的其他分块不一致
+   */
+  add(cmd: string, data: string, headers: Map<string, string>): ReassembledMessage | null {
+    const chunkId = headers.get(CHUNK_ID_HEADER) || '';
+    const index = parseCount(headers.get(CHUNK_INDEX_HEADER));
+    const total = parseCount(headers.get(CHUNK_TOTAL_HEADER));
+    if (!chunkId || !(total >= 1 && total <= this.maxChunks) || !(index < total)) {
+      throw new Error(`Invalid chunk headers (id: '${chunkId}', index: ${headers.get(CHUNK_INDEX_HEADER)}, total: ${headers.get(CHUNK_TOTAL_HEADER)})`);
+    }
+
+    const key = `${cmd}\n${chunkId}`;
+    let message = this.pending.get(key);
+    if (message && message.total !== total) {
+      throw new Error(`Chunk total ${total} does not match ${message.total} for message '${chunkId}'`);
+    }
+    if (!message) {
+      message = {
+        cmd,
+        chunkId,
+        total,
+        chunks: new Array(total),
+        received: 0,
+        bytes: 0,
+        headers: null,
+        timer: setTimeout(() => this.drop(key, 'timeout'), this.timeoutMs)
+      };
+      // 未收齐的消息不阻止 Node.js 进程退出
+      (message.timer as { unref?: () => void }).unref?.();
+      this.pending.set(key, message);
+    }
+
+    // 重复的分块忽略
+    if (message.chunks[index] === undefined) {
+      // 与 maxPendingBytes 一样按 UTF-8 字节计算
+      const bytes = utf8Encode(data).length;
+      message.chunks[index] = data;
+      message.received++;
+      message.bytes += bytes;
+      this.pendingBytes += bytes;
+      if (index === 0) {
+        message.headers = headers;
+      }
+    }
+
+    if (message.received === total) {
+      this.remove(key);
+      const merged = new Map(message.headers!);
+      merged.delete(CHUNK_ID_HEADER);
+      merged.delete(CHUNK_INDEX_HEADER);
+      merged.delete(CHUNK_TOTAL_HEADER);
+      return { data: message.chunks.join(''), headers: merged };
+    }
+
+    // 超出缓存上限时从最早的消息开始丢弃 (可能包括当前消息)
+    for (const [pendingKey] of this.pending) {
+      if (this.pendingBytes <= this.maxPendingBytes) {
+        break;
+      }
+      this.drop(pendingKey, 'memory');
+    }
+    return null;
+  }
+
+  /**
+   * 丢弃所有未完成的消息 (不触发 onDrop)
+   */
+  clear(): void {
+    this.pending.forEach((message) => clearTimeout(message.timer));
+    this.pending.clear();
+    this.pendingBytes = 0;
+  }
+
+  private remove(key: string): PendingMessage | undefined {
+    const message = this.pending.get(key);
+    if (message) {
+      clearTimeout(message.timer);
+      this.pending.delete(key);
+      this.pendingBytes -= message.bytes;
+    }
+    return message;
+  }
+
+  private drop(key: string, reason: DroppedMessage['reason']): void {
+    const message = this.remove(key);
+    if (message) {
+      this.onDrop({ cmd: message.cmd, chunkId: message.chunkId, reason, received: message.received, total: message.total });
+    }
+  }
+}
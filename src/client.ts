@@ -11,10 +11,80 @@
 
 import { Client, Result, StmError } from 'ts-streamclient';
 import { plainToClass, instanceToPlain } from 'class-transformer';
-import type { Logger } from 'ts-xutils';
 import { ConsoleLogger } from 'ts-xutils';
+import type { GatewayLogger } from './logger.js';
+import { LogLevel, SDKLogger, fromXLogger } from './logger.js';
+import type { StateChangeListener } from './state.js';
+import { ConnectionState, ConnectionStateMachine } from './state.js';
+import type { ReconnectPolicy } from './reconnect-policy.js';
+import { computeReconnectDelay, resolveReconnectPolicy } from './reconnect-policy.js';
+import type { ChannelPattern } from './pattern.js';
+import type { OutboxOptions } from './outbox.js';
+import { OfflineOutbox } from './outbox.js';
+import { compilePattern, patternKey } from './pattern.js';
+import type { StreamOptions } from './stream.js';
+import { ChannelStream } from './stream.js';
+import { HttpClient } from './http.js';
+import type { ClientStats, MetricsOptions } from './metrics.js';
+import { MetricsCollector } from './metrics.js';
+import type { TraceSpan, TracingOptions } from './tracing.js';
+import { GatewayTracing } from './tracing.js';
+import type { AuthOptions, TokenProvider } from './auth.js';
+import { TokenManager } from './auth.js';
+import type { FlowControlOptions, QueueStats } from './scheduler.js';
+import { RequestScheduler } from './scheduler.js';
+import type { BinaryPayload } from './binary.js';
+import { CONTENT_TYPE_HEADER, binaryObserver, encodeBinaryPayload } from './binary.js';
+import type { ChunkingOptions } from './chunking.js';
+import { CHUNK_ID_HEADER, CHUNK_INDEX_HEADER, CHUNK_TOTAL_HEADER, ChunkReassembler, DEFAULT_MAX_CHUNK_BYTES, splitPayload } from './chunking.js';
+import type { CompressionOptions } from './compression.js';
+import { compressPayload, decompressPayload } from './compression.js';
+import type { EncryptionOptions } from './encryption.js';
+import { ENCRYPTION_HEADER, KEY_ID_HEADER, PayloadCipher } from './encryption.js';
+import type { SigningOptions } from './signing.js';
+import { PayloadSigner, SIGNATURE_HEADER } from './signing.js';
+import type { ClientInterceptors, InterceptedResponse } from './interceptors.js';
+import {
+  createInterceptors,
+  runPushInterceptors,
+  runRequestInterceptors,
+  runResponseInterceptors
+} from './interceptors.js';
+import type { RpcHandler, RpcReply, RpcRequestOptions } from './rpc.js';
+import {
+  CORRELATION_ID_HEADER,
+  DEFAULT_RPC_TIMEOUT_MS,
+  PendingCalls,
+  REPLY_TO_HEADER,
+  RPC_EMPTY_HEADER,
+  RPC_EMPTY_PLACEHOLDER,
+  RPC_ERROR_HEADER
+} from './rpc.js';
+import {
+  GatewayAbortError,
+  GatewayAuthError,
+  GatewayDecodeError,
+  GatewayDuplicateObserverError,
+  GatewayEncryptionError,
+  GatewayError,
+  GatewayErrorCode,
+  GatewayInvalidHeaderError,
+  GatewayNotSubscribedError,
+  GatewayServerRejectedError,
+  GatewaySigningError,
+  GatewayTimeoutError,
+  GatewayTransportError
+} from './errors.js';
 import type {
-  OnPushMessageCallback
+  BulkResult,
+  ChannelResult,
+  OnBinaryPushCallback,
+  OnPushMessageCallback,
+  PushInfo,
+  RequestOptions,
+  SubscribeEntry,
+  SubscribeOptions,
+  UnsubscribeEntry
 } from './types.js';
 import {
   OnPushMessage,
@@ -32,22 +102,45 @@ import {
 // 请求 ID 头部字段名
 const X_REQ_ID = 'X-Req-Id';
 
+// 底层 Client.Send 的返回值: [响应, 错误]
+type SendResult = Awaited<ReturnType<Client['Send']>>;
+
+// 模式订阅：编译后的匹配器及其观察者
+interface PatternSubscription {
+  matcher: RegExp;
+  observers: Map<symbol, OnPushMessageCallback>;
+}
+
 
 /**
  * 自动重连器 - 处理连接断开后的重连和重订阅
  * 
  * 当连接断开时，自动尝试重新订阅所有之前订阅的频道
- * 使用指数退避策略，避免频繁重试
+ * 重试间隔、抖动和最大次数由 ReconnectPolicy 决定
  */
 class Reconnecter {
   private client: GatewayClient;
-  private logger: Logger;
+  private logger: SDKLogger;
+  private stateMachine: ConnectionStateMachine;
+  private policy: ReconnectPolicy;
+  private metrics: MetricsCollector;
   private retryTimer: NodeJS.Timeout | null = null;
   private isActive: boolean = true;
+  private inFlight: boolean = false;
+  private attempts: number = 0;
 
-  constructor(client: GatewayClient, logger: Logger) {
+  constructor(
+    client: GatewayClient,
+    logger: SDKLogger,
+    stateMachine: ConnectionStateMachine,
+    policy: ReconnectPolicy,
+    metrics: MetricsCollector
+  ) {
     this.client = client;
     this.logger = logger;
+    this.stateMachine = stateMachine;
+    this.policy = policy;
+    this.metrics = metrics;
   }
 
   /**
@@ -57,14 +150,35 @@ class Reconnecter {
     if (!this.isActive) {
       return;
     }
+    this.attempts = 0;
+    this.clearTimer();
     this.do();
   }
 
+  /**
+   * 立即重试，跳过当前等待
+   * 已放弃重连时重新开始计数
+   */
+  async retryNow(): Promise<void> {
+    if (!this.isActive) {
+      return;
+    }
+    if (this.stateMachine.state === ConnectionState.DISCONNECTED) {
+      this.attempts = 0;
+    }
+    this.clearTimer();
+    await this.do();
+  }
+
   /**
    * 停止重连过程
    */
   stop(): void {
     this.isActive = false;
+    this.clearTimer();
+  }
+
+  private clearTimer(): void {
     if (this.retryTimer) {
       clearTimeout(this.retryTimer);
       this.retryTimer = null;
@@ -73,54 +187,144 @@ class Reconnecter {
 
   /**
    * 执行重连逻辑
-   * 使用5秒固定间隔重试，避免指数退避导致的长时间等待
+   * 失败后按策略计算等待时间重试，超过最大次数后放弃
    */
   private async do(): Promise<void> {
-    if (!this.isActive) {
+    if (!this.isActive || this.inFlight) {
       return;
     }
 
     const cmdsToResubscribe = this.client.getSubscribedCommands();
     if (cmdsToResubscribe.length === 0) {
-      this.logger.w.debug(this.logger.f.Debug('Gateway', `Reconnecter: no subscriptions to restore`));
+      this.logger.debug('Reconnecter: no subscriptions to restore');
+      // 没有需要恢复的订阅，连接将在下一次请求时按需建立
+      this.stateMachine.transition(ConnectionState.IDLE, 'recovered without subscriptions');
       return;
     }
 
+    // 生成请求ID用于日志追踪
+    const headers = new Map<string, string>();
+    const reqId = this.client.getNextReqId();
+    headers.set(X_REQ_ID, reqId);
+
+    this.attempts++;
+    this.metrics.recordReconnect('attempt');
+    this.inFlight = true;
+    this.stateMachine.transition(ConnectionState.RESUBSCRIBING, `resubscribing ${cmdsToResubscribe.length} commands`);
+
     try {
-      this.logger.w.info(this.logger.f.Info('Gateway', `Reconnecter: attempting to resubscribe ${cmdsToResubscribe.length} commands`));
+      this.logger.info(`Reconnecter: attempting to resubscribe ${cmdsToResubscribe.length} commands`, { reqId, cmd: cmdsToResubscribe.join(','), attempt: this.attempts });
       
       const request = new SubscribeRequest();
       request.cmd = cmdsToResubscribe;
       
-      // 生成请求ID用于日志追踪
-      const headers = new Map<string, string>();
-      const reqId = this.client.getNextReqId();
-      headers.set(X_REQ_ID, reqId);
-      
-      await this.client.send(`${this.client.getRootUri()}/Subscribe`, request, SubscribeResponse, headers);
+      const api = `${this.client.getRootUri()}/Subscribe`;
+      const response = await this.client.send(api, request, SubscribeResponse, headers);
+      // 服务器返回 errMsg 时订阅未恢复，按失败重试
+      if (response.errMsg) {
+        throw new GatewayServerRejectedError(api, reqId, response.errMsg);
+      }
       
-      this.logger.w.info(this.logger.f.Info('Gateway', `Reconnecter: resubscribed successfully`));
+      this.logger.info('Reconnecter: resubscribed successfully', { reqId, attempt: this.attempts });
+      this.metrics.recordReconnect('success');
+      this.attempts = 0;
+      this.stateMachine.transition(ConnectionState.CONNECTED, 'resubscribe succeeded');
       
       // 成功重连，清除重试定时器
-      if (this.retryTimer) {
-        clearTimeout(this.retryTimer);
-        this.retryTimer = null;
-      }
+      this.clearTimer();
       
     } catch (error) {
-      this.logger.w.error(this.logger.f.Error('Gateway', `Reconnecter: failed - ${error}`));
-      
-      if (this.isActive) {
-        this.logger.w.info(this.logger.f.Info('Gateway', `Reconnecter: will retry in 5s`));
-        this.retryTimer = setTimeout(() => {
-          this.do();
-        }, 5000);
+      this.logger.error('Reconnecter: failed', { reqId, error, attempt: this.attempts });
+      this.metrics.recordReconnect('failure');
+
+      if (!this.isActive) {
+        return;
+      }
+
+      if (this.attempts >= this.policy.maxAttempts) {
+        this.giveUp(error);
+        return;
+      }
+
+      this.stateMachine.transition(ConnectionState.RECONNECTING, 'resubscribe failed', error);
+      const delay = computeReconnectDelay(this.policy, this.attempts);
+      this.logger.info(`Reconnecter: will retry in ${delay}ms`, { reqId, attempt: this.attempts });
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        this.do();
+      }, delay);
+    } finally {
+      this.inFlight = false;
+    }
+  }
+
+  /**
+   * 超过最大尝试次数，放弃重连
+   */
+  private giveUp(lastError: unknown): void {
+    const attempts = this.attempts;
+    this.logger.warn(`Reconnecter: giving up after ${attempts} attempts`, { error: lastError });
+    this.metrics.recordReconnect('giveUp');
+    this.stateMachine.transition(ConnectionState.DISCONNECTED, `gave up after ${attempts} attempts`, lastError);
+    
+    if (this.policy.onGiveUp) {
+      try {
+        this.policy.onGiveUp({ attempts, lastError });
+      } catch (error) {
+        this.logger.error('Reconnecter: onGiveUp callback failed', { error });
       }
     }
   }
 }
 
 
+/**
+ * GatewayClient 可选配置
+ */
+export interface GatewayClientOptions {
+  /** 自定义日志实现，默认输出到 ts-xutils ConsoleLogger，可传入 NoopLogger 关闭日志 */
+  logger?: GatewayLogger;
+  /** 最低日志级别 (默认: LogLevel.DEBUG) */
+  logLevel?: LogLevel;
+  /** 断线重连策略，未设置的字段使用默认值 (5 秒固定间隔，无限重试) */
+  reconnectPolicy?: Partial<ReconnectPolicy>;
+  /** 所有请求的默认超时时间 (毫秒)，可被单次请求的 timeoutMs 覆盖，未设置时不超时 */
+  defaultTimeoutMs?: number;
+  /** 响应中 errMsg 非空时以 GatewayServerRejectedError 拒绝 (默认: false)，可被单次请求覆盖 */
+  throwOnErrMsg?: boolean;
+  /** 开启离线发件箱：断线期间的 publish 暂存，重订阅完成后按顺序补发 (默认: 关闭) */
+  outbox?: OutboxOptions | boolean;
+  /** 指标配置：延迟分桶及定期回调 (onMetrics + intervalMs)，getStats() 始终可用 */
+  metrics?: MetricsOptions;
+  /** 分布式追踪：传入 OpenTelemetry 兼容的 tracer，请求注入 traceparent/tracestate，推送在关联 span 中分发 */
+  tracing?: TracingOptions;
+  /** 鉴权令牌提供者：每个请求 (包括重订阅) 前调用，结果写入 Authorization 头部；鉴权失败时刷新并重试一次 */
+  tokenProvider?: TokenProvider;
+  /** 鉴权头部名称、令牌前缀及鉴权失败判断，配合 tokenProvider 使用 */
+  auth?: AuthOptions;
+  /** 发送流量控制：最大并发、有界队列及溢出策略、按频道限速 (默认: 关闭)，控制请求优先于发布 */
+  flowControl?: FlowControlOptions | boolean;
+  /** 压缩超过阈值的发布内容 (默认: 关闭)；收到的压缩推送总是自动解压 */
+  compression?: CompressionOptions | boolean;
+  /** 私有频道端到端加密 (默认: 关闭)：发布时以 keyProvider 提供的密钥 AES-GCM 加密，推送在分发前解密 */
+  encryption?: EncryptionOptions;
+  /** 发布签名与推送验证 (默认: 关闭)：HMAC-SHA256 或 Ed25519，按频道策略处理未签名或签名无效的推送 */
+  signing?: SigningOptions;
+  /** 超过大小上限的发布内容拆分为多个分块发布 (默认: 关闭)；收到的分块总是自动重组，超时和缓存上限同样取自该配置 */
+  chunking?: ChunkingOptions | boolean;
+}
+
+// 流量控制中优先出队的控制请求
+const CONTROL_APIS = new Set(['Subscribe', 'Unsubscribe', 'Ping']);
+
+// 视为离线的连接状态，此时 publish 进入发件箱
+const OFFLINE_STATES = new Set<ConnectionState>([
+  ConnectionState.RECONNECTING,
+  ConnectionState.RESUBSCRIBING,
+  ConnectionState.DISCONNECTED
+]);
+
+
 /**
  * Gateway 主客户端类
  * 
@@ -135,9 +339,12 @@ export class GatewayClient {
   // 观察者回调映射：频道名 -> (观察者ID -> 回调函数)
   // 支持同一频道被多个组件订阅，每个组件用 Symbol 标识
   private callbacks: Map<string, Map<symbol, OnPushMessageCallback>> = new Map();
+
+  // 模式观察者映射：模式键 -> 模式订阅，仅在客户端分发时使用，不向服务器订阅
+  private patternCallbacks: Map<string, PatternSubscription> = new Map();
   
-  // 客户端日志记录器，使用固定的客户端ID
-  private logger: Logger;
+  // 客户端日志记录器，Reconnecter 与推送/断线处理共享同一实例
+  private logger: SDKLogger;
   private clientId: string;
   
   // API 根路径，默认为 "API"，可通过 setRootUri 修改
@@ -145,6 +352,86 @@ export class GatewayClient {
   
   // 自动重连器，处理连接断开后的重连和重订阅
   private reconnecter: Reconnecter;
+
+  // 连接状态机，与 Reconnecter 共享
+  private stateMachine: ConnectionStateMachine;
+
+  // 断线重连策略，决定是否恢复连接以及重订阅的重试节奏
+  private reconnectPolicy: ReconnectPolicy;
+
+  // 请求默认超时时间 (毫秒)，0 表示不超时
+  private defaultTimeoutMs: number;
+
+  // 是否将响应中的 errMsg 视为失败
+  private throwOnErrMsg: boolean;
+
+  // 离线发件箱，未开启时为 null
+  private outbox: OfflineOutbox | null = null;
+
+  // 指标收集器，与 Reconnecter 共享
+  private metrics: MetricsCollector;
+
+  // 定期指标回调的定时器，未配置时为 null
+  private metricsTimer: ReturnType<typeof setInterval> | null = null;
+
+  // 分布式追踪，未配置时为 null
+  private tracing: GatewayTracing | null = null;
+
+  /**
+   * 请求/响应/推送拦截器，按注册顺序执行，可在运行时添加和移除
+   *
+   * @example
+   * ```typescript
+   * const remove = client.interceptors.request.use(async (req) => {
+   *   req.headers.set('Authorization', `Bearer ${await getToken()}`);
+   * });
+   * client.interceptors.push.use((push) => (push.cmd.startsWith('debug.') ? null : push));
+   *
+   * remove();
+   * ```
+   */
+  public readonly interceptors: ClientInterceptors = createInterceptors();
+
+  // 鉴权令牌管理，未配置 tokenProvider 时为 null
+  private tokens: TokenManager | null = null;
+
+  // 发送流量控制，未开启时为 null
+  private scheduler: RequestScheduler | null = null;
+
+  // 发布压缩配置，未开启时为 null
+  private compression: CompressionOptions | null = null;
+
+  // 私有频道加解密，未开启时为 null
+  private cipher: PayloadCipher | null = null;
+
+  // 发布签名与推送验证，未开启时为 null
+  private signer: PayloadSigner | null = null;
+
+  // 发布分块配置，未开启时为 null
+  private chunking: ChunkingOptions | null = null;
+
+  // 推送分块重组
+  private reassembler: ChunkReassembler;
+
+  // 推送处理队列，保证按到达顺序分发
+  private pushChain: Promise<void> = Promise.resolve();
+
+  /**
+   * HTTP 代理客户端，通过 `{rootUri}/Proxy` 转发请求
+   *
+   * @example
+   * ```typescript
+   * const { body } = await client.http.get<User[]>('https://api.example.com/users', { query: { page: 1 } });
+   * ```
+   */
+  public readonly http: HttpClient = new HttpClient(this);
+
+  // 等待回复的 RPC 请求，按关联ID匹配
+  private pendingCalls: PendingCalls = new PendingCalls();
+
+  // 回复频道 (@client:{clientId}) 的订阅，首次 request 时建立
+  private replyChannelReady: Promise<unknown> | null = null;
+  private readonly replyObserver: symbol = Symbol('rpc-reply');
   
   // 全局请求序列号，用于生成唯一请求ID
   private static globalSeqId: number = 0;
@@ -185,6 +472,67 @@ export class GatewayClient {
     return Array.from(this.callbacks.keys());
   }
 
+  /**
+   * 获取频道的观察者数量
+   *
+   * @param cmd - 频道名称，未设置时返回所有频道的观察者总数
+   * @returns 精确订阅的观察者数量 (不含模式观察者)
+   */
+  public getObserverCount(cmd?: string): number {
+    if (cmd !== undefined) {
+      return this.callbacks.get(cmd)?.size ?? 0;
+    }
+    let total = 0;
+    this.callbacks.forEach((observers) => {
+      total += observers.size;
+    });
+    return total;
+  }
+
+  /**
+   * 获取客户端统计快照
+   *
+   * 包括按 API 的请求数、错误数和延迟直方图，按频道的推送数，无观察者的推送、观察者异常，
+   * 重连尝试及结果，以及当前的订阅规模。可用 formatPrometheus / formatStatsd 导出
+   *
+   * @example
+   * ```typescript
+   * const stats = client.getStats();
+   * console.log(stats.api['API/Publish']?.errors, stats.push.unobserved);
+   * ```
+   */
+  public getStats(): ClientStats {
+    let patternObservers = 0;
+    this.patternCallbacks.forEach((entry) => {
+      patternObservers += entry.observers.size;
+    });
+    return this.metrics.snapshot({
+      clientId: this.clientId,
+      state: this.stateMachine.state,
+      queue: this.getQueueStats(),
+      subscriptions: {
+        channels: this.callbacks.size,
+        observers: this.getObserverCount(),
+        patternObservers
+      }
+    });
+  }
+
+  /**
+   * 获取发送队列状态
+   *
+   * @returns 并发数、队列深度、等待入队数和等待限速的发布数，未开启流量控制时为 null
+   */
+  public getQueueStats(): QueueStats | null {
+    return this.scheduler?.stats ?? null;
+  }
+
+  /**
+   * 清零统计计数 (订阅规模为实时值，不受影响)
+   */
+  public resetStats(): void {
+    this.metrics.reset();
+  }
 
   /**
    * 停止客户端和清理资源
@@ -195,14 +543,100 @@ export class GatewayClient {
    * ```
    */
   public destroy(): void {
-    this.logger.w.info(this.logger.f.Info('Gateway', `Client destroyed`));
+    this.logger.info('Client destroyed');
     this.reconnecter.stop();
+    if (this.metricsTimer) {
+      clearInterval(this.metricsTimer);
+      this.metricsTimer = null;
+    }
     this.callbacks.clear();
+    this.patternCallbacks.clear();
+    this.outbox?.close();
+    this.reassembler.clear();
+    this.pendingCalls.rejectAll((api, correlationId) => new GatewayAbortError(api, correlationId, 'client destroyed'));
+    this.scheduler?.rejectAll((api, reqId) => new GatewayAbortError(api, reqId, 'client destroyed'));
+    this.replyChannelReady = null;
+    this.stateMachine.transition(ConnectionState.CLOSED, 'client destroyed');
+    this.stateMachine.clear();
   }
 
   /**
-   * 生成唯一请求 ID
+   * 当前连接状态
+   * 
+   * @example
+   * ```typescript
+   * if (client.state === ConnectionState.CONNECTED) {
+   *   showOnlineBadge();
+   * }
+   * ```
+   */
+  public get state(): ConnectionState {
+    return this.stateMachine.state;
+  }
+
+  /**
+   * 监听连接状态变化
+   * 
+   * 每次状态迁移都会触发，包括断线、重订阅开始、重订阅成功/失败以及客户端销毁
+   * 
+   * @param listener - 状态迁移回调
+   * @returns 取消监听的函数
    * 
+   * @example
+   * ```typescript
+   * const off = client.onStateChange(({ previous, current, reason }) => {
+   *   console.log(`${previous} -> ${current}: ${reason}`);
+   * });
+   * 
+   * // 不再需要时取消监听
+   * off();
+   * ```
+   */
+  public onStateChange(listener: StateChangeListener): () => void {
+    return this.stateMachine.onChange(listener);
+  }
+
+  /**
+   * 立即重试重订阅，跳过重连策略的等待时间
+   * 
+   * 已因超过最大次数放弃重连 (DISCONNECTED) 时会重新开始计数
+   * 
+   * @example
+   * ```typescript
+   * // 用户点击"重新连接"按钮
+   * await client.reconnectNow();
+   * ```
+   */
+  public async reconnectNow(): Promise<void> {
+    if (this.stateMachine.state === ConnectionState.DISCONNECTED) {
+      try {
+        await this.client.Recover();
+      } catch (error) {
+        this.logger.error('Connection recover failed', { error });
+      }
+    }
+    await this.reconnecter.retryNow();
+  }
+
+  /**
+   * 获取客户端ID
+   *
+   * @returns 4 位客户端ID，私有频道 `@client:{clientId}` 以此命名
+   */
+  public getClientId(): string {
+    return this.clientId;
+  }
+
+  /**
+   * 获取客户端的日志器，供 Presence 等基于客户端的组件输出日志
+   */
+  public getLogger(): SDKLogger {
+    return this.logger;
+  }
+
+  /**
+   * 生成唯一请求 ID
+   *
    * @returns 格式: {random}-{clientId}-{sequence}-{timestamp}
    * 
    * @example
@@ -232,10 +666,11 @@ export class GatewayClient {
    * 
    * @param client - 底层 WebSocket 客户端
    * @param clientId - 客户端ID，必须为4位字符，用于请求追踪和日志关联
+   * @param options - 可选客户端配置 (日志等)
    * 
    * @throws Error 当 clientId 长度不为4时抛出错误
    */
-  constructor(client: Client, clientId: string = '0000') {
+  constructor(client: Client, clientId: string = '0000', options: GatewayClientOptions = {}) {
     this.client = client;
     
     // 验证客户端ID格式：必须为4位字符
@@ -244,94 +679,291 @@ export class GatewayClient {
     }
     
     this.clientId = clientId;
-    this.logger = ConsoleLogger;
+    this.logger = new SDKLogger(options.logger || fromXLogger(ConsoleLogger), options.logLevel ?? LogLevel.DEBUG);
+    this.defaultTimeoutMs = options.defaultTimeoutMs ?? 0;
+    this.throwOnErrMsg = options.throwOnErrMsg ?? false;
+    if (options.tracing) {
+      this.tracing = new GatewayTracing(options.tracing, clientId);
+    }
+    if (options.tokenProvider) {
+      this.tokens = new TokenManager(options.tokenProvider, options.auth);
+    }
+    if (options.flowControl) {
+      this.scheduler = new RequestScheduler(options.flowControl === true ? {} : options.flowControl);
+    }
+    if (options.compression) {
+      this.compression = options.compression === true ? {} : options.compression;
+    }
+    if (options.encryption) {
+      this.cipher = new PayloadCipher(options.encryption);
+    }
+    if (options.signing) {
+      this.signer = new PayloadSigner(options.signing);
+    }
+    if (options.chunking) {
+      this.chunking = options.chunking === true ? {} : options.chunking;
+    }
+    this.reassembler = new ChunkReassembler(this.chunking || {}, (message) => {
+      this.logger.warn('Incomplete chunked message dropped', { ...message });
+      this.metrics.recordInvalidPush();
+    });
     
-    // 初始化自动重连器
-    this.reconnecter = new Reconnecter(this, this.logger);
-
-    // 设置推送消息处理器
-    this.client.onPush = async (res: Result) => {
-      // 调试：打印原始数据
-      const rawData = res.toString();
-      this.logger.w.debug(this.logger.f.Debug('Gateway', `Raw push data: ${rawData}`));
-      
-      // 使用 class-transformer 解析JSON
-      let pushData: OnPushMessage;
-      try {
-        const jsonData = JSON.parse(rawData);
-        pushData = plainToClass(OnPushMessage, jsonData);
-      } catch (err) {
-        this.logger.w.error(this.logger.f.Error('Gateway', `Push message parse failed: ${err}`));
-        this.logger.w.error(this.logger.f.Error('Gateway', `Raw data was: ${rawData}`));
-        return;
-      }
-      
-      if (!pushData.cmd || !pushData.data) {
-        this.logger.w.error(this.logger.f.Error('Gateway', `Push message parse failed: invalid message format`));
-        this.logger.w.error(this.logger.f.Error('Gateway', `Raw data was: ${rawData}`));
-        return;
-      }
-      
-      // 调试：打印解析后的数据
-      this.logger.w.debug(this.logger.f.Debug('Gateway', `Parsed push message: cmd=${pushData.cmd}, data=${pushData.data}, header=${JSON.stringify(pushData.header)}`));
-
-      // 头部信息转换为Map格式
-      const headerMap = getHeaderMap(pushData.header || {});
+    // 初始化连接状态机和自动重连器
+    this.stateMachine = new ConnectionStateMachine(this.logger);
+    this.reconnectPolicy = resolveReconnectPolicy(options.reconnectPolicy);
+    this.metrics = new MetricsCollector(options.metrics?.latencyBuckets, options.metrics?.maxChannels);
+    this.reconnecter = new Reconnecter(this, this.logger, this.stateMachine, this.reconnectPolicy, this.metrics);
 
-      // 根据请求ID创建专用日志记录器
-      const reqId = headerMap.get('X-Req-Id') || '';
-      const logger = this.logger;
-      
-      // 检查是否缺少必需的追踪字段
-      if (!reqId) {
-        this.logger.w.warn(this.logger.f.Warn('Gateway', `Received push without X-Req-Id - cmd: ${pushData.cmd}, data: ${pushData.data}`));
-      } else {
-        logger.w.debug(logger.f.Debug('Gateway', `Received push - cmd: ${pushData.cmd}, data: ${pushData.data}`));
-      }
-
-      // 分发给所有订阅该频道的观察者
-      const cmdCallbacks = this.callbacks.get(pushData.cmd);
-      if (!cmdCallbacks || cmdCallbacks.size === 0) {
-        logger.w.warn(logger.f.Warn('Gateway', `No observers found for push command: ${pushData.cmd}`));
-        return;
-      }
-
-      logger.w.debug(logger.f.Debug('Gateway', `Dispatching push message to ${cmdCallbacks.size} observers for cmd: ${pushData.cmd}`));
-      
-      // 并发调用所有回调，避免阻塞
-      const callbackPromises = Array.from(cmdCallbacks.entries()).map(async ([observerId, callback]) => {
+    // 定期上报指标
+    const onMetrics = options.metrics?.onMetrics;
+    if (onMetrics && options.metrics?.intervalMs) {
+      this.metricsTimer = setInterval(() => {
         try {
-          callback(pushData.cmd, pushData.data, headerMap);
-          logger.w.debug(logger.f.Debug('Gateway', `Observer '${observerId.description || 'anonymous'}' handled push message for cmd: ${pushData.cmd}`));
+          onMetrics(this.getStats());
         } catch (error) {
-          logger.w.error(logger.f.Error('Gateway', `Observer '${observerId.description || 'anonymous'}' failed to handle push message for cmd: ${pushData.cmd}: ${error}`));
+          this.logger.error('Metrics callback failed', { error });
+        }
+      }, options.metrics.intervalMs);
+    }
+
+    // 初始化离线发件箱：从离线状态恢复 (重订阅完成或无需重订阅) 后补发
+    if (options.outbox) {
+      this.outbox = new OfflineOutbox(options.outbox === true ? {} : options.outbox, this.logger);
+      this.stateMachine.onChange(({ previous, current }) => {
+        if (OFFLINE_STATES.has(previous) && !OFFLINE_STATES.has(current)) {
+          this.flushOutbox();
         }
       });
-      
-      await Promise.allSettled(callbackPromises);
+      // 上次未发出的消息在恢复后尽快补发
+      this.outbox.ready.then(() => {
+        if (!OFFLINE_STATES.has(this.stateMachine.state)) {
+          this.flushOutbox();
+        }
+      });
+    }
+
+    // 设置推送消息处理器
+    this.client.onPush = async (res: Result) => {
+      await this.handlePush(res);
     };
 
     // 设置连接断开处理器
     this.client.onPeerClosed = async (err: StmError) => {
-      const timestamp = new Date().toISOString();
-      this.logger.w.warn(this.logger.f.Warn('Gateway', `Connection lost at ${timestamp}: ${err}`));
+      this.logger.warn('Connection lost', { error: err });
+      this.stateMachine.transition(ConnectionState.RECONNECTING, 'connection lost', err);
       
       // 分析错误代码，提供调试信息
       if (err.toString().includes('1006')) {
-        this.logger.w.warn(this.logger.f.Warn('Gateway', `1006: Abnormal connection closure - possible network/proxy issue`));
+        this.logger.warn('1006: Abnormal connection closure - possible network/proxy issue');
       } else if (err.toString().includes('1001')) {
-        this.logger.w.warn(this.logger.f.Warn('Gateway', `1001: Server endpoint going down`));
+        this.logger.warn('1001: Server endpoint going down');
       } else if (err.toString().includes('timeout')) {
-        this.logger.w.warn(this.logger.f.Warn('Gateway', `Timeout: Connection timed out`));
+        this.logger.warn('Timeout: Connection timed out');
+      }
+
+      // 由重连策略决定是否恢复连接
+      if (this.reconnectPolicy.shouldRecover && !this.reconnectPolicy.shouldRecover(err)) {
+        this.logger.warn('Recovery skipped by reconnect policy', { error: err });
+        this.stateMachine.transition(ConnectionState.DISCONNECTED, 'recovery disabled by reconnect policy', err);
+        return;
       }
-      
       
       // 尝试恢复连接
-      await this.client.Recover()
+      try {
+        await this.client.Recover();
+      } catch (error) {
+        // 恢复失败时交给 Reconnecter 按策略重试
+        this.logger.error('Connection recover failed', { error });
+      }
       
       // 启动重连和重订阅流程
       this.reconnecter.start();
+    };
+  }
+
+  /**
+   * 推送消息处理
+   *
+   * 推送按到达顺序依次处理，解压、拦截器等异步步骤不会让后到的消息先于先到的消息分发
+   */
+  private handlePush(res: Result): Promise<void> {
+    const processed = this.pushChain.then(() => this.processPush(res));
+    this.pushChain = processed.catch(() => undefined);
+    return processed;
+  }
+
+  /**
+   * 处理单条推送
+   * 
+   * 解析推送消息，分发给该频道的精确观察者和所有匹配的模式观察者
+   */
+  private async processPush(res: Result): Promise<void> {
+    // 调试：打印原始数据
+    const rawData = res.toString();
+    this.logger.debug('Raw push data', { raw: rawData });
+    
+    // 使用 class-transformer 解析JSON
+    let pushData: OnPushMessage;
+    try {
+      const jsonData = JSON.parse(rawData);
+      pushData = plainToClass(OnPushMessage, jsonData);
+    } catch (err) {
+      this.logger.error('Push message parse failed', { error: err, raw: rawData });
+      this.metrics.recordInvalidPush();
+      return;
+    }
+    
+    // 头部信息转换为Map格式
+    let headerMap = getHeaderMap(pushData.header || {});
+
+    // 二进制推送 (X-Content-Type) 允许空内容
+    const hasData = !!pushData.data || (pushData.data === '' && headerMap.has(CONTENT_TYPE_HEADER));
+    if (!pushData.cmd || !hasData) {
+      this.logger.error('Push message parse failed: invalid message format', { raw: rawData });
+      this.metrics.recordInvalidPush();
+      return;
+    }
+
+    // 推送日志统一带上频道和请求ID
+    const reqId = headerMap.get(X_REQ_ID) || undefined;
+    let cmd = pushData.cmd;
+    let data = pushData.data;
+    const logger = this.logger;
+
+    // 检查是否缺少必需的追踪字段
+    if (!reqId) {
+      logger.warn('Received push without X-Req-Id', { cmd, data: pushData.data });
+    } else {
+      logger.debug('Received push', { cmd, reqId, data: pushData.data, header: JSON.stringify(pushData.header) });
+    }
+
+    // 分块缓存到收齐为止，重组后作为一条消息继续处理
+    if (headerMap.has(CHUNK_ID_HEADER)) {
+      let message: ReturnType<ChunkReassembler['add']>;
+      try {
+        message = this.reassembler.add(cmd, data, headerMap);
+      } catch (error) {
+        logger.error('Invalid message chunk dropped', { cmd, reqId, error });
+        this.metrics.recordInvalidPush();
+        return;
+      }
+      if (!message) {
+        logger.debug('Buffered message chunk', { cmd, reqId, chunkId: headerMap.get(CHUNK_ID_HEADER) });
+        return;
+      }
+      ({ data, headers: headerMap } = message);
+    }
+
+    // 验证签名 (针对收到的原始内容)，按频道策略处理未签名或签名无效的推送
+    let verified = false;
+    if (this.signer) {
+      const result = await this.signer.check(cmd, data, headerMap);
+      verified = result === 'valid';
+      const policy = verified ? 'deliver' : this.signer.policyFor(cmd);
+      if (policy === 'drop') {
+        logger.warn(`Push signature ${result}, message dropped`, { cmd, reqId });
+        this.metrics.recordInvalidPush();
+        return;
+      }
+      if (policy === 'flag') {
+        logger.warn(`Push signature ${result}, delivering as unverified`, { cmd, reqId });
+      }
+    }
+
+    // 还原发布方编码的内容 (解密、解压)
+    try {
+      data = await this.decodePayload(cmd, data, headerMap);
+    } catch (error) {
+      logger.error('Push payload could not be decoded, message dropped', { cmd, reqId, error });
+      this.metrics.recordInvalidPush();
+      if (error instanceof GatewayEncryptionError) {
+        this.cipher?.reportDecryptError(error, { cmd, data, headers: headerMap });
+      }
+      return;
+    }
+
+    // 推送拦截器可以修改或丢弃消息
+    if (this.interceptors.push.size > 0) {
+      let push: Awaited<ReturnType<typeof runPushInterceptors>>;
+      try {
+        push = await runPushInterceptors(this.interceptors.push, { cmd, data, headers: headerMap }, reqId || '');
+      } catch (error) {
+        logger.error('Push interceptor failed, message dropped', { cmd, reqId, error });
+        return;
+      }
+      if (!push) {
+        logger.debug('Push dropped by interceptor', { cmd, reqId });
+        return;
+      }
+      ({ cmd, data, headers: headerMap } = push);
+    }
+
+    // 分发给所有订阅该频道的观察者 (精确订阅 + 模式订阅)
+    const observers = this.collectObservers(cmd);
+    this.metrics.recordPush(cmd, observers.length);
+    if (observers.length === 0) {
+      logger.warn('No observers found for push command', { cmd, reqId });
+      return;
+    }
+
+    logger.debug(`Dispatching push message to ${observers.length} observers`, { cmd, reqId });
+
+    // 推送携带 traceparent 时，观察者在关联到发布方 span 的消费 span 中执行
+    const span = this.tracing?.startPush(cmd, reqId, headerMap, observers.length);
+    const info: PushInfo = { verified };
+    
+    // 并发调用所有回调，避免阻塞
+    const callbackPromises = observers.map(async ([observerId, callback]) => {
+      const observer = observerId.description || 'anonymous';
+      try {
+        if (span) {
+          this.tracing!.run(span, () => callback(cmd, data, headerMap, info));
+        } else {
+          callback(cmd, data, headerMap, info);
+        }
+        logger.debug('Observer handled push message', { cmd, reqId, observer });
+      } catch (error) {
+        logger.error('Observer failed to handle push message', { cmd, reqId, observer, error });
+        this.metrics.recordObserverError();
+        span?.recordException(error);
+      }
+    });
+    
+    await Promise.allSettled(callbackPromises);
+    span?.end();
+  }
+
+  /**
+   * 收集频道的所有观察者
+   * 
+   * 精确订阅优先，其后按注册顺序追加匹配的模式订阅；
+   * 同一观察者只会收到一次推送
+   */
+  private collectObservers(cmd: string): Array<[symbol, OnPushMessageCallback]> {
+    const observers: Array<[symbol, OnPushMessageCallback]> = [];
+    const seen = new Set<symbol>();
+    
+    const exact = this.callbacks.get(cmd);
+    if (exact) {
+      for (const [observer, callback] of exact) {
+        seen.add(observer);
+        observers.push([observer, callback]);
+      }
+    }
+    
+    for (const entry of this.patternCallbacks.values()) {
+      if (!entry.matcher.test(cmd)) {
+        continue;
+      }
+      for (const [observer, callback] of entry.observers) {
+        if (!seen.has(observer)) {
+          seen.add(observer);
+          observers.push([observer, callback]);
+        }
+      }
     }
+    
+    return observers;
   }
 
   /**
@@ -339,8 +971,9 @@ export class GatewayClient {
    * 
    * @param cmd - 频道名称
    * @param observer - 观察者标识符 (Symbol)
-   * @param callback - 消息回调函数
+   * @param callback - 消息回调函数，options.binary 为 true 时以 Uint8Array 接收内容
    * @param headers - 可选请求头部
+   * @param options - 可选订阅配置 (超时、取消信号、二进制接收)，失败时回滚本地订阅
    * 
    * @example
    * ```typescript
@@ -353,11 +986,35 @@ export class GatewayClient {
    * 
    * // 精确取消订阅
    * await client.unsubscribe('notifications', NAVBAR);
+   * 
+   * // 以 Uint8Array 接收二进制推送
+   * await client.subscribe('camera:1', Symbol('frames'), (cmd, bytes) => decode(bytes), undefined, { binary: true });
    * ```
    */
-  async subscribe(cmd: string, observer: symbol, callback: OnPushMessageCallback, headers: Map<string, string> = new Map()): Promise<SubscribeResponse> {
-    return this.subscribeInternal(cmd, observer, callback, headers);
-  }
+  subscribe(
+    cmd: string,
+    observer: symbol,
+    callback: OnPushMessageCallback,
+    headers?: Map<string, string>,
+    options?: SubscribeOptions & { binary?: false }
+  ): Promise<SubscribeResponse>;
+  subscribe(
+    cmd: string,
+    observer: symbol,
+    callback: OnBinaryPushCallback,
+    headers: Map<string, string> | undefined,
+    options: SubscribeOptions & { binary: true }
+  ): Promise<SubscribeResponse>;
+  async subscribe(
+    cmd: string,
+    observer: symbol,
+    callback: OnPushMessageCallback | OnBinaryPushCallback,
+    headers: Map<string, string> = new Map(),
+    options: SubscribeOptions = {}
+  ): Promise<SubscribeResponse> {
+    const handler = options.binary ? binaryObserver(callback as OnBinaryPushCallback) : (callback as OnPushMessageCallback);
+    return this.subscribeInternal(cmd, observer, handler, headers, options);
+  }
 
   /**
    * 内部订阅逻辑实现
@@ -365,20 +1022,27 @@ export class GatewayClient {
    * 实现细节：
    * 1. 检查重复订阅，避免同一观察者多次订阅同一频道
    * 2. 先添加本地订阅，再向服务器发送请求
-   * 3. 如果服务器订阅失败，回滚本地订阅状态
+   * 3. 如果服务器订阅失败 (包括开启 throwOnErrMsg 时服务器返回 errMsg)，回滚本地订阅状态
    * 4. 使用请求ID进行日志追踪
    */
   private async subscribeInternal(
     cmd: string,
     observer: symbol,
     callback: OnPushMessageCallback,
-    headers: Map<string, string>
+    headers: Map<string, string>,
+    options: RequestOptions
   ): Promise<SubscribeResponse> {
+    const api = `${this.rootUri}/Subscribe`;
+
+    // 生成请求ID用于日志追踪
+    const reqId = headers.get(X_REQ_ID) || this.getNextReqId();
+    headers.set(X_REQ_ID, reqId);
+    const logger = this.logger;
+
     // 检查重复订阅：同一观察者不能多次订阅同一频道
     const cmdCallbacks = this.callbacks.get(cmd);
     if (cmdCallbacks?.has(observer)) {
-      const observerName = observer.description || 'anonymous';
-      throw new Error(`Observer '${observerName}' already subscribed to command '${cmd}'. Please unsubscribe first.`);
+      throw new GatewayDuplicateObserverError(api, reqId, cmd, observer.description || 'anonymous');
     }
 
     // 先添加本地订阅，确保状态一致性
@@ -391,15 +1055,9 @@ export class GatewayClient {
     const request = new SubscribeRequest();
     request.cmd = [cmd];
     
-    // 生成请求ID用于日志追踪
-    const reqId = headers.get(X_REQ_ID) || this.getNextReqId();
-    headers.set(X_REQ_ID, reqId);
-    const logger = this.logger;
-    
     try {
-      const response = await this.send(`${this.rootUri}/Subscribe`, request, SubscribeResponse, headers);
-      const observerName = observer.description || 'anonymous';
-      logger.w.info(logger.f.Info('Gateway', `Subscription created for cmd '${cmd}' with observer '${observerName}'`));
+      const response = await this.send(api, request, SubscribeResponse, headers, options);
+      logger.info('Subscription created', { api, cmd, reqId, observer: observer.description || 'anonymous' });
       return response;
     } catch (error) {
       // 订阅失败时回滚本地状态
@@ -414,21 +1072,139 @@ export class GatewayClient {
     }
   }
 
+  /**
+   * 以异步迭代器的方式订阅频道
+   *
+   * 每个消息流使用独立的观察者，与同一频道的其他观察者共享服务器端订阅。
+   * 退出 `for await` 循环、调用 return() 或触发 signal 时自动取消订阅；
+   * 订阅失败时，首次迭代抛出该错误
+   *
+   * @param cmd - 频道名称
+   * @param options - 缓冲区大小、溢出策略、订阅头部及请求配置
+   * @returns 频道消息流
+   *
+   * @example
+   * ```typescript
+   * for await (const { data } of client.stream('notifications', { bufferSize: 50 })) {
+   *   render(data);
+   *   if (done) break; // 自动取消订阅
+   * }
+   * ```
+   */
+  stream(cmd: string, options: StreamOptions = {}): ChannelStream {
+    const api = `${this.rootUri}/Subscribe`;
+    const headers = new Map(options.headers || []);
+    const reqId = headers.get(X_REQ_ID) || this.getNextReqId();
+    headers.set(X_REQ_ID, reqId);
+
+    const observer = Symbol(`stream:${cmd}`);
+    const stream = new ChannelStream(cmd, api, reqId, options, () =>
+      this.unsubscribeInternal(cmd, observer, new Map(), {}).catch((error) => {
+        this.logger.warn('Stream unsubscribe failed', { cmd, error });
+      })
+    );
+    stream.attach(this.subscribeInternal(
+      cmd,
+      observer,
+      (pushCmd, data, header, info) => stream.push({ cmd: pushCmd, data, header, verified: info.verified }),
+      headers,
+      options
+    ));
+    return stream;
+  }
+
+  /**
+   * 按模式订阅频道
+   * 
+   * 模式观察者只在客户端生效：推送到达时，除了该频道的精确观察者，
+   * 所有匹配的模式观察者也会收到消息。具体频道仍需通过 subscribe 在服务器端订阅。
+   * 
+   * @param pattern - 通配符模式 (如 'group:*') 或正则表达式
+   * @param observer - 观察者标识符 (Symbol)
+   * @param callback - 消息回调函数
+   * 
+   * @throws GatewayDuplicateObserverError 同一观察者重复订阅同一模式
+   * 
+   * @example
+   * ```typescript
+   * const GROUPS = Symbol('groups');
+   * client.subscribePattern('group:*', GROUPS, (cmd, data) => {
+   *   console.log(`分组 ${cmd} 消息:`, data);
+   * });
+   * 
+   * // 服务器端订阅具体频道
+   * await client.subscribe('group:A', Symbol('group-a'), handleGroupA);
+   * 
+   * // 取消模式订阅
+   * await client.unsubscribe('group:*', GROUPS);
+   * ```
+   */
+  subscribePattern(pattern: ChannelPattern, observer: symbol, callback: OnPushMessageCallback): void {
+    const key = patternKey(pattern);
+    let entry = this.patternCallbacks.get(key);
+    if (entry?.observers.has(observer)) {
+      throw new GatewayDuplicateObserverError('', '', key, observer.description || 'anonymous');
+    }
+    
+    if (!entry) {
+      entry = { matcher: compilePattern(pattern), observers: new Map() };
+      this.patternCallbacks.set(key, entry);
+    }
+    entry.observers.set(observer, callback);
+    this.logger.info('Pattern subscription created', { cmd: key, observer: observer.description || 'anonymous' });
+  }
+
   /**
    * 取消订阅
    * 
-   * @param cmd - 频道名称
+   * @param cmd - 频道名称，或 subscribePattern 使用的模式
    * @param observer - 观察者标识符 (Symbol)
    * @param headers - 可选请求头部
+   * @param options - 可选请求配置 (超时、取消信号)
    * 
    * @example
    * ```typescript
    * const NAVBAR = Symbol('navbar');
    * await client.unsubscribe('notifications', NAVBAR);
+   * 
+   * // 移除模式观察者 (仅本地，不发送请求)
+   * await client.unsubscribe(/^@session:/, SESSIONS);
    * ```
    */
-  async unsubscribe(cmd: string, observer: symbol, headers: Map<string, string> = new Map()): Promise<UnsubscribeResponse> {
-    return this.unsubscribeInternal(cmd, observer, headers);
+  async unsubscribe(
+    cmd: ChannelPattern,
+    observer: symbol,
+    headers: Map<string, string> = new Map(),
+    options: RequestOptions = {}
+  ): Promise<UnsubscribeResponse> {
+    // 模式观察者只存在于本地，直接移除
+    const entry = this.patternCallbacks.get(patternKey(cmd));
+    if (typeof cmd !== 'string' || entry?.observers.has(observer)) {
+      return this.unsubscribePattern(cmd, observer, headers);
+    }
+    return this.unsubscribeInternal(cmd, observer, headers, options);
+  }
+
+  /**
+   * 移除模式观察者
+   */
+  private unsubscribePattern(pattern: ChannelPattern, observer: symbol, headers: Map<string, string>): UnsubscribeResponse {
+    const key = patternKey(pattern);
+    const observerName = observer.description || 'anonymous';
+    const entry = this.patternCallbacks.get(key);
+    if (!entry || !entry.observers.has(observer)) {
+      throw new GatewayNotSubscribedError('', headers.get(X_REQ_ID) || '', key, observerName);
+    }
+    
+    entry.observers.delete(observer);
+    if (entry.observers.size === 0) {
+      this.patternCallbacks.delete(key);
+    }
+    this.logger.info('Pattern subscription removed', { cmd: key, observer: observerName });
+    
+    const response = new UnsubscribeResponse();
+    response.errMsg = null;
+    return response;
   }
 
   /**
@@ -439,29 +1215,38 @@ export class GatewayClient {
    * 2. 先移除本地订阅，再决定是否向服务器发送取消订阅请求
    * 3. 只有当频道没有其他订阅者时，才向服务器发送取消订阅请求
    * 4. 优化网络请求：避免不必要的服务器调用
+   * 5. 如果服务器取消订阅失败 (包括开启 throwOnErrMsg 时服务器返回 errMsg)，恢复本地订阅状态
    */
   private async unsubscribeInternal(
     cmd: string,
     observer: symbol,
-    headers: Map<string, string>
+    headers: Map<string, string>,
+    options: RequestOptions
   ): Promise<UnsubscribeResponse> {
+    const api = `${this.rootUri}/Unsubscribe`;
+    const observerName = observer.description || 'anonymous';
+
+    // 生成请求ID用于日志追踪
+    const reqId = headers.get(X_REQ_ID) || this.getNextReqId();
+    headers.set(X_REQ_ID, reqId);
+    const logger = this.logger;
+
     const cmdCallbacks = this.callbacks.get(cmd);
     if (!cmdCallbacks || cmdCallbacks.size === 0) {
-      throw new Error(`No subscriptions found for command '${cmd}'`);
+      throw new GatewayNotSubscribedError(api, reqId, cmd);
     }
 
     if (!cmdCallbacks.has(observer)) {
-      const observerName = observer.description || 'anonymous';
-      throw new Error(`Observer '${observerName}' not found for command '${cmd}'`);
+      throw new GatewayNotSubscribedError(api, reqId, cmd, observerName);
     }
     
-    // 移除本地订阅
+    // 移除本地订阅，保留回调以便回滚
+    const callback = cmdCallbacks.get(observer)!;
     cmdCallbacks.delete(observer);
-    const observerName = observer.description || 'anonymous';
     
     // 如果还有其他观察者订阅该频道，只需移除本地订阅
     if (cmdCallbacks.size > 0) {
-      this.logger.w.info(this.logger.f.Info('Gateway', `Removed observer '${observerName}' from cmd '${cmd}' (${cmdCallbacks.size} remaining)`));
+      this.logger.info(`Removed observer (${cmdCallbacks.size} remaining)`, { cmd, observer: observerName });
       const response = new UnsubscribeResponse();
       response.errMsg = null;
       return response;
@@ -470,24 +1255,205 @@ export class GatewayClient {
     // 如果这是最后一个订阅者，删除频道条目并向服务器发送取消订阅请求
     this.callbacks.delete(cmd);
     
-    // 生成请求ID用于日志追踪
-    const reqId = headers.get(X_REQ_ID) || this.getNextReqId();
-    headers.set(X_REQ_ID, reqId);
-    const logger = this.logger;
-    
-    logger.w.info(logger.f.Info('Gateway', `Removed last observer for cmd '${cmd}', unsubscribing from server`));
+    logger.info('Removed last observer, unsubscribing from server', { api, cmd, reqId, observer: observerName });
     
     const request = new UnsubscribeRequest();
     request.cmd = [cmd];
-    return await this.send(`${this.rootUri}/Unsubscribe`, request, UnsubscribeResponse, headers);
+    try {
+      return await this.send(api, request, UnsubscribeResponse, headers, options);
+    } catch (error) {
+      // 服务器取消订阅失败 (包括开启 throwOnErrMsg 时服务器返回 errMsg)，频道仍在推送，恢复观察者
+      if (!this.callbacks.has(cmd)) {
+        this.callbacks.set(cmd, new Map());
+      }
+      this.callbacks.get(cmd)!.set(observer, callback);
+      throw error;
+    }
+  }
+
+  /**
+   * 批量订阅频道，只发送一次请求
+   *
+   * 与 subscribe 共享观察者计数：只有尚无观察者的频道才发往服务器，全部频道都已订阅时不发送请求。
+   * 不会因单个频道失败而抛出，各项结果按输入顺序返回；服务器请求失败或返回 errMsg 时回滚本次新建的频道
+   *
+   * @param entries - 订阅项 (频道、观察者、回调)
+   * @param headers - 可选请求头部
+   * @param options - 可选请求配置 (超时、取消信号)
+   *
+   * @example
+   * ```typescript
+   * const ROOMS = Symbol('rooms');
+   * const { results } = await client.subscribeMany(
+   *   roomIds.map((id) => ({ cmd: `room:${id}`, observer: ROOMS, callback: onRoomMessage }))
+   * );
+   * const failed = results.filter((result) => !result.ok).map((result) => result.cmd);
+   * ```
+   */
+  async subscribeMany(
+    entries: SubscribeEntry[],
+    headers: Map<string, string> = new Map(),
+    options: RequestOptions = {}
+  ): Promise<BulkResult<SubscribeResponse>> {
+    const api = `${this.rootUri}/Subscribe`;
+    const reqId = headers.get(X_REQ_ID) || this.getNextReqId();
+    headers.set(X_REQ_ID, reqId);
+
+    // 先添加本地订阅，记录本次新建的频道
+    const results: ChannelResult[] = [];
+    const newChannels = new Set<string>();
+    for (const { cmd, observer, callback } of entries) {
+      const result: ChannelResult = { cmd, observer, ok: false, sentToServer: false };
+      results.push(result);
+
+      let observers = this.callbacks.get(cmd);
+      if (observers?.has(observer)) {
+        result.error = new GatewayDuplicateObserverError(api, reqId, cmd, observer.description || 'anonymous');
+        continue;
+      }
+      if (!observers) {
+        observers = new Map();
+        this.callbacks.set(cmd, observers);
+        newChannels.add(cmd);
+      }
+      observers.set(observer, callback);
+      result.ok = true;
+      result.sentToServer = newChannels.has(cmd);
+    }
+
+    if (newChannels.size === 0) {
+      this.logger.info('Observers added to existing subscriptions', { api, reqId, count: results.filter((result) => result.ok).length });
+      return { response: null, results };
+    }
+
+    const request = new SubscribeRequest();
+    request.cmd = Array.from(newChannels);
+
+    // 服务器订阅失败，回滚本次新建频道上的观察者
+    const rollback = (error: unknown) => {
+      for (const result of results) {
+        if (!result.sentToServer) {
+          continue;
+        }
+        const observers = this.callbacks.get(result.cmd);
+        observers?.delete(result.observer);
+        if (observers?.size === 0) {
+          this.callbacks.delete(result.cmd);
+        }
+        result.ok = false;
+        result.error = error;
+      }
+    };
+
+    let response: SubscribeResponse;
+    try {
+      response = await this.send(api, request, SubscribeResponse, headers, options);
+    } catch (error) {
+      rollback(error);
+      return { response: null, results };
+    }
+    // 未开启 throwOnErrMsg 时服务器拒绝以 errMsg 返回，同样视为失败
+    if (response.errMsg) {
+      this.logger.warn('Bulk subscribe rejected by server', { api, reqId, errMsg: response.errMsg });
+      rollback(new GatewayServerRejectedError(api, reqId, response.errMsg));
+      return { response, results };
+    }
+    this.logger.info(`Subscriptions created for ${newChannels.size} commands`, { api, reqId, cmd: request.cmd.join(',') });
+    return { response, results };
+  }
+
+  /**
+   * 批量取消订阅频道，只发送一次请求
+   *
+   * 与 unsubscribe 共享观察者计数：只有移除最后一个观察者的频道才发往服务器。
+   * 不会因单个频道失败而抛出，各项结果按输入顺序返回；服务器请求失败或返回 errMsg 时恢复这些频道上被移除的观察者
+   *
+   * @param entries - 取消订阅项 (频道、观察者)
+   * @param headers - 可选请求头部
+   * @param options - 可选请求配置 (超时、取消信号)
+   */
+  async unsubscribeMany(
+    entries: UnsubscribeEntry[],
+    headers: Map<string, string> = new Map(),
+    options: RequestOptions = {}
+  ): Promise<BulkResult<UnsubscribeResponse>> {
+    const api = `${this.rootUri}/Unsubscribe`;
+    const reqId = headers.get(X_REQ_ID) || this.getNextReqId();
+    headers.set(X_REQ_ID, reqId);
+
+    // 先移除本地订阅，保留回调以便回滚
+    const results: ChannelResult[] = [];
+    const removed: Map<ChannelResult, OnPushMessageCallback> = new Map();
+    const emptiedChannels = new Set<string>();
+    for (const { cmd, observer } of entries) {
+      const result: ChannelResult = { cmd, observer, ok: false, sentToServer: false };
+      results.push(result);
+
+      const observers = this.callbacks.get(cmd);
+      const callback = observers?.get(observer);
+      if (!observers || !callback) {
+        result.error = new GatewayNotSubscribedError(api, reqId, cmd, observers ? observer.description || 'anonymous' : null);
+        continue;
+      }
+      observers.delete(observer);
+      removed.set(result, callback);
+      if (observers.size === 0) {
+        this.callbacks.delete(cmd);
+        emptiedChannels.add(cmd);
+      }
+      result.ok = true;
+    }
+    for (const result of removed.keys()) {
+      result.sentToServer = emptiedChannels.has(result.cmd);
+    }
+
+    if (emptiedChannels.size === 0) {
+      this.logger.info('Observers removed, channels still in use', { api, reqId, count: removed.size });
+      return { response: null, results };
+    }
+
+    const request = new UnsubscribeRequest();
+    request.cmd = Array.from(emptiedChannels);
+    this.logger.info(`Removed last observers, unsubscribing ${emptiedChannels.size} commands from server`, { api, reqId, cmd: request.cmd.join(',') });
+
+    // 服务器取消订阅失败，频道仍在推送，恢复被移除的观察者
+    const rollback = (error: unknown) => {
+      removed.forEach((callback, result) => {
+        if (!result.sentToServer) {
+          return;
+        }
+        if (!this.callbacks.has(result.cmd)) {
+          this.callbacks.set(result.cmd, new Map());
+        }
+        this.callbacks.get(result.cmd)!.set(result.observer, callback);
+        result.ok = false;
+        result.error = error;
+      });
+    };
+
+    let response: UnsubscribeResponse;
+    try {
+      response = await this.send(api, request, UnsubscribeResponse, headers, options);
+    } catch (error) {
+      rollback(error);
+      return { response: null, results };
+    }
+    // 未开启 throwOnErrMsg 时服务器拒绝以 errMsg 返回，同样视为失败
+    if (response.errMsg) {
+      this.logger.warn('Bulk unsubscribe rejected by server', { api, reqId, errMsg: response.errMsg });
+      rollback(new GatewayServerRejectedError(api, reqId, response.errMsg));
+    }
+    return { response, results };
   }
 
   /**
    * 发布消息到频道
    * 
    * @param cmd - 频道名称
-   * @param data - 消息内容 (字符串)
+   * @param data - 消息内容：字符串，或以 base64 发送并由 X-Content-Type 标记的二进制内容
    * @param headers - 可选请求头部
+   * @param options - 可选请求配置 (超时、取消信号)
+   * @returns 开启发件箱且离线时，消息实际补发后才返回
    * 
    * @example
    * ```typescript
@@ -496,19 +1462,356 @@ export class GatewayClient {
    * 
    * // 发布 JSON 数据
    * await client.publish('events', JSON.stringify({ type: 'update', data: 'value' }));
+   * 
+   * // 3 秒内未确认则放弃
+   * await client.publish('events', 'data', new Map(), { timeoutMs: 3000 });
+   * 
+   * // 发布二进制内容 (Uint8Array / ArrayBuffer / Blob)
+   * await client.publish('camera:1', frame, new Map([['X-Content-Type', 'image/jpeg']]));
    * ```
    */
-  async publish(cmd: string, data: string, headers: Map<string, string> = new Map()): Promise<PublishResponse> {
+  async publish(
+    cmd: string,
+    payload: string | BinaryPayload,
+    headers: Map<string, string> = new Map(),
+    options: RequestOptions = {}
+  ): Promise<PublishResponse> {
+    const api = `${this.rootUri}/Publish`;
+
+    // 按配置编码发布内容 (二进制、压缩、加密、签名、分块)，发件箱中保存编码后的内容
+    headers = new Map(headers);
+    let data: string;
+    if (typeof payload !== 'string') {
+      data = await encodeBinaryPayload(payload, headers);
+    } else {
+      data = payload;
+    }
+    if (this.compression || this.cipher || this.signer) {
+      data = await this.encodePayload(api, cmd, data, headers);
+    }
+
+    const parts = this.chunking ? splitPayload(data, this.chunking.maxChunkBytes ?? DEFAULT_MAX_CHUNK_BYTES) : [data];
+    if (parts.length === 1) {
+      return this.publishEncoded(api, cmd, data, headers, options);
+    }
+
+    // 分块依次发布，每个分块使用独立的请求ID；任一分块失败 (包括返回 errMsg) 时放弃后续分块，接收方的半条消息超时后丢弃
+    const chunkId = headers.get(X_REQ_ID) || this.getNextReqId();
+    this.logger.debug(`Publishing message in ${parts.length} chunks`, { cmd, chunkId });
+    let response!: PublishResponse;
+    for (let index = 0; index < parts.length; index++) {
+      const chunkHeaders = new Map(headers);
+      chunkHeaders.delete(X_REQ_ID);
+      chunkHeaders.set(CHUNK_ID_HEADER, chunkId);
+      chunkHeaders.set(CHUNK_INDEX_HEADER, String(index));
+      chunkHeaders.set(CHUNK_TOTAL_HEADER, String(parts.length));
+      response = await this.publishEncoded(api, cmd, parts[index], chunkHeaders, options);
+      if (response.errMsg) {
+        break;
+      }
+    }
+    return response;
+  }
+
+  /**
+   * 发布编码后的内容 (单条消息或一个分块)：离线时进入发件箱，否则按频道限速后发送
+   */
+  private async publishEncoded(
+    api: string,
+    cmd: string,
+    data: string,
+    headers: Map<string, string>,
+    options: RequestOptions
+  ): Promise<PublishResponse> {
+    // 离线时进入发件箱，投递后才 resolve
+    if (this.outbox && OFFLINE_STATES.has(this.stateMachine.state)) {
+      const queued = new Map(headers);
+      const reqId = queued.get(X_REQ_ID) || this.getNextReqId();
+      queued.set(X_REQ_ID, reqId);
+      const { timeoutMs, throwOnErrMsg } = options;
+      return this.outbox.enqueue(
+        { id: reqId, api, cmd, data, headers: Array.from(queued), options: { timeoutMs, throwOnErrMsg } },
+        options.signal
+      );
+    }
+
+    options = await this.throttlePublish(api, cmd, headers, options);
     const request = new PublishRequest();
     request.cmd = cmd;
     request.data = data;
-    return await this.send(`${this.rootUri}/Publish`, request, PublishResponse, headers);
+    return await this.send(api, request, PublishResponse, headers, options);
+  }
+
+  /**
+   * 按频道限速 (发布和发件箱补发共用)，等待令牌的时间计入超时，等待期间可被 signal 取消
+   *
+   * @returns 扣除等待时间后的请求配置
+   */
+  private async throttlePublish(api: string, cmd: string, headers: Map<string, string>, options: RequestOptions): Promise<RequestOptions> {
+    if (!this.scheduler) {
+      return options;
+    }
+    const reqId = headers.get(X_REQ_ID) || this.getNextReqId();
+    headers.set(X_REQ_ID, reqId);
+    if (options.signal?.aborted) {
+      throw new GatewayAbortError(api, reqId, options.signal.reason);
+    }
+    const throttledAt = Date.now();
+    const cancel = new AbortController();
+    try {
+      await this.withDeadline(this.scheduler.throttle(cmd, api, reqId, cancel.signal), api, reqId, options);
+    } catch (error) {
+      // 超时或取消时归还预约的令牌
+      cancel.abort(error);
+      if (error instanceof GatewayError) {
+        this.metrics.recordError(api, error.code);
+      }
+      throw error;
+    }
+    const timeoutMs = options.timeoutMs ?? this.defaultTimeoutMs;
+    if (timeoutMs > 0) {
+      return { ...options, timeoutMs: Math.max(1, timeoutMs - (Date.now() - throttledAt)) };
+    }
+    return options;
+  }
+
+  /**
+   * 编码发布内容：超过阈值时压缩 (失败时按原样发送)，再加密私有频道的内容，最后对发送的内容签名
+   *
+   * @throws GatewayEncryptionError 私有频道的内容无法加密，不会以明文发送
+   * @throws GatewaySigningError 需要签名的频道没有可用的签名密钥
+   */
+  private async encodePayload(api: string, cmd: string, data: string, headers: Map<string, string>): Promise<string> {
+    if (this.compression) {
+      try {
+        data = await compressPayload(data, headers, this.compression);
+      } catch (error) {
+        this.logger.warn('Payload compression failed, sending uncompressed', { cmd, error });
+      }
+    }
+    if (this.cipher && this.cipher.appliesTo(cmd) && !headers.has(ENCRYPTION_HEADER)) {
+      try {
+        data = await this.cipher.encrypt(cmd, data, headers);
+      } catch (error) {
+        throw new GatewayEncryptionError(GatewayErrorCode.ENCRYPTION_FAILED, api, headers.get(X_REQ_ID) || '', cmd, null, error);
+      }
+    }
+    if (this.signer && this.signer.appliesTo(cmd) && !headers.has(SIGNATURE_HEADER)) {
+      try {
+        await this.signer.sign(cmd, data, headers);
+      } catch (error) {
+        throw new GatewaySigningError(api, headers.get(X_REQ_ID) || '', cmd, error);
+      }
+    }
+    return data;
+  }
+
+  /**
+   * 解码推送内容：按 X-Encryption 解密，再按 X-Content-Encoding 解压
+   *
+   * @throws GatewayEncryptionError 推送无法解密
+   * @throws GatewayDecodeError 推送无法解压或解压后超出 maxDecompressedBytes
+   */
+  private async decodePayload(cmd: string, data: string, headers: Map<string, string>): Promise<string> {
+    if (headers.has(ENCRYPTION_HEADER)) {
+      const keyId = headers.get(KEY_ID_HEADER) || null;
+      try {
+        if (!this.cipher) {
+          throw new Error('Encryption is not configured');
+        }
+        data = await this.cipher.decrypt(cmd, data, headers);
+      } catch (error) {
+        throw new GatewayEncryptionError(GatewayErrorCode.DECRYPTION_FAILED, '', headers.get(X_REQ_ID) || '', cmd, keyId, error);
+      }
+    }
+    try {
+      return await decompressPayload(data, headers, this.compression?.maxDecompressedBytes);
+    } catch (error) {
+      throw new GatewayDecodeError('', headers.get(X_REQ_ID) || '', error, data);
+    }
+  }
+
+  /**
+   * 获取离线发件箱中等待补发的消息数
+   * 
+   * @returns 消息数，未开启发件箱时为 0
+   */
+  public getOutboxSize(): number {
+    return this.outbox?.size ?? 0;
+  }
+
+  /**
+   * 补发离线发件箱中的消息
+   */
+  private flushOutbox(): void {
+    if (!this.outbox) {
+      return;
+    }
+    // 补发同样按频道限速，重连后积压的消息不会突破限速；等待令牌不设超时 (超时会中断补发直到下次重连)，
+    // 保存的 timeoutMs 只作用于发送
+    this.outbox.flush(async (entry) => {
+      const headers = new Map(entry.headers);
+      await this.throttlePublish(entry.api, entry.cmd, headers, { timeoutMs: 0 });
+      const request = new PublishRequest();
+      request.cmd = entry.cmd;
+      request.data = entry.data;
+      return this.send(entry.api, request, PublishResponse, headers, entry.options || {});
+    }).catch((error) => {
+      this.logger.error('Outbox flush failed', { error });
+    });
+  }
+
+  /**
+   * 发送请求并等待回复
+   *
+   * 发布到目标频道时携带回复频道 (`@client:{clientId}`) 和关联ID，
+   * 首次调用时自动订阅回复频道。超时以 GatewayTimeoutError 拒绝，
+   * 响应方处理失败以 GatewayRemoteError 拒绝
+   *
+   * @param targetCmd - 响应方监听的频道
+   * @param data - 请求内容
+   * @param options - 超时 (默认使用 defaultTimeoutMs，未设置时为 30 秒)、取消信号及请求头部
+   * @returns 响应方的回复
+   *
+   * @example
+   * ```typescript
+   * const reply = await client.request('@user:inventory', JSON.stringify({ sku: 'A1' }), { timeoutMs: 5000 });
+   * console.log(reply.data);
+   * ```
+   */
+  async request(targetCmd: string, data: string, options: RpcRequestOptions = {}): Promise<RpcReply> {
+    const api = `${this.rootUri}/Publish`;
+    const correlationId = this.getNextReqId();
+
+    const headers = new Map(options.headers || []);
+    headers.set(X_REQ_ID, correlationId);
+    headers.set(REPLY_TO_HEADER, this.getReplyChannel());
+    headers.set(CORRELATION_ID_HEADER, correlationId);
+
+    // 超时和取消覆盖订阅回复频道、发布和等待回复的全过程
+    const timeoutMs = options.timeoutMs ?? (this.defaultTimeoutMs || DEFAULT_RPC_TIMEOUT_MS);
+    const reply = this.pendingCalls.wait(correlationId, api, targetCmd, timeoutMs, options.signal);
+
+    this.ensureReplyChannel(timeoutMs).then(() => {
+      // 等待回复频道期间已超时或被取消时不再发布
+      if (!this.pendingCalls.has(correlationId)) {
+        return;
+      }
+      this.logger.debug('Request sent', { api, cmd: targetCmd, reqId: correlationId });
+      return this.publish(targetCmd, data, headers, { signal: options.signal, throwOnErrMsg: true });
+    }).catch((error) => {
+      this.pendingCalls.reject(correlationId, error);
+    });
+
+    return reply;
+  }
+
+  /**
+   * 响应频道上的请求
+   *
+   * 订阅频道，对携带回复频道和关联ID的消息调用 handler，并将返回值发布到回复频道；
+   * handler 抛出的错误作为错误回复返回给请求方。不带回复频道的消息被忽略
+   *
+   * @param cmd - 监听的频道
+   * @param handler - 请求处理函数
+   * @param headers - 可选订阅头部
+   * @param options - 可选订阅请求配置
+   * @returns 停止响应 (取消订阅) 的函数
+   *
+   * @example
+   * ```typescript
+   * const stop = await client.respond('@user:inventory', async (data) => {
+   *   const { sku } = JSON.parse(data);
+   *   return JSON.stringify(await lookup(sku));
+   * });
+   *
+   * await stop();
+   * ```
+   */
+  async respond(
+    cmd: string,
+    handler: RpcHandler,
+    headers: Map<string, string> = new Map(),
+    options: RequestOptions = {}
+  ): Promise<() => Promise<UnsubscribeResponse>> {
+    const observer = Symbol(`respond:${cmd}`);
+    await this.subscribeInternal(cmd, observer, (pushCmd, data, header) => {
+      this.handleRequest(pushCmd, data, header, handler);
+    }, headers, options);
+    return () => this.unsubscribeInternal(cmd, observer, new Map(), {});
+  }
+
+  /**
+   * 获取本客户端的回复频道
+   */
+  private getReplyChannel(): string {
+    return `@client:${this.clientId}`;
+  }
+
+  /**
+   * 确保已订阅回复频道，订阅失败 (包括超时) 时下次请求重试
+   *
+   * @param timeoutMs - 订阅请求的超时，由发起订阅的请求决定
+   */
+  private ensureReplyChannel(timeoutMs: number): Promise<unknown> {
+    if (!this.replyChannelReady) {
+      this.replyChannelReady = this.subscribeInternal(
+        this.getReplyChannel(),
+        this.replyObserver,
+        (cmd, data, header) => {
+          if (!this.pendingCalls.settle(data, header)) {
+            this.logger.debug('Reply without pending request', { cmd, reqId: header.get(CORRELATION_ID_HEADER) });
+          }
+        },
+        new Map(),
+        { timeoutMs }
+      ).catch((error) => {
+        this.replyChannelReady = null;
+        throw error;
+      });
+    }
+    return this.replyChannelReady;
+  }
+
+  /**
+   * 处理一条请求并发布回复
+   */
+  private async handleRequest(cmd: string, data: string, header: Map<string, string>, handler: RpcHandler): Promise<void> {
+    const replyTo = header.get(REPLY_TO_HEADER);
+    const correlationId = header.get(CORRELATION_ID_HEADER);
+    if (!replyTo || !correlationId) {
+      this.logger.warn('Ignoring message without reply-to or correlation id', { cmd, reqId: header.get(X_REQ_ID) });
+      return;
+    }
+
+    const replyHeaders = new Map([[CORRELATION_ID_HEADER, correlationId]]);
+    let result: string;
+    try {
+      result = await handler(data, header, cmd);
+      // 推送的 data 不能为空，空回复以占位内容发布并标记
+      if (result === '') {
+        result = RPC_EMPTY_PLACEHOLDER;
+        replyHeaders.set(RPC_EMPTY_HEADER, '1');
+      }
+    } catch (error) {
+      this.logger.warn('Request handler failed', { cmd, reqId: correlationId, error });
+      // 推送的 data 不能为空，错误回复同时把错误信息放在 data 中
+      result = error instanceof Error ? error.message : String(error);
+      replyHeaders.set(RPC_ERROR_HEADER, result);
+    }
+
+    try {
+      await this.publish(replyTo, result, replyHeaders);
+    } catch (error) {
+      this.logger.error('Failed to send reply', { cmd: replyTo, reqId: correlationId, error });
+    }
   }
 
   /**
    * 测试连接状态
    * 
    * @param headers - 可选请求头部
+   * @param options - 可选请求配置 (超时、取消信号)
    * @returns 连接正常时返回成功响应
    * 
    * @example
@@ -517,9 +1820,9 @@ export class GatewayClient {
    * console.log('连接正常');
    * ```
    */
-  async ping(headers: Map<string, string> = new Map()): Promise<PingResponse> {
+  async ping(headers: Map<string, string> = new Map(), options: RequestOptions = {}): Promise<PingResponse> {
     const request = new PingRequest();
-    return await this.send(`${this.rootUri}/Ping`, request, PingResponse, headers);
+    return await this.send(`${this.rootUri}/Ping`, request, PingResponse, headers, options);
   }
 
   /**
@@ -531,6 +1834,7 @@ export class GatewayClient {
    * @param data - 请求数据对象，将被序列化为 JSON
    * @param responseType - 响应类型类，用于反序列化响应
    * @param headers - 可选请求头部
+   * @param options - 可选请求配置 (超时、取消信号)
    * 
    * @example
    * ```typescript
@@ -548,23 +1852,46 @@ export class GatewayClient {
    * }
    * 
    * const result = await client.send('API/Proxy', {}, ApiResponse, headers);
+   * 
+   * // 慢速代理目标：10 秒超时，或由用户操作取消
+   * const controller = new AbortController();
+   * const data = await client.send('API/Proxy', {}, ApiResponse, headers, {
+   *   timeoutMs: 10000,
+   *   signal: controller.signal
+   * });
    * ```
    */
   async send<T>(
     api: string, 
     data: object, 
     responseType: new() => T, 
-    headers: Map<string, string> = new Map()
+    headers: Map<string, string> = new Map(),
+    options: RequestOptions = {}
   ): Promise<T> {
     // 序列化请求数据为 JSON 字符串
     const requestData = JSON.stringify(instanceToPlain(data));
     
+    // 提前确定请求ID，便于错误关联
+    const requestHeaders = new Map(headers);
+    const reqId = requestHeaders.get(X_REQ_ID) || this.getNextReqId();
+    requestHeaders.set(X_REQ_ID, reqId);
+    
     // 使用 sendRaw 发送原始数据
-    const rawResponse = await this.sendRaw(api, requestData, headers);
+    const rawResponse = await this.sendRaw(api, requestData, requestHeaders, options);
     
     // 反序列化响应为指定类型
     const response = plainToClass(responseType, JSON.parse(rawResponse));
     
+    // 按配置将服务器返回的 errMsg 转为异常
+    if (options.throwOnErrMsg ?? this.throwOnErrMsg) {
+      const errMsg = (response as { errMsg?: unknown } | null)?.errMsg;
+      if (typeof errMsg === 'string' && errMsg !== '') {
+        this.logger.warn('Request rejected by server', { api, reqId, errMsg });
+        this.metrics.recordError(api, GatewayErrorCode.SERVER_REJECTED);
+        throw new GatewayServerRejectedError(api, reqId, errMsg);
+      }
+    }
+    
     return response;
   }
 
@@ -573,11 +1900,19 @@ export class GatewayClient {
    * 
    * 直接发送字符串数据，返回原始字符串响应，不进行 JSON 编解码
    * 主要用于 HTTP 代理转发，避免不必要的序列化开销
+   * 二进制数据以 base64 发送，并通过 X-Content-Type 头部标记
    * 
    * @param api - API 路径
-   * @param data - 原始数据字符串
+   * @param data - 原始数据字符串或二进制数据
    * @param headers - 请求头
+   * @param options - 可选请求配置 (超时、取消信号)
    * @returns 原始响应字符串
+   * @throws GatewayTimeoutError 超时未收到响应
+   * @throws GatewayAbortError 请求被 signal 取消
+   * @throws GatewayTransportError 底层连接或传输失败
+   * @throws GatewayInvalidHeaderError 手动设置了 api 头部
+   * @throws GatewayInterceptorError 请求拦截器抛出异常，或响应拦截器抛出异常且未被后续拦截器处理
+   * @throws GatewayAuthError tokenProvider 获取令牌失败
    * 
    * @example
    * ```typescript
@@ -587,31 +1922,247 @@ export class GatewayClient {
    */
   async sendRaw(
     api: string, 
-    data: string, 
-    headers: Map<string, string> = new Map()
+    payload: string | BinaryPayload, 
+    headers: Map<string, string> = new Map(),
+    options: RequestOptions = {}
   ): Promise<string> {
+    // 准备请求头部，添加请求ID和API路径
+    const header = new Map(headers);
+    const reqId = header.get(X_REQ_ID) || this.getNextReqId();
+    header.set(X_REQ_ID, reqId);
+
     // 防止手动设置 api 头部，该字段由系统自动设置
     if (headers.has("api")) {
-      throw new Error("Cannot set 'api' header manually. It is automatically set based on api parameter.");
+      throw new GatewayInvalidHeaderError(api, reqId, 'api', "Cannot set 'api' header manually. It is automatically set based on api parameter.");
     }
+
+    const data = typeof payload === 'string' ? payload : await encodeBinaryPayload(payload, header);
     
-    // 准备请求头部，添加请求ID和API路径
-    const header = new Map(headers);
-    let reqId = header.get(X_REQ_ID) || this.getNextReqId();
-    header.set(X_REQ_ID, reqId);
+    // 调用方手动设置了鉴权头部时不再使用 tokenProvider
+    const tokens = this.tokens;
+    const authHeader = tokens?.headerName.toLowerCase();
+    if (!tokens || Array.from(header.keys()).some((key) => key.toLowerCase() === authHeader)) {
+      return this.sendIntercepted(api, data, header, reqId, options);
+    }
+
+    let token = await this.fetchToken(api, reqId, () => tokens.getToken());
+    tokens.apply(header, token);
+    try {
+      const response = await this.sendIntercepted(api, data, new Map(header), reqId, options);
+      if (!tokens.isRejected({ api, reqId, response })) {
+        return response;
+      }
+    } catch (error) {
+      if (!tokens.isRejected({ api, reqId, error })) {
+        throw error;
+      }
+    }
+
+    // 鉴权失败：刷新令牌 (并发请求共享一次刷新) 后重试一次
+    this.logger.warn('Auth rejected, refreshing token and retrying', { api, reqId });
+    const stale = token;
+    token = await this.fetchToken(api, reqId, () => tokens.refresh(stale));
+    tokens.apply(header, token);
+    return this.sendIntercepted(api, data, header, reqId, options);
+  }
+
+  /**
+   * 调用 tokenProvider，失败时包装为 GatewayAuthError
+   */
+  private async fetchToken(api: string, reqId: string, load: () => Promise<string | null>): Promise<string | null> {
+    try {
+      return await load();
+    } catch (error) {
+      this.logger.error('Token provider failed', { api, reqId, error });
+      throw new GatewayAuthError(api, reqId, error);
+    }
+  }
+
+  /**
+   * 经过请求/响应拦截器发送请求
+   */
+  private async sendIntercepted(
+    api: string,
+    data: string,
+    header: Map<string, string>,
+    reqId: string,
+    options: RequestOptions
+  ): Promise<string> {
+    if (this.interceptors.request.size === 0 && this.interceptors.response.size === 0) {
+      return this.transmit(api, data, header, reqId, options);
+    }
+
+    // 请求拦截器可以修改请求或直接给出响应
+    let intercepted: Awaited<ReturnType<typeof runRequestInterceptors>>;
+    try {
+      intercepted = await runRequestInterceptors(this.interceptors.request, { api, data, headers: header, reqId });
+    } catch (error) {
+      this.logger.error('Request interceptor failed', { api, reqId, error });
+      throw error;
+    }
+
+    const request = intercepted.request;
+    let result: InterceptedResponse;
+    if (intercepted.response !== undefined) {
+      this.logger.debug('Request short-circuited by interceptor', { api: request.api, reqId });
+      result = { request, response: intercepted.response, error: null };
+    } else {
+      const finalReqId = request.headers.get(X_REQ_ID) || reqId;
+      request.headers.set(X_REQ_ID, finalReqId);
+      try {
+        result = { request, response: await this.transmit(request.api, request.data, request.headers, finalReqId, options), error: null };
+      } catch (error) {
+        result = { request, response: null, error };
+      }
+    }
+
+    // 响应拦截器可以转换结果或错误
+    result = await runResponseInterceptors(this.interceptors.response, result);
+    if (result.error !== null && result.error !== undefined) {
+      throw result.error;
+    }
+    return result.response ?? '';
+  }
+
+  /**
+   * 通过底层连接发送请求，负责超时/取消、连接状态、指标和追踪
+   */
+  private async transmit(
+    api: string,
+    data: string,
+    header: Map<string, string>,
+    reqId: string,
+    options: RequestOptions
+  ): Promise<string> {
     header.set("api", api);
 
     const logger = this.logger;
 
+    // 已取消的请求不再发送
+    if (options.signal?.aborted) {
+      throw new GatewayAbortError(api, reqId, options.signal.reason);
+    }
+
+    // 流量控制：等待发送名额，排队时间计入超时
+    let release: (() => void) | null = null;
+    let sendOptions = options;
+    if (this.scheduler) {
+      const queuedAt = Date.now();
+      const priority = CONTROL_APIS.has(api.substring(api.lastIndexOf('/') + 1)) ? 'control' : 'bulk';
+      const ticket = this.scheduler.enqueue(priority, api, reqId);
+      try {
+        release = await this.withDeadline(ticket.granted, api, reqId, options);
+      } catch (error) {
+        ticket.cancel();
+        logger.warn('Request not sent: send queue', { api, reqId, error });
+        if (error instanceof GatewayError) {
+          this.metrics.recordError(api, error.code);
+        }
+        throw error;
+      }
+      const timeoutMs = options.timeoutMs ?? this.defaultTimeoutMs;
+      if (timeoutMs > 0) {
+        sendOptions = { ...options, timeoutMs: Math.max(1, timeoutMs - (Date.now() - queuedAt)) };
+      }
+    }
+
+    // 首个请求触发按需建连
+    if (this.stateMachine.state === ConnectionState.IDLE) {
+      this.stateMachine.transition(ConnectionState.CONNECTING, `first request ${api}`);
+    }
+
+    // 开启请求 span，traceparent/tracestate 随请求头发往网关
+    const span: TraceSpan | undefined = this.tracing?.startRequest(api, reqId, header);
+
     // 直接发送原始数据，不进行任何序列化处理
-    const [res, err] = await this.client.Send(data, header);
-    
-    if (err) {
-      logger.w.error(logger.f.Error('Gateway', `${api} failed: ${err}`));
-      throw err;
+    let res: Result;
+    const startedAt = Date.now();
+    try {
+      const [result, err] = await this.withDeadline<SendResult>(this.client.Send(data, header), api, reqId, sendOptions);
+      if (err) {
+        throw new GatewayTransportError(api, reqId, err);
+      }
+      res = result;
+    } catch (caught) {
+      // 统一包装为 GatewayError，保留原始错误
+      const error = caught instanceof GatewayError ? caught : new GatewayTransportError(api, reqId, caught);
+      logger.error('Request failed', { api, reqId, error });
+      this.metrics.recordRequest(api, Date.now() - startedAt, error.code);
+      if (span) {
+        this.tracing!.endRequest(span, error);
+      }
+      if (this.stateMachine.state === ConnectionState.CONNECTING) {
+        this.stateMachine.transition(ConnectionState.IDLE, 'connect failed', error);
+      }
+      throw error;
+    } finally {
+      release?.();
+    }
+
+    this.metrics.recordRequest(api, Date.now() - startedAt);
+    if (span) {
+      this.tracing!.endRequest(span);
+    }
+    if (this.stateMachine.state === ConnectionState.CONNECTING) {
+      this.stateMachine.transition(ConnectionState.CONNECTED, `${api} succeeded`);
     }
 
     // 直接返回原始响应字符串
     return res.toString();
   }
+
+  /**
+   * 为请求附加超时和取消控制
+   * 
+   * 超时或取消只会让调用方停止等待，底层请求无法撤回
+   * 
+   * @param promise - 底层请求
+   * @param api - API 路径，用于错误信息
+   * @param reqId - 请求ID，用于错误信息
+   * @param options - 请求配置
+   */
+  private withDeadline<T>(promise: Promise<T>, api: string, reqId: string, options: RequestOptions): Promise<T> {
+    const timeoutMs = options.timeoutMs ?? this.defaultTimeoutMs;
+    const signal = options.signal;
+    if (timeoutMs <= 0 && !signal) {
+      return promise;
+    }
+
+    return new Promise<T>((resolve, reject) => {
+      let timer: ReturnType<typeof setTimeout> | null = null;
+
+      const onAbort = () => {
+        cleanup();
+        reject(new GatewayAbortError(api, reqId, signal!.reason));
+      };
+
+      const cleanup = () => {
+        if (timer) {
+          clearTimeout(timer);
+          timer = null;
+        }
+        signal?.removeEventListener('abort', onAbort);
+      };
+
+      if (timeoutMs > 0) {
+        timer = setTimeout(() => {
+          cleanup();
+          this.logger.warn(`Request timed out after ${timeoutMs}ms`, { api, reqId });
+          reject(new GatewayTimeoutError(api, reqId, timeoutMs));
+        }, timeoutMs);
+      }
+      signal?.addEventListener('abort', onAbort);
+
+      promise.then(
+        (value) => {
+          cleanup();
+          resolve(value);
+        },
+        (error) => {
+          cleanup();
+          reject(error);
+        }
+      );
+    });
+  }
 }
@@ -0,0 +1,163 @@
+/**
+ * Gateway TypeScript SDK - 负载压缩
+ *
+ * 超过阈值的发布内容以 gzip/deflate 压缩后 base64 编码，并通过 X-Content-Encoding 头部标记；
+ * 收到带标记的推送时自动解压。Node.js 使用 zlib，浏览器使用 CompressionStream，服务器无需感知
+ */
+
+import type { InputType, ZlibOptions } from 'zlib';
+import { isBinaryPush } from './binary.js';
+import { decodeBase64, encodeBase64, utf8Decode, utf8Encode } from './encoding.js';
+import { loadNodeModule } from './platform.js';
+
+/** 压缩标记头部，值为压缩算法 */
+export const CONTENT_ENCODING_HEADER = 'X-Content-Encoding';
+
+/** 默认压缩阈值 (UTF-8 字节) */
+export const DEFAULT_COMPRESSION_THRESHOLD = 1024;
+
+/** 默认解压后的内容上限 (字节) */
+export const DEFAULT_MAX_DECOMPRESSED_BYTES = 16 * 1024 * 1024;
+
+export type CompressionAlgorithm = 'gzip' | 'deflate';
+
+/**
+ * 压缩配置
+ */
+export interface CompressionOptions {
+  /** 压缩算法 (默认: 'gzip') */
+  algorithm?: CompressionAlgorithm;
+  /** 内容达到该字节数 (文本按 UTF-8，二进制按原始字节) 时压缩 (默认: 1024) */
+  thresholdBytes?: number;
+  /** 推送解压后的内容上限 (字节，默认: 16MB)，超出时丢弃该推送，防止压缩炸弹 */
+  maxDecompressedBytes?: number;
+}
+
+type ZlibCallback = (error: Error | null, result: Buffer) => void;
+
+// 用到的 zlib 接口
+interface Zlib {
+  gzip(buf: InputType, options: ZlibOptions, callback: ZlibCallback): void;
+  gunzip(buf: InputType, options: ZlibOptions, callback: ZlibCallback): void;
+  deflate(buf: InputType, options: ZlibOptions, callback: ZlibCallback): void;
+  inflate(buf: InputType, options: ZlibOptions, callback: ZlibCallback): void;
+}
+
+// Node.js 环境下加载内置 zlib，浏览器中返回 null
+function loadZlib(): Promise<Zlib | null> {
+  return loadNodeModule<Zlib>('zlib').catch(() => null);
+}
+
+function outputTooLarge(maxBytes: number): Error {
+  return new Error(`Decompressed payload exceeds ${maxBytes} bytes`);
+}
+
+function runZlib(method: keyof Zlib, input: Uint8Array, zlib: Zlib, maxBytes?: number): Promise<Uint8Array> {
+  return new Promise((resolve, reject) => {
+    zlib[method](input, maxBytes === undefined ? {} : { maxOutputLength: maxBytes }, (error, result) => {
+      if (error) {
+        reject((error as NodeJS.ErrnoException).code === 'ERR_BUFFER_TOO_LARGE' && maxBytes !== undefined ? outputTooLarge(maxBytes) : error);
+      } else {
+        resolve(new Uint8Array(result.buffer, result.byteOffset, result.byteLength));
+      }
+    });
+  });
+}
+
+// 逐块读取输出，超过上限时立即取消，不会先把全部内容读入内存
+async function runStream(input: Uint8Array, stream: CompressionStream | DecompressionStream, maxBytes: number = Infinity): Promise<Uint8Array> {
+  const reader = new Blob([input as Uint8Array<ArrayBuffer>]).stream().pipeThrough(stream).getReader();
+  const chunks: Uint8Array[] = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    total += value.byteLength;
+    if (total > maxBytes) {
+      await reader.cancel();
+      throw outputTooLarge(maxBytes);
+    }
+    chunks.push(value);
+  }
+  const output = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return output;
+}
+
+/**
+ * 压缩字节
+ *
+ * @throws Error 当前环境既没有 zlib 也没有 CompressionStream
+ */
+export async function compressBytes(input: Uint8Array, algorithm: CompressionAlgorithm): Promise<Uint8Array> {
+  const zlib = await loadZlib();
+  if (zlib) {
+    return runZlib(algorithm === 'gzip' ? 'gzip' : 'deflate', input, zlib);
+  }
+  if (typeof CompressionStream !== 'undefined') {
+    return runStream(input, new CompressionStream(algorithm));
+  }
+  throw new Error('Compression is not supported in this environment');
+}
+
+/**
+ * 解压字节
+ *
+ * @param maxBytes - 解压后的字节数上限，未设置时不限制
+ * @throws Error 数据损坏、超出上限或当前环境不支持解压
+ */
+export async function decompressBytes(input: Uint8Array, algorithm: CompressionAlgorithm, maxBytes?: number): Promise<Uint8Array> {
+  const zlib = await loadZlib();
+  if (zlib) {
+    return runZlib(algorithm === 'gzip' ? 'gunzip' : 'inflate', input, zlib, maxBytes);
+  }
+  if (typeof DecompressionStream !== 'undefined') {
+    return runStream(input, new DecompressionStream(algorithm), maxBytes);
+  }
+  throw new Error('Decompression is not supported in this environment');
+}
+
+/**
+ * 按配置压缩发布内容，未达到阈值或压缩后没有变小时保持原样；二进制内容 (base64) 按原始字节压缩
+ *
+ * @returns 发送的内容，已压缩时同时设置 X-Content-Encoding 头部
+ */
+export async function compressPayload(data: string, headers: Map<string, string>, options: CompressionOptions): Promise<string> {
+  const algorithm = options.algorithm ?? 'gzip';
+  const bytes = isBinaryPush(headers) ? decodeBase64(data) : utf8Encode(data);
+  if (bytes.length < (options.thresholdBytes ?? DEFAULT_COMPRESSION_THRESHOLD) || headers.has(CONTENT_ENCODING_HEADER)) {
+    return data;
+  }
+  const encoded = encodeBase64(await compressBytes(bytes, algorithm));
+  if (encoded.length >= data.length) {
+    return data;
+  }
+  headers.set(CONTENT_ENCODING_HEADER, algorithm);
+  return encoded;
+}
+
+/**
+ * 解压带 X-Content-Encoding 头部的推送内容，并移除该头部；二进制内容解压后重新编码为 base64
+ *
+ * @param maxBytes - 解压后的字节数上限 (默认: 16MB)
+ * @throws Error 不支持的算法、数据损坏或超出上限
+ */
+export async function decompressPayload(data: string, headers: Map<string, string>, maxBytes: number = DEFAULT_MAX_DECOMPRESSED_BYTES): Promise<string> {
+  const algorithm = headers.get(CONTENT_ENCODING_HEADER);
+  if (algorithm === undefined) {
+    return data;
+  }
+  if (algorithm !== 'gzip' && algorithm !== 'deflate') {
+    throw new Error(`Unsupported content encoding: ${algorithm}`);
+  }
+  const bytes = await decompressBytes(decodeBase64(data), algorithm, maxBytes);
+  const text = isBinaryPush(headers) ? encodeBase64(bytes) : utf8Decode(bytes);
+  headers.delete(CONTENT_ENCODING_HEADER);
+  return text;
+}
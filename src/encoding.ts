@@ -0,0 +1,58 @@
+/**
+ * Gateway TypeScript SDK - 编码工具
+ *
+ * UTF-8 与 base64 转换，浏览器与 Node.js 通用
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * 字符串按 UTF-8 编码
+ */
+export function utf8Encode(text: string): Uint8Array {
+  return textEncoder.encode(text);
+}
+
+/**
+ * UTF-8 字节解码为字符串
+ */
+export function utf8Decode(bytes: Uint8Array): string {
+  return textDecoder.decode(bytes);
+}
+
+/**
+ * 字节编码为 base64
+ */
+export function encodeBase64(bytes: Uint8Array): string {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+  }
+  // btoa 只接受 Latin-1 字符串，分段转换避免参数过多
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...Array.from(bytes.subarray(i, i + 0x8000)));
+  }
+  return btoa(binary);
+}
+
+/**
+ * base64 解码为字节
+ *
+ * @throws Error 不是合法的 base64
+ */
+export function decodeBase64(text: string): Uint8Array {
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(text) || text.length % 4 === 1) {
+    throw new Error('Invalid base64 data');
+  }
+  if (typeof Buffer !== 'undefined') {
+    const buffer = Buffer.from(text, 'base64');
+    return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  }
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
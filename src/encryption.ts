@@ -0,0 +1,199 @@
+/**
+ * Gateway TypeScript SDK - 端到端加密
+ *
+ * 私有频道 (默认 `@user:`、`@session:`) 的发布内容以 AES-GCM 加密后 base64 编码，网关和 Hook 只能看到密文；
+ * 密钥由调用方的 keyProvider 提供，密钥 ID 写入 X-Key-Id 头部以便轮换。浏览器使用 WebCrypto，Node.js 使用 crypto.webcrypto
+ */
+
+import type { GatewayEncryptionError } from './errors.js';
+import { decodeBase64, encodeBase64, utf8Decode, utf8Encode } from './encoding.js';
+import { getWebCrypto } from './platform.js';
+
+/** 加密标记头部，值为加密算法 */
+export const ENCRYPTION_HEADER = 'X-Encryption';
+
+/** 密钥 ID 头部 */
+export const KEY_ID_HEADER = 'X-Key-Id';
+
+/** 加密算法标识 */
+export const ENCRYPTION_ALGORITHM = 'aes-gcm';
+
+// AES-GCM 推荐的 IV 长度 (字节)
+const IV_LENGTH = 12;
+
+/**
+ * 密钥，可以是 WebCrypto 的 AES-GCM CryptoKey，或 16/24/32 字节的原始密钥
+ */
+export type KeyMaterial = CryptoKey | Uint8Array;
+
+/**
+ * 频道当前使用的加密密钥
+ */
+export interface ChannelKey {
+  keyId: string;
+  key: KeyMaterial;
+}
+
+/**
+ * 密钥提供者
+ */
+export interface KeyProvider {
+  /** 返回频道当前的加密密钥，返回 null 时发布失败 (不会以明文发送) */
+  getEncryptionKey(cmd: string): ChannelKey | null | Promise<ChannelKey | null>;
+  /** 按密钥 ID 返回解密密钥，轮换后仍需为未过期的旧 ID 返回密钥；未知 ID 返回 null */
+  getDecryptionKey(cmd: string, keyId: string): KeyMaterial | null | Promise<KeyMaterial | null>;
+}
+
+/**
+ * 无法解密的推送
+ */
+export interface UndecryptablePush {
+  cmd: string;
+  /** 收到的原始 (加密) 内容 */
+  data: string;
+  headers: Map<string, string>;
+}
+
+/**
+ * 加密配置
+ */
+export interface EncryptionOptions {
+  keyProvider: KeyProvider;
+  /** 需要加密的频道 (默认: isPrivateChannel) */
+  channels?: (cmd: string) => boolean;
+  /** 推送无法解密时调用 (error.code 为 DECRYPTION_FAILED)，该推送不会分发给观察者 */
+  onDecryptError?: (error: GatewayEncryptionError, push: UndecryptablePush) => void;
+}
+
+/**
+ * 默认的加密范围：`@user:` 和 `@session:` 私有频道
+ */
+export function isPrivateChannel(cmd: string): boolean {
+  return cmd.startsWith('@user:') || cmd.startsWith('@session:');
+}
+
+// 原始密钥只导入一次
+const importedKeys: WeakMap<Uint8Array, Promise<CryptoKey>> = new WeakMap();
+
+function toCryptoKey(key: KeyMaterial): Promise<CryptoKey> {
+  if (!(key instanceof Uint8Array)) {
+    return Promise.resolve(key);
+  }
+  let imported = importedKeys.get(key);
+  if (!imported) {
+    imported = getWebCrypto().then((webCrypto) =>
+      webCrypto.subtle.importKey('raw', key as Uint8Array<ArrayBuffer>, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt'])
+    );
+    importedKeys.set(key, imported);
+  }
+  return imported;
+}
+
+/**
+ * 加密内容，返回 base64(IV + 密文)；频道名作为附加认证数据，密文不能被转发到其他频道
+ */
+export async function encryptText(cmd: string, text: string, key: KeyMaterial): Promise<string> {
+  const webCrypto = await getWebCrypto();
+  const iv = webCrypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = await webCrypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: utf8Encode(cmd) as Uint8Array<ArrayBuffer> },
+    await toCryptoKey(key),
+    utf8Encode(text) as Uint8Array<ArrayBuffer>
+  );
+  const output = new Uint8Array(IV_LENGTH + ciphertext.byteLength);
+  output.set(iv);
+  output.set(new Uint8Array(ciphertext), IV_LENGTH);
+  return encodeBase64(output);
+}
+
+/**
+ * 解密 encryptText 的输出
+ *
+ * @throws Error 密钥不匹配、频道不一致或数据被篡改
+ */
+export async function decryptText(cmd: string, data: string, key: KeyMaterial): Promise<string> {
+  const bytes = decodeBase64(data);
+  if (bytes.length <= IV_LENGTH) {
+    throw new Error('Encrypted payload is too short');
+  }
+  const webCrypto = await getWebCrypto();
+  const plaintext = await webCrypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: bytes.slice(0, IV_LENGTH), additionalData: utf8Encode(cmd) as Uint8Array<ArrayBuffer> },
+    await toCryptoKey(key),
+    bytes.slice(IV_LENGTH) as Uint8Array<ArrayBuffer>
+  );
+  return utf8Decode(new Uint8Array(plaintext));
+}
+
+/**
+ * 频道加解密，由 GatewayClient 内部使用
+ */
+export class PayloadCipher {
+  private keyProvider: KeyProvider;
+  private channels: (cmd: string) => boolean;
+  private onDecryptError?: EncryptionOptions['onDecryptError'];
+
+  constructor(options: EncryptionOptions) {
+    this.keyProvider = options.keyProvider;
+    this.channels = options.channels || isPrivateChannel;
+    this.onDecryptError = options.onDecryptError;
+  }
+
+  /**
+   * 频道的发布内容是否需要加密
+   */
+  appliesTo(cmd: string): boolean {
+    return this.channels(cmd);
+  }
+
+  /**
+   * 加密发布内容并设置 X-Encryption / X-Key-Id 头部
+   *
+   * @throws Error 没有可用的密钥或加密失败
+   */
+  async encrypt(cmd: string, data: string, headers: Map<string, string>): Promise<string> {
+    const channelKey = await this.keyProvider.getEncryptionKey(cmd);
+    if (!channelKey) {
+      throw new Error(`No encryption key for channel '${cmd}'`);
+    }
+    const encrypted = await encryptText(cmd, data, channelKey.key);
+    headers.set(ENCRYPTION_HEADER, ENCRYPTION_ALGORITHM);
+    headers.set(KEY_ID_HEADER, channelKey.keyId);
+    return encrypted;
+  }
+
+  /**
+   * 解密带 X-Encryption 头部的推送内容，并移除加密相关头部
+   *
+   * @throws Error 不支持的算法、未知的密钥 ID 或解密失败
+   */
+  async decrypt(cmd: string, data: string, headers: Map<string, string>): Promise<string> {
+    const algorithm = headers.get(ENCRYPTION_HEADER);
+    if (algorithm !== ENCRYPTION_ALGORITHM) {
+      throw new Error(`Unsupported encryption: ${algorithm}`);
+    }
+    const keyId = headers.get(KEY_ID_HEADER);
+    if (!keyId) {
+      throw new Error('Encrypted push has no key id');
+    }
+    const key = await this.keyProvider.getDecryptionKey(cmd, keyId);
+    if (!key) {
+      throw new Error(`Unknown key id '${keyId}' for channel '${cmd}'`);
+    }
+    const text = await decryptText(cmd, data, key);
+    headers.delete(ENCRYPTION_HEADER);
+    headers.delete(KEY_ID_HEADER);
+    return text;
+  }
+
+  /**
+   * 通知调用方推送无法解密，回调异常被忽略
+   */
+  reportDecryptError(error: GatewayEncryptionError, push: UndecryptablePush): void {
+    try {
+      this.onDecryptError?.(error, push);
+    } catch {
+      // 错误处理函数自身的异常不影响推送处理
+    }
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * Gateway TypeScript SDK - 错误类型
+ *
+ * SDK 抛出的所有错误都继承自 GatewayError，携带稳定的 code、请求ID和 API 路径，
+ * 调用方可以通过 instanceof 或 code 区分处理
+ */
+
+/**
+ * 错误代码
+ */
+export enum GatewayErrorCode {
+  TIMEOUT = 'TIMEOUT',
+  ABORTED = 'ABORTED',
+  TRANSPORT = 'TRANSPORT',
+  SERVER_REJECTED = 'SERVER_REJECTED',
+  DUPLICATE_OBSERVER = 'DUPLICATE_OBSERVER',
+  NOT_SUBSCRIBED = 'NOT_SUBSCRIBED',
+  INVALID_HEADER = 'INVALID_HEADER',
+  OUTBOX_FULL = 'OUTBOX_FULL',
+  OUTBOX_EXPIRED = 'OUTBOX_EXPIRED',
+  STREAM_OVERFLOW = 'STREAM_OVERFLOW',
+  REMOTE_ERROR = 'REMOTE_ERROR',
+  DECODE_ERROR = 'DECODE_ERROR',
+  INVALID_HOOK = 'INVALID_HOOK',
+  INTERCEPTOR_FAILED = 'INTERCEPTOR_FAILED',
+  AUTH_FAILED = 'AUTH_FAILED',
+  QUEUE_FULL = 'QUEUE_FULL',
+  QUEUE_DROPPED = 'QUEUE_DROPPED',
+  ENCRYPTION_FAILED = 'ENCRYPTION_FAILED',
+  DECRYPTION_FAILED = 'DECRYPTION_FAILED',
+  SIGNING_FAILED = 'SIGNING_FAILED'
+}
+
+/**
+ * SDK 错误基类
+ */
+export class GatewayError extends Error {
+  readonly code: GatewayErrorCode;
+  readonly api: string;
+  readonly reqId: string;
+
+  constructor(code: GatewayErrorCode, message: string, api: string, reqId: string) {
+    super(message);
+    this.name = 'GatewayError';
+    this.code = code;
+    this.api = api;
+    this.reqId = reqId;
+  }
+}
+
+/**
+ * 请求超时错误
+ *
+ * 在 timeoutMs 内未收到响应时抛出。注意底层请求不会被撤回，服务器可能仍会处理该请求
+ */
+export class GatewayTimeoutError extends GatewayError {
+  readonly timeoutMs: number;
+
+  constructor(api: string, reqId: string, timeoutMs: number) {
+    super(GatewayErrorCode.TIMEOUT, `${api} timed out after ${timeoutMs}ms (reqId: ${reqId})`, api, reqId);
+    this.name = 'GatewayTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * 请求被 AbortSignal 取消
+ */
+export class GatewayAbortError extends GatewayError {
+  readonly reason: unknown;
+
+  constructor(api: string, reqId: string, reason?: unknown) {
+    super(GatewayErrorCode.ABORTED, `${api} aborted (reqId: ${reqId})${reason !== undefined ? `: ${reason}` : ''}`, api, reqId);
+    this.name = 'GatewayAbortError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * 底层连接或传输失败，原始错误保存在 cause 中
+ */
+export class GatewayTransportError extends GatewayError {
+  readonly cause: unknown;
+
+  constructor(api: string, reqId: string, cause: unknown) {
+    super(GatewayErrorCode.TRANSPORT, `${api} failed: ${cause}`, api, reqId);
+    this.name = 'GatewayTransportError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * 服务器返回了非空 errMsg
+ */
+export class GatewayServerRejectedError extends GatewayError {
+  readonly errMsg: string;
+
+  constructor(api: string, reqId: string, errMsg: string) {
+    super(GatewayErrorCode.SERVER_REJECTED, `${api} rejected by server: ${errMsg}`, api, reqId);
+    this.name = 'GatewayServerRejectedError';
+    this.errMsg = errMsg;
+  }
+}
+
+/**
+ * 同一观察者重复订阅同一频道
+ */
+export class GatewayDuplicateObserverError extends GatewayError {
+  readonly cmd: string;
+  readonly observer: string;
+
+  constructor(api: string, reqId: string, cmd: string, observer: string) {
+    super(
+      GatewayErrorCode.DUPLICATE_OBSERVER,
+      `Observer '${observer}' already subscribed to command '${cmd}'. Please unsubscribe first.`,
+      api,
+      reqId
+    );
+    this.name = 'GatewayDuplicateObserverError';
+    this.cmd = cmd;
+    this.observer = observer;
+  }
+}
+
+/**
+ * 取消订阅时频道或观察者未订阅
+ */
+export class GatewayNotSubscribedError extends GatewayError {
+  readonly cmd: string;
+  readonly observer: string | null;
+
+  constructor(api: string, reqId: string, cmd: string, observer: string | null = null) {
+    super(
+      GatewayErrorCode.NOT_SUBSCRIBED,
+      observer === null
+        ? `No subscriptions found for command '${cmd}'`
+        : `Observer '${observer}' not found for command '${cmd}'`,
+      api,
+      reqId
+    );
+    this.name = 'GatewayNotSubscribedError';
+    this.cmd = cmd;
+    this.observer = observer;
+  }
+}
+
+/**
+ * 请求头部不合法 (如手动设置了由 SDK 维护的头部)
+ */
+export class GatewayInvalidHeaderError extends GatewayError {
+  readonly header: string;
+
+  constructor(api: string, reqId: string, header: string, message: string) {
+    super(GatewayErrorCode.INVALID_HEADER, message, api, reqId);
+    this.name = 'GatewayInvalidHeaderError';
+    this.header = header;
+  }
+}
+
+/**
+ * 离线发件箱拒绝或丢弃了消息 (OUTBOX_FULL / OUTBOX_EXPIRED)
+ */
+export class GatewayOutboxError extends GatewayError {
+  constructor(code: GatewayErrorCode.OUTBOX_FULL | GatewayErrorCode.OUTBOX_EXPIRED, api: string, reqId: string, message: string) {
+    super(code, message, api, reqId);
+    this.name = 'GatewayOutboxError';
+  }
+}
+
+/**
+ * 消息流缓冲区已满 (overflow 策略为 'error' 时抛出)
+ */
+export class GatewayStreamOverflowError extends GatewayError {
+  readonly cmd: string;
+  readonly bufferSize: number;
+
+  constructor(api: string, reqId: string, cmd: string, bufferSize: number) {
+    super(GatewayErrorCode.STREAM_OVERFLOW, `Stream buffer for command '${cmd}' overflowed (bufferSize: ${bufferSize})`, api, reqId);
+    this.name = 'GatewayStreamOverflowError';
+    this.cmd = cmd;
+    this.bufferSize = bufferSize;
+  }
+}
+
+/**
+ * RPC 响应方处理请求失败，errMsg 为响应方返回的错误信息
+ */
+export class GatewayRemoteError extends GatewayError {
+  readonly cmd: string;
+  readonly errMsg: string;
+
+  constructor(api: string, reqId: string, cmd: string, errMsg: string) {
+    super(GatewayErrorCode.REMOTE_ERROR, `Request to '${cmd}' failed on responder: ${errMsg}`, api, reqId);
+    this.name = 'GatewayRemoteError';
+    this.cmd = cmd;
+    this.errMsg = errMsg;
+  }
+}
+
+/**
+ * 响应无法按期望的格式解码 (如代理响应不是合法 JSON)，原始错误保存在 cause 中
+ */
+export class GatewayDecodeError extends GatewayError {
+  readonly cause: unknown;
+  readonly text: string;
+
+  constructor(api: string, reqId: string, cause: unknown, text: string) {
+    super(GatewayErrorCode.DECODE_ERROR, `${api} response could not be decoded: ${cause}`, api, reqId);
+    this.name = 'GatewayDecodeError';
+    this.cause = cause;
+    this.text = text;
+  }
+}
+
+/**
+ * 收到的 Hook 回调无法解析 (请求体不是合法 JSON 或无法识别 API)
+ */
+export class GatewayHookError extends GatewayError {
+  constructor(api: string, reqId: string, message: string) {
+    super(GatewayErrorCode.INVALID_HOOK, message, api, reqId);
+    this.name = 'GatewayHookError';
+  }
+}
+
+/**
+ * 拦截器抛出异常，phase 为出错的阶段，原始错误保存在 cause 中
+ */
+export class GatewayInterceptorError extends GatewayError {
+  readonly phase: 'request' | 'response' | 'push';
+  readonly cause: unknown;
+
+  constructor(api: string, reqId: string, phase: 'request' | 'response' | 'push', cause: unknown) {
+    super(GatewayErrorCode.INTERCEPTOR_FAILED, `${phase} interceptor failed for ${api}: ${cause}`, api, reqId);
+    this.name = 'GatewayInterceptorError';
+    this.phase = phase;
+    this.cause = cause;
+  }
+}
+
+/**
+ * tokenProvider 获取鉴权令牌失败，原始错误保存在 cause 中
+ */
+export class GatewayAuthError extends GatewayError {
+  readonly cause: unknown;
+
+  constructor(api: string, reqId: string, cause: unknown) {
+    super(GatewayErrorCode.AUTH_FAILED, `${api} could not obtain auth token: ${cause}`, api, reqId);
+    this.name = 'GatewayAuthError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * 发送队列已满被拒绝 (QUEUE_FULL)，或被更新的请求挤出队列 (QUEUE_DROPPED)
+ */
+export class GatewayQueueError extends GatewayError {
+  constructor(code: GatewayErrorCode.QUEUE_FULL | GatewayErrorCode.QUEUE_DROPPED, api: string, reqId: string, message: string) {
+    super(code, message, api, reqId);
+    this.name = 'GatewayQueueError';
+  }
+}
+
+/**
+ * 私有频道的发布内容无法加密 (ENCRYPTION_FAILED)，或收到的推送无法解密 (DECRYPTION_FAILED)，原始错误保存在 cause 中
+ */
+export class GatewayEncryptionError extends GatewayError {
+  readonly cmd: string;
+  readonly keyId: string | null;
+  readonly cause: unknown;
+
+  constructor(
+    code: GatewayErrorCode.ENCRYPTION_FAILED | GatewayErrorCode.DECRYPTION_FAILED,
+    api: string,
+    reqId: string,
+    cmd: string,
+    keyId: string | null,
+    cause: unknown
+  ) {
+    const action = code === GatewayErrorCode.ENCRYPTION_FAILED ? 'encrypted' : 'decrypted';
+    super(code, `Payload for '${cmd}' could not be ${action}: ${cause}`, api, reqId);
+    this.name = 'GatewayEncryptionError';
+    this.cmd = cmd;
+    this.keyId = keyId;
+    this.cause = cause;
+  }
+}
+
+/**
+ * 发布内容无法签名 (如没有可用的签名密钥)，原始错误保存在 cause 中
+ */
+export class GatewaySigningError extends GatewayError {
+  readonly cmd: string;
+  readonly cause: unknown;
+
+  constructor(api: string, reqId: string, cmd: string, cause: unknown) {
+    super(GatewayErrorCode.SIGNING_FAILED, `Payload for '${cmd}' could not be signed: ${cause}`, api, reqId);
+    this.name = 'GatewaySigningError';
+    this.cmd = cmd;
+    this.cause = cause;
+  }
+}
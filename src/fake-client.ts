@@ -0,0 +1,218 @@
+/**
+ * Gateway TypeScript SDK - 测试替身
+ *
+ * createFakeClient() 返回使用内存传输的 GatewayClient 子类：所有请求都被记录而不访问网络，
+ * emitPush() 通过真实的推送分发逻辑驱动观察者，并提供常用的断言方法
+ */
+
+import type { Client } from 'ts-streamclient';
+import { GatewayClient } from './client.js';
+import type { GatewayClientOptions } from './client.js';
+import { NoopLogger } from './logger.js';
+
+/**
+ * 记录的一次请求
+ */
+export interface RecordedCall {
+  /** 完整 API 路径，如 'API/Publish' */
+  api: string;
+  /** API 名称 (路径最后一段)，如 'Publish' */
+  kind: string;
+  /** 原始请求数据 */
+  data: string;
+  /** 解析后的请求体，非 JSON 时为原始字符串 */
+  body: unknown;
+  /** 请求头部 (包括 SDK 添加的 X-Req-Id 和 api) */
+  headers: Map<string, string>;
+  timestamp: number;
+}
+
+/**
+ * 预设响应：响应对象、原始字符串，或根据请求生成响应的函数
+ */
+export type FakeResponse = object | string | ((call: RecordedCall) => object | string);
+
+/**
+ * 发布断言的匹配条件
+ */
+export interface PublishMatcher {
+  /** 消息内容 */
+  data?: string;
+  /** 必须包含的头部 */
+  headers?: Record<string, string>;
+}
+
+// 内存传输：记录请求并返回预设响应
+class FakeTransport {
+  onPush: ((res: { toString(): string }) => void | Promise<void>) | null = null;
+  onPeerClosed: ((err: Error) => void | Promise<void>) | null = null;
+  readonly calls: RecordedCall[] = [];
+  readonly responses: Map<string, FakeResponse> = new Map();
+  readonly failures: Map<string, Error> = new Map();
+
+  async Send(data: string, header: Map<string, string>): Promise<[{ toString(): string } | null, Error | null]> {
+    const api = header.get('api') || '';
+    const kind = api.substring(api.lastIndexOf('/') + 1);
+    let body: unknown = data;
+    try {
+      body = JSON.parse(data);
+    } catch {
+      // 非 JSON 请求 (如 Proxy) 保留原始字符串
+    }
+    const call: RecordedCall = { api, kind, data, body, headers: new Map(header), timestamp: Date.now() };
+    this.calls.push(call);
+
+    const failure = this.failures.get(api) || this.failures.get(kind);
+    if (failure) {
+      return [null, failure];
+    }
+    const preset = this.responses.get(api) ?? this.responses.get(kind);
+    const response = typeof preset === 'function' ? preset(call) : preset ?? (kind === 'Proxy' ? '' : { errMsg: null });
+    const text = typeof response === 'string' ? response : JSON.stringify(response);
+    return [{ toString: () => text }, null];
+  }
+
+  async Recover(): Promise<Error | null> {
+    return null;
+  }
+}
+
+/**
+ * 测试用 GatewayClient
+ *
+ * @example
+ * ```typescript
+ * const client = createFakeClient();
+ * const widget = new NewsWidget(client);      // 被测代码使用真实的 GatewayClient 接口
+ *
+ * await widget.mount();
+ * client.assertObservers('news', 1);
+ *
+ * await client.emitPush('news', 'breaking', { 'X-Req-Id': 'push-1' });
+ * expect(widget.items).toEqual(['breaking']);
+ *
+ * await widget.share('hi');
+ * client.assertPublished('chat', { data: 'hi', headers: { 'X-Source': 'widget' } });
+ * ```
+ */
+export class FakeGatewayClient extends GatewayClient {
+  private transport: FakeTransport;
+
+  constructor(transport: FakeTransport, clientId: string, options: GatewayClientOptions) {
+    super(transport as unknown as Client, clientId, options);
+    this.transport = transport;
+  }
+
+  /**
+   * 记录的所有请求
+   */
+  get calls(): RecordedCall[] {
+    return this.transport.calls;
+  }
+
+  /**
+   * 按 API 筛选记录的请求
+   *
+   * @param api - API 名称 ('Publish') 或完整路径 ('API/Publish')
+   */
+  callsTo(api: string): RecordedCall[] {
+    return this.transport.calls.filter((call) => call.api === api || call.kind === api);
+  }
+
+  /**
+   * 记录的所有发布
+   */
+  get published(): Array<{ cmd: string; data: string; headers: Map<string, string> }> {
+    return this.callsTo('Publish').map((call) => {
+      const body = call.body as { cmd: string; data: string };
+      return { cmd: body.cmd, data: body.data, headers: call.headers };
+    });
+  }
+
+  /**
+   * 预设某个 API 的响应
+   *
+   * @param api - API 名称或完整路径
+   * @param response - 响应对象、原始字符串或生成函数
+   */
+  respondWith(api: string, response: FakeResponse): void {
+    this.transport.responses.set(api, response);
+  }
+
+  /**
+   * 让某个 API 的请求以传输错误失败，error 为 null 时恢复
+   */
+  failWith(api: string, error: Error | null): void {
+    if (error) {
+      this.transport.failures.set(api, error);
+    } else {
+      this.transport.failures.delete(api);
+    }
+  }
+
+  /**
+   * 通过真实的推送分发逻辑投递一条消息
+   */
+  async emitPush(cmd: string, data: string, headers: Record<string, string> | Map<string, string> = {}): Promise<void> {
+    const header = headers instanceof Map ? Object.fromEntries(headers) : headers;
+    const text = JSON.stringify({ cmd, data, header });
+    await this.transport.onPush?.({ toString: () => text });
+  }
+
+  /**
+   * 模拟连接断开，触发重连和重订阅流程
+   */
+  async simulateDisconnect(error: Error = new Error('1006: abnormal closure (fake)')): Promise<void> {
+    await this.transport.onPeerClosed?.(error);
+  }
+
+  /**
+   * 是否向频道发布过匹配的消息
+   */
+  wasPublished(cmd: string, matcher: PublishMatcher = {}): boolean {
+    return this.published.some((message) =>
+      message.cmd === cmd &&
+      (matcher.data === undefined || message.data === matcher.data) &&
+      Object.entries(matcher.headers || {}).every(([key, value]) => message.headers.get(key) === value)
+    );
+  }
+
+  /**
+   * 断言向频道发布过匹配的消息
+   *
+   * @throws Error 未找到匹配的发布，错误信息列出实际发布过的消息
+   */
+  assertPublished(cmd: string, matcher: PublishMatcher = {}): void {
+    if (!this.wasPublished(cmd, matcher)) {
+      const actual = this.published.map((message) => `${message.cmd}: ${message.data}`).join('; ') || 'none';
+      throw new Error(`Expected a publish to '${cmd}' matching ${JSON.stringify(matcher)}, got: ${actual}`);
+    }
+  }
+
+  /**
+   * 断言频道的观察者数量
+   */
+  assertObservers(cmd: string, count: number): void {
+    const actual = this.getObserverCount(cmd);
+    if (actual !== count) {
+      throw new Error(`Expected ${count} observers on '${cmd}', got ${actual}`);
+    }
+  }
+
+  /**
+   * 清空记录的请求
+   */
+  resetCalls(): void {
+    this.transport.calls.length = 0;
+  }
+}
+
+/**
+ * 创建测试用 GatewayClient，不访问网络
+ *
+ * @param clientId - 客户端ID (默认: 'FAKE')
+ * @param options - 客户端配置，默认使用 NoopLogger
+ */
+export function createFakeClient(clientId: string = 'FAKE', options: GatewayClientOptions = {}): FakeGatewayClient {
+  return new FakeGatewayClient(new FakeTransport(), clientId, { logger: NoopLogger, ...options });
+}
@@ -0,0 +1,275 @@
+/**
+ * Gateway TypeScript SDK - Hook 接收端 (Node.js)
+ *
+ * 供业务服务器接收网关的 Hook 回调 (x-hook-url)：解析请求体、提取 X-Req-Id 和来源 API，
+ * 按 API 分发到对应的处理函数并返回网关期望的 JSON 响应。
+ * 可直接用于 http.createServer、Express 路由和 Koa 中间件
+ */
+
+import type { IncomingMessage, ServerResponse } from 'http';
+import { GatewayHookError } from './errors.js';
+
+/**
+ * Hook 事件公共字段
+ */
+interface HookEventBase {
+  /** 来源 API 完整路径 (如 'API/Subscribe')，网关未提供时按请求体推断 */
+  api: string;
+  /** 触发 Hook 的原始请求ID */
+  reqId: string;
+  /** Hook 请求头 (键为小写) */
+  headers: Record<string, string>;
+}
+
+export interface SubscribeHookEvent extends HookEventBase {
+  type: 'Subscribe';
+  cmd: string[];
+}
+
+export interface UnsubscribeHookEvent extends HookEventBase {
+  type: 'Unsubscribe';
+  cmd: string[];
+}
+
+export interface PublishHookEvent extends HookEventBase {
+  type: 'Publish';
+  cmd: string;
+  data: string;
+}
+
+export interface PingHookEvent extends HookEventBase {
+  type: 'Ping';
+}
+
+/**
+ * 网关发送的 Hook 事件
+ */
+export type HookEvent = SubscribeHookEvent | UnsubscribeHookEvent | PublishHookEvent | PingHookEvent;
+
+/**
+ * 按 API 分发的处理函数，返回值作为响应中的 data 字段
+ * 未注册处理函数的事件直接返回成功
+ */
+export interface HookHandlers {
+  Subscribe?: (event: SubscribeHookEvent) => unknown | Promise<unknown>;
+  Unsubscribe?: (event: UnsubscribeHookEvent) => unknown | Promise<unknown>;
+  Publish?: (event: PublishHookEvent) => unknown | Promise<unknown>;
+  Ping?: (event: PingHookEvent) => unknown | Promise<unknown>;
+  /** 处理函数抛出异常或请求无法解析时调用，用于日志 */
+  onError?: (error: unknown, event: HookEvent | null) => void;
+}
+
+/**
+ * Hook 响应
+ */
+export interface HookResult {
+  status: number;
+  body: {
+    success: boolean;
+    reqId: string;
+    data?: unknown;
+    error?: string;
+  };
+}
+
+type RawHeaders = Record<string, string | string[] | undefined>;
+
+// 将 Node 请求头规范化为小写键的单值对象
+function normalizeHeaders(headers: RawHeaders): Record<string, string> {
+  const result: Record<string, string> = {};
+  for (const [key, value] of Object.entries(headers)) {
+    if (value !== undefined) {
+      result[key.toLowerCase()] = Array.isArray(value) ? value.join(', ') : value;
+    }
+  }
+  return result;
+}
+
+/**
+ * 解析 Hook 请求
+ *
+ * 来源 API 依次取自请求头 `api`、请求体中的 `headers.api`；都不存在时按请求体推断
+ * (cmd 为字符串视为 Publish，空请求体视为 Ping)。X-Req-Id 同样优先取请求头
+ *
+ * @param body - 原始请求体字符串，或已被框架解析的对象
+ * @param rawHeaders - 请求头
+ * @throws GatewayHookError 请求体不是合法 JSON 或无法识别 API
+ */
+export function parseHookEvent(body: string | Record<string, unknown> | null | undefined, rawHeaders: RawHeaders = {}): HookEvent {
+  const headers = normalizeHeaders(rawHeaders);
+  let payload: Record<string, unknown>;
+  if (typeof body === 'string') {
+    try {
+      payload = body.trim() === '' ? {} : JSON.parse(body);
+    } catch (error) {
+      throw new GatewayHookError(headers['api'] || '', headers['x-req-id'] || '', `Hook body is not valid JSON: ${error}`);
+    }
+  } else {
+    payload = body || {};
+  }
+
+  const bodyHeaders = normalizeHeaders((payload.headers as RawHeaders) || {});
+  const reqId = headers['x-req-id'] || bodyHeaders['x-req-id'] || '';
+  let api = headers['api'] || bodyHeaders['api'] || '';
+  if (!api) {
+    if (typeof payload.cmd === 'string') {
+      api = 'Publish';
+    } else if (payload.cmd === undefined) {
+      api = 'Ping';
+    }
+  }
+
+  const base = { api, reqId, headers };
+  const cmdList = Array.isArray(payload.cmd) ? payload.cmd.map(String) : [];
+  switch (api.substring(api.lastIndexOf('/') + 1)) {
+    case 'Subscribe':
+      return { ...base, type: 'Subscribe', cmd: cmdList };
+    case 'Unsubscribe':
+      return { ...base, type: 'Unsubscribe', cmd: cmdList };
+    case 'Publish':
+      return { ...base, type: 'Publish', cmd: String(payload.cmd ?? ''), data: String(payload.data ?? '') };
+    case 'Ping':
+      return { ...base, type: 'Ping' };
+    default:
+      throw new GatewayHookError(api, reqId, `Unable to determine hook API${api ? `: ${api}` : ''}`);
+  }
+}
+
+/**
+ * 将事件分发给对应的处理函数并生成响应
+ *
+ * 处理函数成功时返回 200，抛出异常时返回 500，响应体都带上原始请求ID
+ */
+export async function dispatchHookEvent(event: HookEvent, handlers: HookHandlers): Promise<HookResult> {
+  try {
+    let data: unknown;
+    switch (event.type) {
+      case 'Subscribe':
+        data = await handlers.Subscribe?.(event);
+        break;
+      case 'Unsubscribe':
+        data = await handlers.Unsubscribe?.(event);
+        break;
+      case 'Publish':
+        data = await handlers.Publish?.(event);
+        break;
+      case 'Ping':
+        data = await handlers.Ping?.(event);
+        break;
+    }
+    return { status: 200, body: data === undefined ? { success: true, reqId: event.reqId } : { success: true, reqId: event.reqId, data } };
+  } catch (error) {
+    handlers.onError?.(error, event);
+    return { status: 500, body: { success: false, reqId: event.reqId, error: error instanceof Error ? error.message : String(error) } };
+  }
+}
+
+/**
+ * 解析并处理一次 Hook 请求，请求无法解析时返回 400
+ */
+export async function handleHookRequest(
+  body: string | Record<string, unknown> | null | undefined,
+  headers: RawHeaders,
+  handlers: HookHandlers
+): Promise<HookResult> {
+  let event: HookEvent;
+  try {
+    event = parseHookEvent(body, headers);
+  } catch (error) {
+    handlers.onError?.(error, null);
+    const reqId = error instanceof GatewayHookError ? error.reqId : '';
+    return { status: 400, body: { success: false, reqId, error: error instanceof Error ? error.message : String(error) } };
+  }
+  return dispatchHookEvent(event, handlers);
+}
+
+// 读取请求体；Express 等框架已解析时直接使用 req.body
+async function readBody(req: IncomingMessage & { body?: unknown }): Promise<string | Record<string, unknown> | null> {
+  const parsed = req.body;
+  if (parsed !== undefined) {
+    if (typeof parsed === 'string' || parsed === null) {
+      return parsed;
+    }
+    // Buffer (如 express.raw) 按字符串解析
+    if (typeof Buffer !== 'undefined' && Buffer.isBuffer(parsed)) {
+      return parsed.toString('utf8');
+    }
+    return parsed as Record<string, unknown>;
+  }
+  if (req.readableEnded) {
+    return null;
+  }
+  return new Promise<string>((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk: string) => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 创建 Hook 请求处理函数，适用于 http.createServer 和 Express
+ *
+ * @example
+ * ```typescript
+ * const onHook = createHookHandler({
+ *   Subscribe: async ({ cmd, reqId }) => { await audit(cmd, reqId); },
+ *   Publish: ({ cmd, data }) => console.log(cmd, data)
+ * });
+ *
+ * http.createServer(onHook).listen(3000);   // Node http
+ * app.post('/webhook', onHook);              // Express (可搭配 express.json())
+ * ```
+ */
+export function createHookHandler(handlers: HookHandlers): (req: IncomingMessage, res: ServerResponse) => Promise<void> {
+  return async (req, res) => {
+    let result: HookResult;
+    try {
+      result = await handleHookRequest(await readBody(req), req.headers, handlers);
+    } catch (error) {
+      handlers.onError?.(error, null);
+      result = { status: 400, body: { success: false, reqId: '', error: String(error) } };
+    }
+    res.writeHead(result.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result.body));
+  };
+}
+
+/**
+ * Koa 上下文中用到的字段
+ */
+export interface KoaHookContext {
+  req: IncomingMessage;
+  request: { body?: unknown };
+  status: number;
+  body: unknown;
+  type: string;
+}
+
+/**
+ * 创建 Koa 中间件，兼容 koa-bodyparser (ctx.request.body) 或直接读取原始请求体
+ *
+ * @example
+ * ```typescript
+ * router.post('/webhook', createKoaHookMiddleware({ Ping: () => ({ pong: true }) }));
+ * ```
+ */
+export function createKoaHookMiddleware(handlers: HookHandlers): (ctx: KoaHookContext) => Promise<void> {
+  return async (ctx) => {
+    let result: HookResult;
+    try {
+      const parsed = ctx.request.body;
+      const body = parsed !== undefined ? parsed as Record<string, unknown> : await readBody(ctx.req);
+      result = await handleHookRequest(body, ctx.req.headers, handlers);
+    } catch (error) {
+      handlers.onError?.(error, null);
+      result = { status: 400, body: { success: false, reqId: '', error: String(error) } };
+    }
+    ctx.status = result.status;
+    ctx.type = 'application/json';
+    ctx.body = result.body;
+  };
+}
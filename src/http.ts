@@ -0,0 +1,206 @@
+/**
+ * Gateway TypeScript SDK - HTTP 代理客户端
+ *
+ * 在 `{rootUri}/Proxy` 之上提供 get/post/put/patch/delete/head 方法，
+ * 负责拼接查询参数、编码请求体、设置 Content-Type 并解码 JSON 响应
+ */
+
+import type { GatewayClient } from './client.js';
+import type { RequestOptions } from './types.js';
+import { HeaderBuilder, HttpMethod, X_REQ_ID } from './types.js';
+import { GatewayDecodeError } from './errors.js';
+
+/**
+ * 查询参数，数组展开为重复的键，null/undefined 被忽略
+ */
+export type HttpQuery = Record<string, string | number | boolean | null | undefined | Array<string | number | boolean>>;
+
+/**
+ * 请求体编码方式
+ *
+ * - json: JSON.stringify，Content-Type 为 application/json
+ * - text: 原样发送，Content-Type 为 text/plain
+ * - form: URL 编码，Content-Type 为 application/x-www-form-urlencoded
+ */
+export type HttpBodyType = 'json' | 'text' | 'form';
+
+/**
+ * HTTP 请求配置
+ */
+export interface HttpRequestOptions extends Omit<RequestOptions, 'throwOnErrMsg'> {
+  /** 查询参数，追加到 URL */
+  query?: HttpQuery;
+  /** 转发到目标服务的请求头 */
+  headers?: Record<string, string> | Map<string, string>;
+  /** 请求体编码方式，未设置时字符串按 text、URLSearchParams 按 form、其他按 json 编码 */
+  bodyType?: HttpBodyType;
+  /** 响应解码方式 (默认: 'json')，空响应解码为 null */
+  responseType?: 'json' | 'text';
+}
+
+/**
+ * HTTP 响应
+ *
+ * 网关目前只转发目标服务的响应体，status 为 null、headers 为空；
+ * 网关返回状态码和响应头后会在此填充
+ */
+export interface HttpResponse<T> {
+  status: number | null;
+  headers: Map<string, string>;
+  body: T;
+  /** 原始响应文本 */
+  text: string;
+}
+
+const CONTENT_TYPES: Record<HttpBodyType, string> = {
+  json: 'application/json',
+  text: 'text/plain;charset=UTF-8',
+  form: 'application/x-www-form-urlencoded'
+};
+
+/**
+ * 将查询参数追加到 URL
+ */
+export function buildUrl(url: string, query?: HttpQuery): string {
+  if (!query) {
+    return url;
+  }
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value === null || value === undefined) {
+      continue;
+    }
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach((item) => params.append(key, String(item)));
+  }
+  const search = params.toString();
+  if (!search) {
+    return url;
+  }
+  const hashIndex = url.indexOf('#');
+  const base = hashIndex >= 0 ? url.substring(0, hashIndex) : url;
+  const hash = hashIndex >= 0 ? url.substring(hashIndex) : '';
+  return `${base}${base.includes('?') ? '&' : '?'}${search}${hash}`;
+}
+
+/**
+ * 编码请求体
+ *
+ * @returns [请求体文本, 编码方式]，无请求体时编码方式为 null
+ */
+function encodeBody(body: unknown, bodyType?: HttpBodyType): [string, HttpBodyType | null] {
+  if (body === undefined || body === null) {
+    return ['', null];
+  }
+  const type = bodyType || (typeof body === 'string' ? 'text' : body instanceof URLSearchParams ? 'form' : 'json');
+  switch (type) {
+    case 'json':
+      return [typeof body === 'string' ? body : JSON.stringify(body), type];
+    case 'form':
+      if (typeof body === 'string' || body instanceof URLSearchParams) {
+        return [body.toString(), type];
+      }
+      return [new URLSearchParams(Object.entries(body as Record<string, unknown>).map(([key, value]) => [key, String(value)])).toString(), type];
+    case 'text':
+      return [String(body), type];
+  }
+}
+
+/**
+ * HTTP 代理客户端，通过 `client.http` 访问
+ *
+ * @example
+ * ```typescript
+ * interface User { id: number; name: string }
+ *
+ * const { body: users } = await client.http.get<User[]>('https://api.example.com/users', {
+ *   query: { page: 1, tags: ['a', 'b'] },
+ *   headers: { Authorization: 'Bearer token' },
+ *   timeoutMs: 5000
+ * });
+ *
+ * await client.http.post('https://api.example.com/users', { name: 'Alice' });
+ * await client.http.post('https://api.example.com/login', { user: 'a', pass: 'b' }, { bodyType: 'form' });
+ * ```
+ */
+export class HttpClient {
+  private client: GatewayClient;
+
+  constructor(client: GatewayClient) {
+    this.client = client;
+  }
+
+  get<T = unknown>(url: string, options: HttpRequestOptions = {}): Promise<HttpResponse<T>> {
+    return this.request<T>(HttpMethod.GET, url, undefined, options);
+  }
+
+  head(url: string, options: HttpRequestOptions = {}): Promise<HttpResponse<null>> {
+    return this.request<null>(HttpMethod.HEAD, url, undefined, options);
+  }
+
+  delete<T = unknown>(url: string, options: HttpRequestOptions = {}): Promise<HttpResponse<T>> {
+    return this.request<T>(HttpMethod.DELETE, url, undefined, options);
+  }
+
+  post<T = unknown>(url: string, body?: unknown, options: HttpRequestOptions = {}): Promise<HttpResponse<T>> {
+    return this.request<T>(HttpMethod.POST, url, body, options);
+  }
+
+  put<T = unknown>(url: string, body?: unknown, options: HttpRequestOptions = {}): Promise<HttpResponse<T>> {
+    return this.request<T>(HttpMethod.PUT, url, body, options);
+  }
+
+  patch<T = unknown>(url: string, body?: unknown, options: HttpRequestOptions = {}): Promise<HttpResponse<T>> {
+    return this.request<T>(HttpMethod.PATCH, url, body, options);
+  }
+
+  /**
+   * 通过网关代理发送 HTTP 请求
+   *
+   * @param method - HTTP 方法
+   * @param url - 目标 URL
+   * @param body - 请求体 (对象、字符串或 URLSearchParams)
+   * @param options - 查询参数、请求头、编码方式、超时和取消信号
+   * @throws GatewayDecodeError 响应不是合法 JSON (responseType 为 'json' 时)
+   */
+  async request<T = unknown>(method: HttpMethod, url: string, body?: unknown, options: HttpRequestOptions = {}): Promise<HttpResponse<T>> {
+    const api = `${this.client.getRootUri()}/Proxy`;
+    const [data, bodyType] = encodeBody(body, options.bodyType);
+
+    const builder = HeaderBuilder.create();
+    if (options.headers) {
+      builder.merge(options.headers);
+    }
+    const headers = builder.build();
+    const hasContentType = Array.from(headers.keys()).some((key) => key.toLowerCase() === 'content-type');
+    if (bodyType && !hasContentType) {
+      headers.set('Content-Type', CONTENT_TYPES[bodyType]);
+    }
+    const reqId = headers.get(X_REQ_ID) || this.client.getNextReqId();
+    headers.set(X_REQ_ID, reqId);
+    builder.merge(headers).setProxy(buildUrl(url, options.query), method);
+
+    const text = await this.client.sendRaw(api, data, builder.build(), {
+      timeoutMs: options.timeoutMs,
+      signal: options.signal
+    });
+
+    // HEAD 请求没有响应体
+    const decoded = method === HttpMethod.HEAD ? null as T : this.decode<T>(text, options.responseType || 'json', api, reqId);
+    return { status: null, headers: new Map(), body: decoded, text };
+  }
+
+  private decode<T>(text: string, responseType: 'json' | 'text', api: string, reqId: string): T {
+    if (text === '') {
+      return null as T;
+    }
+    if (responseType === 'text') {
+      return text as T;
+    }
+    try {
+      return JSON.parse(text) as T;
+    } catch (error) {
+      throw new GatewayDecodeError(api, reqId, error, text);
+    }
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Gateway TypeScript SDK - 进程内模拟网关
+ *
+ * 与 MockGateway 使用相同的请求处理、频道路由和测试控制，但不监听端口：connect() 返回的传输对象实现了
+ * ts-streamclient Client 的接口 (Send / onPush / onPeerClosed / Recover)，由 GatewayClient 直接使用，
+ * 不经过 WebSocket 帧编码。适合浏览器或不便启动 WebSocket 服务器的单元测试
+ */
+
+import type { Client } from 'ts-streamclient';
+import { GatewayClient } from './client.js';
+import type { GatewayClientOptions } from './client.js';
+import type { MockConnection, MockGatewayOptions } from './mock-gateway.js';
+import { MockGatewayCore } from './mock-gateway.js';
+
+// 进程内传输的响应对象，与 ts-streamclient Result 一样通过 toString() 读取内容
+interface InProcessResult {
+  toString(): string;
+}
+
+/**
+ * 进程内网关配置
+ */
+export type InProcessGatewayOptions = Pick<MockGatewayOptions, 'fetch'>;
+
+function result(text: string): InProcessResult {
+  return { toString: () => text };
+}
+
+/**
+ * 连接到进程内网关的传输对象，接口与 ts-streamclient Client 一致
+ */
+export class InProcessTransport implements MockConnection {
+  readonly clientId: string;
+  onPush: ((res: InProcessResult) => void | Promise<void>) | null = null;
+  onPeerClosed: ((err: Error) => void | Promise<void>) | null = null;
+  private gateway: InProcessGateway;
+  private connected: boolean = true;
+
+  constructor(gateway: InProcessGateway, clientId: string) {
+    this.gateway = gateway;
+    this.clientId = clientId;
+  }
+
+  /**
+   * 是否处于连接状态
+   */
+  get isConnected(): boolean {
+    return this.connected;
+  }
+
+  async Send(data: string, header: Map<string, string>): Promise<[InProcessResult | null, Error | null]> {
+    if (!this.connected) {
+      return [null, new Error('mock gateway: connection closed')];
+    }
+    return this.gateway.send(this, data, new Map(header));
+  }
+
+  async Recover(): Promise<Error | null> {
+    if (!this.gateway.isOnline) {
+      return new Error('mock gateway: server offline');
+    }
+    this.connected = true;
+    return null;
+  }
+
+  push(frame: string): void {
+    // 推送异步到达，与真实网络一致；客户端处理完成 (验证、解密、分发) 前计入 flushPushes
+    const delivered = new Promise<void>((resolve) => setTimeout(resolve, 0))
+      .then(() => this.onPush?.(result(frame)))
+      .then(() => undefined, () => undefined);
+    this.gateway.track(delivered);
+  }
+
+  /**
+   * 断开连接并通知客户端 (由 InProcessGateway.disconnect 调用)
+   */
+  close(reason: string): void {
+    if (!this.connected) {
+      return;
+    }
+    this.connected = false;
+    this.onPeerClosed?.(new Error(reason));
+  }
+}
+
+/**
+ * 进程内模拟网关
+ *
+ * @example
+ * ```typescript
+ * const gateway = new InProcessGateway();
+ * const alice = gateway.createClient('ALIC');
+ * const bob = gateway.createClient('BOB0');
+ *
+ * await bob.subscribe('news', Symbol('news'), (cmd, data) => console.log(data));
+ * await alice.publish('news', 'hello');
+ *
+ * await gateway.flushPushes();                // 等待推送处理完成
+ * gateway.disconnect('BOB0');                 // 触发断线重连和重订阅
+ * ```
+ */
+export class InProcessGateway extends MockGatewayCore {
+  private pendingPushes: Set<Promise<void>> = new Set();
+
+  constructor(options: InProcessGatewayOptions = {}) {
+    super(options.fetch);
+  }
+
+  /**
+   * 等待已发出的推送全部被客户端处理完成 (包括处理过程中触发的新推送)
+   */
+  async flushPushes(): Promise<void> {
+    while (this.pendingPushes.size > 0) {
+      await Promise.all(Array.from(this.pendingPushes));
+    }
+  }
+
+  /**
+   * 登记一次推送投递 (由 InProcessTransport.push 调用)
+   */
+  track(delivery: Promise<void>): void {
+    this.pendingPushes.add(delivery);
+    delivery.then(() => this.pendingPushes.delete(delivery));
+  }
+
+  /**
+   * 建立一条新连接
+   *
+   * @param clientId - 客户端ID，用于 `@client:{clientId}` 路由
+   */
+  connect(clientId: string = '0000'): InProcessTransport {
+    const transport = new InProcessTransport(this, clientId);
+    this.addConnection(transport);
+    return transport;
+  }
+
+  /**
+   * 创建连接到进程内网关的 GatewayClient
+   */
+  createClient(clientId: string = '0000', options: GatewayClientOptions = {}): GatewayClient {
+    return new GatewayClient(this.connect(clientId) as unknown as Client, clientId, options);
+  }
+
+  /**
+   * 断开所有连接并清空状态
+   */
+  close(): void {
+    this.closeConnections('mock gateway closed');
+  }
+
+  /**
+   * 处理一次请求 (由 InProcessTransport.Send 调用)，传输层错误以 [null, Error] 返回
+   */
+  async send(transport: InProcessTransport, data: string, headers: Map<string, string>): Promise<[InProcessResult | null, Error | null]> {
+    try {
+      return [result(await this.handle(transport, data, headers)), null];
+    } catch (error) {
+      return [null, error instanceof Error ? error : new Error(String(error))];
+    }
+  }
+}
@@ -8,20 +8,114 @@
  */
 
 export { GatewayClient } from './client.js';
+export type { GatewayClientOptions } from './client.js';
 export * from './types.js';
+export { LogLevel, NoopLogger, formatLogRecord, fromXLogger } from './logger.js';
+export type { GatewayLogger, LogRecord, LogFields } from './logger.js';
+export { ConnectionState } from './state.js';
+export type { StateChangeEvent, StateChangeListener } from './state.js';
+export { DEFAULT_RECONNECT_POLICY, computeReconnectDelay } from './reconnect-policy.js';
+export type { ReconnectPolicy, ReconnectGiveUpInfo } from './reconnect-policy.js';
+export { compilePattern } from './pattern.js';
+export type { ChannelPattern } from './pattern.js';
+export { MemoryOutboxStorage, LocalStorageOutboxStorage, IndexedDBOutboxStorage } from './outbox.js';
+export type { OutboxEntry, OutboxOptions, OutboxStorage } from './outbox.js';
+export { ChannelStream } from './stream.js';
+export type { StreamOptions, StreamMessage, StreamOverflowStrategy } from './stream.js';
+export { REPLY_TO_HEADER, CORRELATION_ID_HEADER, RPC_ERROR_HEADER, RPC_EMPTY_HEADER, DEFAULT_RPC_TIMEOUT_MS } from './rpc.js';
+export type { RpcHandler, RpcReply, RpcRequestOptions } from './rpc.js';
+export { HttpClient, buildUrl } from './http.js';
+export type { HttpQuery, HttpBodyType, HttpRequestOptions, HttpResponse } from './http.js';
+export { parseHookEvent, dispatchHookEvent, handleHookRequest, createHookHandler, createKoaHookMiddleware } from './hook.js';
+export type {
+  HookEvent,
+  SubscribeHookEvent,
+  UnsubscribeHookEvent,
+  PublishHookEvent,
+  PingHookEvent,
+  HookHandlers,
+  HookResult,
+  KoaHookContext
+} from './hook.js';
+export { DEFAULT_LATENCY_BUCKETS_MS, DEFAULT_MAX_METRIC_CHANNELS, formatPrometheus, formatStatsd, OTHER_CHANNELS_LABEL, toMetricSamples } from './metrics.js';
+export type { ApiStats, ClientStats, LatencyHistogram, MetricSample, MetricsOptions } from './metrics.js';
+export { TRACEPARENT_HEADER, TRACESTATE_HEADER, SpanKind, SpanStatusCode, formatTraceparent, parseTraceparent } from './tracing.js';
+export type { TraceSpan, TraceSpanContext, Tracer, TracingOptions } from './tracing.js';
+export { InterceptorChain } from './interceptors.js';
+export { isAuthRejectedByDefault } from './auth.js';
+export type { FlowControlOptions, QueueOverflowPolicy, QueueStats, RateLimit } from './scheduler.js';
+export { CONTENT_TYPE_HEADER, DEFAULT_BINARY_CONTENT_TYPE, binaryObserver, isBinaryPayload, isBinaryPush, payloadBytes } from './binary.js';
+export type { BinaryPayload } from './binary.js';
+export {
+  CHUNK_ID_HEADER,
+  CHUNK_INDEX_HEADER,
+  CHUNK_TOTAL_HEADER,
+  DEFAULT_MAX_CHUNK_BYTES,
+  splitPayload
+} from './chunking.js';
+export type { ChunkingOptions } from './chunking.js';
+export { CONTENT_ENCODING_HEADER, DEFAULT_COMPRESSION_THRESHOLD, DEFAULT_MAX_DECOMPRESSED_BYTES, compressBytes, decompressBytes } from './compression.js';
+export type { CompressionAlgorithm, CompressionOptions } from './compression.js';
+export { ENCRYPTION_ALGORITHM, ENCRYPTION_HEADER, KEY_ID_HEADER, decryptText, encryptText, isPrivateChannel } from './encryption.js';
+export type { ChannelKey, EncryptionOptions, KeyMaterial, KeyProvider, UndecryptablePush } from './encryption.js';
+export { SIGNATURE_HEADER, SIGNATURE_KEY_ID_HEADER, SIGNED_HEADERS_HEADER, signPayload, verifyPayload } from './signing.js';
+export type {
+  SigningAlgorithm,
+  SigningKey,
+  SigningKeyProvider,
+  SigningOptions,
+  VerificationKey,
+  VerifyPolicy,
+  VerifyResult
+} from './signing.js';
+export type { AuthCheck, AuthOptions, TokenProvider } from './auth.js';
+export type {
+  ClientInterceptors,
+  InterceptedPush,
+  InterceptedRequest,
+  InterceptedResponse,
+  PushInterceptor,
+  RequestInterceptor,
+  ResponseInterceptor
+} from './interceptors.js';
+export { Presence, PRESENCE_HEADER } from './presence.js';
+export type { PresenceMember, PresenceEvent, PresenceListener, PresenceOptions } from './presence.js';
+export {
+  GatewayError,
+  GatewayErrorCode,
+  GatewayTimeoutError,
+  GatewayAbortError,
+  GatewayTransportError,
+  GatewayServerRejectedError,
+  GatewayDuplicateObserverError,
+  GatewayNotSubscribedError,
+  GatewayInvalidHeaderError,
+  GatewayOutboxError,
+  GatewayStreamOverflowError,
+  GatewayRemoteError,
+  GatewayDecodeError,
+  GatewayHookError,
+  GatewayInterceptorError,
+  GatewayAuthError,
+  GatewayQueueError,
+  GatewayEncryptionError,
+  GatewaySigningError
+} from './errors.js';
 
 // Import dependencies
 import { GatewayClient } from './client.js';
+import type { GatewayClientOptions } from './client.js';
 import { Client, withBrowser } from 'ts-streamclient';
 
 /**
 * Create a Gateway client
 * @param wsUrl WebSocket URL
 * @param clientId Client ID (4 characters, default: '0000')
+* @param options Client options (logger, log level, ...)
 * @returns GatewayClient instance
 */
-export function createClient(wsUrl: string, clientId?: string): GatewayClient {
+export function createClient(wsUrl: string, clientId?: string, options?: GatewayClientOptions): GatewayClient {
   const client = new Client(withBrowser(wsUrl));
-  return new GatewayClient(client, clientId);
+  return new GatewayClient(client, clientId, options);
 }
 
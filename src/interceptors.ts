@@ -0,0 +1,202 @@
+/**
+ * Gateway TypeScript SDK - 拦截器
+ *
+ * 按注册顺序执行、支持异步的请求/响应/推送拦截器，可在运行时添加和移除：
+ * - request: sendRaw 发送前修改 api、data 或头部，或直接返回响应跳过发送
+ * - response: 收到响应 (或失败) 后转换结果或错误
+ * - push: 分发推送前修改或丢弃消息
+ */
+
+import { GatewayInterceptorError } from './errors.js';
+
+/**
+ * 待发送的请求，拦截器可以直接修改其字段
+ */
+export interface InterceptedRequest {
+  api: string;
+  data: string;
+  /** 请求头部 (不含由 SDK 设置的 api 头部) */
+  headers: Map<string, string>;
+  readonly reqId: string;
+}
+
+/**
+ * 请求结果，error 非空时表示失败
+ */
+export interface InterceptedResponse {
+  readonly request: InterceptedRequest;
+  /** 原始响应字符串，失败时为 null */
+  response: string | null;
+  error: unknown;
+}
+
+/**
+ * 待分发的推送
+ */
+export interface InterceptedPush {
+  cmd: string;
+  data: string;
+  headers: Map<string, string>;
+}
+
+/**
+ * 请求拦截器：返回 `{ response }` 时跳过发送，直接进入响应拦截器；返回 void 时使用 (可能被修改的) 原请求
+ */
+export type RequestInterceptor = (request: InterceptedRequest) =>
+  InterceptedRequest | { response: string } | void | Promise<InterceptedRequest | { response: string } | void>;
+
+/**
+ * 响应拦截器：返回新的结果或 void (使用被修改的原结果)；
+ * 将 error 置为 null 并设置 response 可把失败转为成功，反之亦然
+ */
+export type ResponseInterceptor = (result: InterceptedResponse) => InterceptedResponse | void | Promise<InterceptedResponse | void>;
+
+/**
+ * 推送拦截器：返回 null 时丢弃该推送，返回 void 时使用 (可能被修改的) 原消息
+ */
+export type PushInterceptor = (push: InterceptedPush) => InterceptedPush | null | void | Promise<InterceptedPush | null | void>;
+
+/**
+ * 有序拦截器列表
+ */
+export class InterceptorChain<T> {
+  private handlers: T[] = [];
+
+  /**
+   * 追加拦截器
+   *
+   * @returns 移除该拦截器的函数
+   */
+  use(handler: T): () => void {
+    this.handlers.push(handler);
+    return () => this.eject(handler);
+  }
+
+  /**
+   * 移除拦截器
+   *
+   * @returns 是否找到并移除
+   */
+  eject(handler: T): boolean {
+    const index = this.handlers.indexOf(handler);
+    if (index === -1) {
+      return false;
+    }
+    this.handlers.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * 移除所有拦截器
+   */
+  clear(): void {
+    this.handlers = [];
+  }
+
+  get size(): number {
+    return this.handlers.length;
+  }
+
+  /**
+   * 当前拦截器的快照，执行过程中的增删从下一次调用开始生效
+   */
+  snapshot(): T[] {
+    return this.handlers.slice();
+  }
+}
+
+/**
+ * 客户端拦截器集合
+ */
+export interface ClientInterceptors {
+  request: InterceptorChain<RequestInterceptor>;
+  response: InterceptorChain<ResponseInterceptor>;
+  push: InterceptorChain<PushInterceptor>;
+}
+
+export function createInterceptors(): ClientInterceptors {
+  return {
+    request: new InterceptorChain<RequestInterceptor>(),
+    response: new InterceptorChain<ResponseInterceptor>(),
+    push: new InterceptorChain<PushInterceptor>()
+  };
+}
+
+/**
+ * 依次执行请求拦截器
+ *
+ * @returns 最终请求，或拦截器直接给出的响应
+ * @throws GatewayInterceptorError 拦截器抛出异常
+ */
+export async function runRequestInterceptors(
+  chain: InterceptorChain<RequestInterceptor>,
+  request: InterceptedRequest
+): Promise<{ request: InterceptedRequest; response?: string }> {
+  let current = request;
+  for (const interceptor of chain.snapshot()) {
+    let result: InterceptedRequest | { response: string } | void;
+    try {
+      result = await interceptor(current);
+    } catch (error) {
+      throw new GatewayInterceptorError(current.api, current.reqId, 'request', error);
+    }
+    if (result && 'response' in result) {
+      return { request: current, response: result.response };
+    }
+    if (result) {
+      current = result;
+    }
+  }
+  return { request: current };
+}
+
+/**
+ * 依次执行响应拦截器，拦截器抛出的异常 (包装为 GatewayInterceptorError) 作为后续拦截器看到的错误
+ */
+export async function runResponseInterceptors(
+  chain: InterceptorChain<ResponseInterceptor>,
+  result: InterceptedResponse
+): Promise<InterceptedResponse> {
+  let current = result;
+  for (const interceptor of chain.snapshot()) {
+    try {
+      current = (await interceptor(current)) || current;
+    } catch (error) {
+      current = {
+        request: current.request,
+        response: null,
+        error: new GatewayInterceptorError(current.request.api, current.request.reqId, 'response', error)
+      };
+    }
+  }
+  return current;
+}
+
+/**
+ * 依次执行推送拦截器
+ *
+ * @returns 最终消息，被丢弃时返回 null
+ * @throws GatewayInterceptorError 拦截器抛出异常
+ */
+export async function runPushInterceptors(
+  chain: InterceptorChain<PushInterceptor>,
+  push: InterceptedPush,
+  reqId: string
+): Promise<InterceptedPush | null> {
+  let current = push;
+  for (const interceptor of chain.snapshot()) {
+    let result: InterceptedPush | null | void;
+    try {
+      result = await interceptor(current);
+    } catch (error) {
+      throw new GatewayInterceptorError(current.cmd, reqId, 'push', error);
+    }
+    if (result === null) {
+      return null;
+    }
+    if (result) {
+      current = result;
+    }
+  }
+  return current;
+}
@@ -0,0 +1,165 @@
+/**
+ * Gateway TypeScript SDK - 日志
+ *
+ * SDK 内部统一通过 GatewayLogger 输出结构化日志记录，
+ * 使用方可以注入自己的实现，把日志接入自己的日志管道，
+ * 或者使用 NoopLogger 完全关闭 SDK 日志。
+ */
+
+import type { Logger } from 'ts-xutils';
+
+/**
+ * 日志级别，数值越大越严重
+ */
+export enum LogLevel {
+  DEBUG = 10,
+  INFO = 20,
+  WARN = 30,
+  ERROR = 40,
+  SILENT = 100
+}
+
+/**
+ * 日志附带的结构化字段
+ */
+export interface LogFields {
+  api?: string;
+  cmd?: string;
+  reqId?: string;
+  observer?: string;
+  error?: unknown;
+  [key: string]: unknown;
+}
+
+/**
+ * 一条结构化日志记录
+ */
+export interface LogRecord {
+  level: LogLevel;
+  tag: string;
+  message: string;
+  timestamp: number;
+  fields: LogFields;
+}
+
+/**
+ * 可注入的日志接口
+ *
+ * @example
+ * ```typescript
+ * const client = createClient('ws://localhost:18443', 'A001', {
+ *   logger: { log: (record) => pino[LogLevel[record.level].toLowerCase()](record.fields, record.message) },
+ *   logLevel: LogLevel.WARN
+ * });
+ * ```
+ */
+export interface GatewayLogger {
+  log(record: LogRecord): void;
+}
+
+/**
+ * 丢弃所有日志的实现
+ */
+export const NoopLogger: GatewayLogger = {
+  log(): void {
+    // 丢弃所有日志
+  }
+};
+
+/**
+ * 将日志记录格式化为单行文本：`message key=value ...`
+ *
+ * @param record - 日志记录
+ * @returns 格式化后的文本
+ */
+export function formatLogRecord(record: LogRecord): string {
+  const parts = [record.message];
+  for (const [key, value] of Object.entries(record.fields)) {
+    if (value === undefined) {
+      continue;
+    }
+    parts.push(`${key}=${value instanceof Error ? value.message : String(value)}`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * 将 ts-xutils 的 Logger 适配为 GatewayLogger
+ *
+ * @param logger - ts-xutils Logger 实例 (如 ConsoleLogger)
+ * @returns GatewayLogger 实例
+ */
+export function fromXLogger(logger: Logger): GatewayLogger {
+  return {
+    log(record: LogRecord): void {
+      const text = formatLogRecord(record);
+      if (record.level >= LogLevel.ERROR) {
+        logger.w.error(logger.f.Error(record.tag, text));
+      } else if (record.level >= LogLevel.WARN) {
+        logger.w.warn(logger.f.Warn(record.tag, text));
+      } else if (record.level >= LogLevel.INFO) {
+        logger.w.info(logger.f.Info(record.tag, text));
+      } else {
+        logger.w.debug(logger.f.Debug(record.tag, text));
+      }
+    }
+  };
+}
+
+/**
+ * SDK 内部使用的日志写入器
+ *
+ * 负责级别过滤并组装 LogRecord，所有组件 (GatewayClient、Reconnecter 等) 共享同一实例
+ */
+export class SDKLogger {
+  private sink: GatewayLogger;
+  private level: LogLevel;
+  private tag: string;
+
+  constructor(sink: GatewayLogger, level: LogLevel = LogLevel.DEBUG, tag: string = 'Gateway') {
+    this.sink = sink;
+    this.level = level;
+    this.tag = tag;
+  }
+
+  /**
+   * 设置最低输出级别
+   */
+  setLevel(level: LogLevel): void {
+    this.level = level;
+  }
+
+  /**
+   * 判断指定级别是否会被输出
+   */
+  isEnabled(level: LogLevel): boolean {
+    return level >= this.level && this.level !== LogLevel.SILENT;
+  }
+
+  debug(message: string, fields: LogFields = {}): void {
+    this.write(LogLevel.DEBUG, message, fields);
+  }
+
+  info(message: string, fields: LogFields = {}): void {
+    this.write(LogLevel.INFO, message, fields);
+  }
+
+  warn(message: string, fields: LogFields = {}): void {
+    this.write(LogLevel.WARN, message, fields);
+  }
+
+  error(message: string, fields: LogFields = {}): void {
+    this.write(LogLevel.ERROR, message, fields);
+  }
+
+  private write(level: LogLevel, message: string, fields: LogFields): void {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+    try {
+      this.sink.log({ level, tag: this.tag, message, timestamp: Date.now(), fields });
+    } catch {
+      // 日志实现抛出的异常不能影响 SDK 的正常流程
+    }
+  }
+}
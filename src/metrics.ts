@@ -0,0 +1,355 @@
+/**
+ * Gateway TypeScript SDK - 客户端指标
+ *
+ * 统计请求 (按 API)、推送 (按频道)、重连结果和订阅规模，
+ * 快照可直接导出为 Prometheus 文本格式或 StatsD 行
+ */
+
+import type { QueueStats } from './scheduler.js';
+
+/** 默认延迟直方图分桶上界 (毫秒) */
+export const DEFAULT_LATENCY_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/** 默认按频道统计推送的频道数上限 */
+export const DEFAULT_MAX_METRIC_CHANNELS = 100;
+
+/** 超出频道数上限后，其余频道的推送计入该频道名下 */
+export const OTHER_CHANNELS_LABEL = '__other__';
+
+/**
+ * 延迟直方图，counts[i] 为延迟 <= buckets[i] 的请求数 (累计，与 Prometheus 一致)
+ */
+export interface LatencyHistogram {
+  buckets: number[];
+  counts: number[];
+  /** 延迟总和 (毫秒) */
+  sum: number;
+  /** 样本数，即 +Inf 分桶 */
+  count: number;
+}
+
+/**
+ * 单个 API 的请求统计
+ */
+export interface ApiStats {
+  /** 已完成的请求数 (成功与失败) */
+  requests: number;
+  /** 失败的请求数 */
+  errors: number;
+  /** 按错误代码统计的失败数 */
+  errorsByCode: Record<string, number>;
+  latency: LatencyHistogram;
+}
+
+/**
+ * 客户端统计快照
+ */
+export interface ClientStats {
+  timestamp: number;
+  clientId: string;
+  state: string;
+  /** 按 API 路径 (如 'API/Publish') 统计 */
+  api: Record<string, ApiStats>;
+  push: {
+    /** 收到的有效推送总数 */
+    received: number;
+    /** 按频道统计的推送数，超出 maxChannels 的频道合计为 OTHER_CHANNELS_LABEL */
+    byChannel: Record<string, number>;
+    /** 没有观察者的推送数 */
+    unobserved: number;
+    /** 观察者回调抛出的异常数 */
+    observerErrors: number;
+    /** 无法解析的推送数 */
+    invalid: number;
+  };
+  reconnect: {
+    /** 重订阅尝试次数 */
+    attempts: number;
+    successes: number;
+    failures: number;
+    /** 超过最大次数放弃重连的次数 */
+    giveUps: number;
+  };
+  subscriptions: {
+    /** 已订阅的频道数 */
+    channels: number;
+    /** 精确订阅的观察者数 */
+    observers: number;
+    /** 模式订阅的观察者数 */
+    patternObservers: number;
+  };
+  /** 发送队列状态，未开启流量控制时为 null */
+  queue: QueueStats | null;
+}
+
+/**
+ * 指标配置
+ */
+export interface MetricsOptions {
+  /** 定期回调间隔 (毫秒)，与 onMetrics 一起设置时生效 */
+  intervalMs?: number;
+  /** 定期接收统计快照 */
+  onMetrics?: (stats: ClientStats) => void;
+  /** 延迟直方图分桶上界 (毫秒，升序)，默认 DEFAULT_LATENCY_BUCKETS_MS */
+  latencyBuckets?: number[];
+  /**
+   * 按频道统计推送的频道数上限 (默认: 100)，超出后新频道合计为 OTHER_CHANNELS_LABEL，
+   * 避免私有频道 (@client:xxx) 造成标签基数过高；0 表示不按频道统计
+   */
+  maxChannels?: number;
+}
+
+/**
+ * 导出用的单个指标样本
+ */
+export interface MetricSample {
+  name: string;
+  type: 'counter' | 'gauge';
+  labels: Record<string, string>;
+  value: number;
+}
+
+/**
+ * 指标收集器，由 GatewayClient 内部使用
+ */
+export class MetricsCollector {
+  private buckets: number[];
+  private maxChannels: number;
+  private apis: Map<string, ApiStats> = new Map();
+  private pushByChannel: Map<string, number> = new Map();
+  private push = { received: 0, unobserved: 0, observerErrors: 0, invalid: 0 };
+  private reconnect = { attempts: 0, successes: 0, failures: 0, giveUps: 0 };
+
+  constructor(buckets: number[] = DEFAULT_LATENCY_BUCKETS_MS, maxChannels: number = DEFAULT_MAX_METRIC_CHANNELS) {
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+    this.maxChannels = maxChannels;
+  }
+
+  /**
+   * 记录一次完成的请求
+   *
+   * @param errorCode - 失败时的错误代码
+   */
+  recordRequest(api: string, latencyMs: number, errorCode?: string): void {
+    const stats = this.getApi(api);
+    stats.requests++;
+    stats.latency.count++;
+    stats.latency.sum += latencyMs;
+    this.buckets.forEach((bound, i) => {
+      if (latencyMs <= bound) {
+        stats.latency.counts[i]++;
+      }
+    });
+    if (errorCode) {
+      this.recordError(api, errorCode);
+    }
+  }
+
+  /**
+   * 记录请求完成后才发现的失败 (如服务器返回 errMsg)
+   */
+  recordError(api: string, errorCode: string): void {
+    const stats = this.getApi(api);
+    stats.errors++;
+    stats.errorsByCode[errorCode] = (stats.errorsByCode[errorCode] || 0) + 1;
+  }
+
+  recordPush(cmd: string, observers: number): void {
+    this.push.received++;
+    if (this.maxChannels > 0) {
+      const channel = this.pushByChannel.has(cmd) || this.pushByChannel.size < this.maxChannels ? cmd : OTHER_CHANNELS_LABEL;
+      this.pushByChannel.set(channel, (this.pushByChannel.get(channel) || 0) + 1);
+    }
+    if (observers === 0) {
+      this.push.unobserved++;
+    }
+  }
+
+  recordInvalidPush(): void {
+    this.push.invalid++;
+  }
+
+  recordObserverError(): void {
+    this.push.observerErrors++;
+  }
+
+  recordReconnect(outcome: 'attempt' | 'success' | 'failure' | 'giveUp'): void {
+    switch (outcome) {
+      case 'attempt':
+        this.reconnect.attempts++;
+        break;
+      case 'success':
+        this.reconnect.successes++;
+        break;
+      case 'failure':
+        this.reconnect.failures++;
+        break;
+      case 'giveUp':
+        this.reconnect.giveUps++;
+        break;
+    }
+  }
+
+  /**
+   * 生成统计快照，返回值与收集器不共享状态
+   */
+  snapshot(base: Pick<ClientStats, 'clientId' | 'state' | 'subscriptions' | 'queue'>): ClientStats {
+    const api: Record<string, ApiStats> = {};
+    this.apis.forEach((stats, name) => {
+      api[name] = {
+        requests: stats.requests,
+        errors: stats.errors,
+        errorsByCode: { ...stats.errorsByCode },
+        latency: { ...stats.latency, buckets: stats.latency.buckets.slice(), counts: stats.latency.counts.slice() }
+      };
+    });
+    const byChannel: Record<string, number> = {};
+    this.pushByChannel.forEach((count, cmd) => {
+      byChannel[cmd] = count;
+    });
+
+    return {
+      timestamp: Date.now(),
+      clientId: base.clientId,
+      state: base.state,
+      api,
+      push: { ...this.push, byChannel },
+      reconnect: { ...this.reconnect },
+      subscriptions: { ...base.subscriptions },
+      queue: base.queue ? { ...base.queue } : null
+    };
+  }
+
+  /**
+   * 清零所有计数
+   */
+  reset(): void {
+    this.apis.clear();
+    this.pushByChannel.clear();
+    this.push = { received: 0, unobserved: 0, observerErrors: 0, invalid: 0 };
+    this.reconnect = { attempts: 0, successes: 0, failures: 0, giveUps: 0 };
+  }
+
+  private getApi(api: string): ApiStats {
+    let stats = this.apis.get(api);
+    if (!stats) {
+      stats = {
+        requests: 0,
+        errors: 0,
+        errorsByCode: {},
+        latency: { buckets: this.buckets, counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+      };
+      this.apis.set(api, stats);
+    }
+    return stats;
+  }
+}
+
+/**
+ * 将统计快照展开为指标样本，供 Prometheus/StatsD 等导出器使用
+ *
+ * 计数器均为自客户端创建 (或 resetStats) 以来的累计值
+ */
+export function toMetricSamples(stats: ClientStats, prefix: string = 'gateway_client'): MetricSample[] {
+  const samples: MetricSample[] = [];
+  const client = { client_id: stats.clientId };
+  const add = (name: string, type: MetricSample['type'], value: number, labels: Record<string, string> = {}) => {
+    samples.push({ name: `${prefix}_${name}`, type, labels: { ...client, ...labels }, value });
+  };
+
+  for (const [api, apiStats] of Object.entries(stats.api)) {
+    add('requests_total', 'counter', apiStats.requests, { api });
+    add('request_errors_total', 'counter', apiStats.errors, { api });
+    for (const [code, count] of Object.entries(apiStats.errorsByCode)) {
+      add('request_errors_by_code_total', 'counter', count, { api, code });
+    }
+    const { buckets, counts, sum, count } = apiStats.latency;
+    buckets.forEach((bound, i) => add('request_duration_ms_bucket', 'counter', counts[i], { api, le: String(bound) }));
+    add('request_duration_ms_bucket', 'counter', count, { api, le: '+Inf' });
+    add('request_duration_ms_sum', 'counter', sum, { api });
+    add('request_duration_ms_count', 'counter', count, { api });
+  }
+
+  add('pushes_total', 'counter', stats.push.received);
+  for (const [cmd, count] of Object.entries(stats.push.byChannel)) {
+    add('pushes_by_channel_total', 'counter', count, { cmd });
+  }
+  add('pushes_unobserved_total', 'counter', stats.push.unobserved);
+  add('pushes_invalid_total', 'counter', stats.push.invalid);
+  add('observer_errors_total', 'counter', stats.push.observerErrors);
+
+  add('reconnect_attempts_total', 'counter', stats.reconnect.attempts);
+  add('reconnect_successes_total', 'counter', stats.reconnect.successes);
+  add('reconnect_failures_total', 'counter', stats.reconnect.failures);
+  add('reconnect_give_ups_total', 'counter', stats.reconnect.giveUps);
+
+  add('subscribed_channels', 'gauge', stats.subscriptions.channels);
+  add('observers', 'gauge', stats.subscriptions.observers);
+  add('pattern_observers', 'gauge', stats.subscriptions.patternObservers);
+
+  if (stats.queue) {
+    add('queue_in_flight', 'gauge', stats.queue.inFlight);
+    add('queue_depth', 'gauge', stats.queue.queued);
+    add('queue_blocked', 'gauge', stats.queue.blocked);
+    add('queue_throttled', 'gauge', stats.queue.throttled);
+  }
+
+  return samples;
+}
+
+// Prometheus 标签值转义
+function escapeLabel(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * 导出为 Prometheus 文本格式
+ *
+ * 同一指标族 (直方图的 _bucket/_sum/_count 为一族) 的样本连续输出，族内按标签集分组
+ *
+ * @example
+ * ```typescript
+ * app.get('/metrics', (req, res) => res.type('text/plain').send(formatPrometheus(client.getStats())));
+ * ```
+ */
+export function formatPrometheus(stats: ClientStats, prefix: string = 'gateway_client'): string {
+  const histogram = `${prefix}_request_duration_ms`;
+  // 指标族 -> 标签集 (不含 le) -> 样本行，均保持首次出现的顺序
+  const families: Map<string, { type: string; series: Map<string, string[]> }> = new Map();
+
+  for (const sample of toMetricSamples(stats, prefix)) {
+    const name = sample.name.startsWith(histogram) ? histogram : sample.name;
+    let family = families.get(name);
+    if (!family) {
+      family = { type: name === histogram ? 'histogram' : sample.type, series: new Map() };
+      families.set(name, family);
+    }
+    const labels = Object.entries(sample.labels);
+    const key = JSON.stringify(labels.filter(([label]) => label !== 'le'));
+    let series = family.series.get(key);
+    if (!series) {
+      series = [];
+      family.series.set(key, series);
+    }
+    series.push(`${sample.name}{${labels.map(([label, value]) => `${label}="${escapeLabel(value)}"`).join(',')}} ${sample.value}`);
+  }
+
+  const lines: string[] = [];
+  families.forEach((family, name) => {
+    lines.push(`# TYPE ${name} ${family.type}`);
+    family.series.forEach((series) => lines.push(...series));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * 导出为 StatsD 行 (DogStatsD 标签格式)
+ *
+ * 数值为累计值，统一以 gauge (`|g`) 上报；需要增量计数时可在两次快照之间做差，或上报后调用 resetStats()
+ */
+export function formatStatsd(stats: ClientStats, prefix: string = 'gateway_client'): string[] {
+  return toMetricSamples(stats, prefix).map((sample) => {
+    const tags = Object.entries(sample.labels).map(([key, value]) => `${key}:${value.replace(/[|,#]/g, '_')}`).join(',');
+    return `${sample.name}:${sample.value}|g${tags ? `|#${tags}` : ''}`;
+  });
+}
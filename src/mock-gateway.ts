@@ -0,0 +1,610 @@
+/**
+ * Gateway TypeScript SDK - 模拟网关
+ *
+ * 用于离线集成测试：实现 API/Subscribe、API/Unsubscribe、API/Publish、API/Ping 和 API/Proxy，
+ * 支持频道广播、`@` 私有频道路由和 Hook 回调，并提供断线、注入推送、延迟响应、拒绝请求等测试控制。
+ *
+ * MockGateway 在本地端口上启动 WebSocket 服务器 (Node.js，需要安装 ws)，与 Go 网关使用相同的帧协议：
+ *
+ *   握手 (连接建立后服务器发送):
+ *     HeartBeat_s (2 字节) | FrameTimeout_s (1 字节) | MaxConcurrent (1 字节) | MaxBytes (4 字节) | connect id (8 字节)
+ *   请求 (客户端发送):
+ *     reqid (4 字节) | < key-len (1 字节) | key | value-len (1 字节) | value > ... | header-end-flag (1 字节, 0) | data
+ *     reqid = 1 为推送确认，data 为 pushId (4 字节)
+ *   响应 (服务器发送):
+ *     reqid (4 字节) | status (1 字节, 0 成功 / 1 失败) | data
+ *     reqid = 1 为推送，status 为 0，data 为 pushId (4 字节) + 推送内容
+ *
+ * 多字节整数均为网络字节序，字符串为 UTF-8。连接的 clientId 在建立连接时由地址的 clientId 参数指定
+ * (见 clientUrl)，用于 `@client:{clientId}` 路由，与请求头部无关。不需要 WebSocket 的场景可以使用进程内的 InProcessGateway
+ */
+
+import type { IncomingMessage } from 'http';
+import type { WebSocket as WsSocket, WebSocketServer } from 'ws';
+import { Client, withBrowser } from 'ts-streamclient';
+import { GatewayClient } from './client.js';
+import type { GatewayClientOptions } from './client.js';
+import { loadNodeModule } from './platform.js';
+
+// Hook / Proxy 头部
+const HOOK_URL = 'x-hook-url';
+const HOOK_METHOD = 'x-hook-method';
+const PROXY_URL = 'x-proxy-url';
+const PROXY_METHOD = 'x-proxy-method';
+
+// 帧协议常量
+const PUSH_REQ_ID = 1;
+const STATUS_OK = 0;
+const STATUS_FAILED = 1;
+const HANDSHAKE_LENGTH = 16;
+
+/**
+ * 模拟网关收到的一次请求
+ */
+export interface MockRequest {
+  clientId: string;
+  api: string;
+  data: string;
+  headers: Map<string, string>;
+  timestamp: number;
+}
+
+/**
+ * 一次 Hook 回调的结果
+ */
+export interface MockHookCall {
+  url: string;
+  method: string;
+  api: string;
+  reqId: string;
+  status: number | null;
+  error?: unknown;
+}
+
+/**
+ * 模拟网关上的一条连接，由具体的网关实现
+ */
+export interface MockConnection {
+  readonly clientId: string;
+  readonly isConnected: boolean;
+  /** 投递一条推送 (JSON 文本) */
+  push(frame: string): void;
+  /** 断开连接 */
+  close(reason: string): void;
+}
+
+/**
+ * 模拟网关的请求处理、频道路由和测试控制，由 MockGateway 和 InProcessGateway 共用
+ */
+export abstract class MockGatewayCore {
+  /** 收到的所有请求，按时间顺序 */
+  readonly requests: MockRequest[] = [];
+  /** 已发出的 Hook 回调 */
+  readonly hookCalls: MockHookCall[] = [];
+
+  protected connections: Set<MockConnection> = new Set();
+  private subscriptions: Map<MockConnection, Set<string>> = new Map();
+  private delays: Map<string, number> = new Map();
+  private rejections: Map<string, { errMsg: string; once: boolean }> = new Map();
+  private pendingHooks: Set<Promise<void>> = new Set();
+  private online: boolean = true;
+  private fetchImpl?: typeof fetch;
+
+  constructor(fetchImpl?: typeof fetch) {
+    this.fetchImpl = fetchImpl;
+  }
+
+  /**
+   * 服务器是否在线，离线时无法恢复连接
+   */
+  get isOnline(): boolean {
+    return this.online;
+  }
+
+  /**
+   * 设置响应延迟
+   *
+   * @param ms - 延迟毫秒数，0 表示取消延迟
+   * @param api - 只延迟该 API (如 'API/Publish')，未设置时延迟所有请求
+   */
+  setDelay(ms: number, api: string = '*'): void {
+    if (ms > 0) {
+      this.delays.set(api, ms);
+    } else {
+      this.delays.delete(api);
+    }
+  }
+
+  /**
+   * 下一次该 API 的请求以 errMsg 响应
+   */
+  rejectNext(api: string, errMsg: string): void {
+    this.rejections.set(api, { errMsg, once: true });
+  }
+
+  /**
+   * 该 API 的所有请求以 errMsg 响应，errMsg 为 null 时取消
+   */
+  reject(api: string, errMsg: string | null): void {
+    if (errMsg === null) {
+      this.rejections.delete(api);
+    } else {
+      this.rejections.set(api, { errMsg, once: false });
+    }
+  }
+
+  /**
+   * 强制断开连接，服务器端订阅随连接一起丢失
+   *
+   * @param clientId - 只断开该客户端，未设置时断开所有连接
+   * @param reason - 断开原因 (进程内网关传给 onPeerClosed)
+   */
+  disconnect(clientId?: string, reason: string = '1006: abnormal closure (mock)'): void {
+    for (const connection of Array.from(this.connections)) {
+      if (clientId === undefined || connection.clientId === clientId) {
+        this.subscriptions.get(connection)?.clear();
+        connection.close(reason);
+      }
+    }
+  }
+
+  /**
+   * 设置服务器在线状态，离线时断开所有连接且无法恢复
+   */
+  setOnline(online: boolean): void {
+    this.online = online;
+    if (!online) {
+      this.disconnect(undefined, '1001: server going down (mock)');
+    }
+  }
+
+  /**
+   * 由服务器直接向频道推送消息
+   *
+   * @returns 收到推送的连接数
+   */
+  async injectPush(cmd: string, data: string, header: Record<string, string> = {}): Promise<number> {
+    return this.fanOut(cmd, data, header);
+  }
+
+  /**
+   * 查询连接的服务器端订阅
+   */
+  getSubscriptions(clientId: string): string[] {
+    const result = new Set<string>();
+    this.connections.forEach((connection) => {
+      if (connection.clientId === clientId) {
+        this.subscriptions.get(connection)?.forEach((cmd) => result.add(cmd));
+      }
+    });
+    return Array.from(result);
+  }
+
+  /**
+   * 等待所有已发出的 Hook 回调完成
+   */
+  async flushHooks(): Promise<void> {
+    while (this.pendingHooks.size > 0) {
+      await Promise.all(Array.from(this.pendingHooks));
+    }
+  }
+
+  /**
+   * 登记一条新连接
+   */
+  protected addConnection(connection: MockConnection): void {
+    this.connections.add(connection);
+    this.subscriptions.set(connection, new Set());
+  }
+
+  /**
+   * 移除已关闭的连接及其订阅
+   */
+  protected removeConnection(connection: MockConnection): void {
+    this.connections.delete(connection);
+    this.subscriptions.delete(connection);
+  }
+
+  /**
+   * 断开并移除所有连接
+   */
+  protected closeConnections(reason: string): void {
+    this.disconnect(undefined, reason);
+    this.connections.clear();
+    this.subscriptions.clear();
+  }
+
+  /**
+   * 处理一次请求
+   *
+   * @returns 响应内容
+   * @throws Error 连接已断开或代理请求失败 (对应传输层错误)
+   */
+  protected async handle(connection: MockConnection, data: string, headers: Map<string, string>): Promise<string> {
+    const api = headers.get('api') || '';
+    this.requests.push({ clientId: connection.clientId, api, data, headers, timestamp: Date.now() });
+
+    const delay = this.delays.get(api) ?? this.delays.get('*') ?? 0;
+    if (delay > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+    if (!connection.isConnected) {
+      throw new Error('mock gateway: connection closed');
+    }
+
+    const rejection = this.rejections.get(api);
+    if (rejection) {
+      if (rejection.once) {
+        this.rejections.delete(api);
+      }
+      return JSON.stringify({ errMsg: rejection.errMsg });
+    }
+
+    if (headers.has(HOOK_URL) && headers.has(PROXY_URL)) {
+      return JSON.stringify({ errMsg: 'hook and proxy cannot be used in the same request' });
+    }
+
+    let request: Record<string, unknown> = {};
+    if (!api.endsWith('/Proxy')) {
+      try {
+        request = data ? JSON.parse(data) : {};
+      } catch {
+        return JSON.stringify({ errMsg: 'invalid request body' });
+      }
+    }
+
+    const subscriptions = this.subscriptions.get(connection);
+    if (!subscriptions) {
+      throw new Error('mock gateway: connection closed');
+    }
+    let response: Record<string, unknown> = { errMsg: null };
+    switch (api.substring(api.lastIndexOf('/') + 1)) {
+      case 'Subscribe':
+        (request.cmd as string[] || []).forEach((cmd) => subscriptions.add(cmd));
+        break;
+      case 'Unsubscribe':
+        (request.cmd as string[] || []).forEach((cmd) => subscriptions.delete(cmd));
+        break;
+      case 'Publish':
+        this.fanOut(String(request.cmd), String(request.data), this.forwardedHeaders(headers));
+        break;
+      case 'Ping':
+        break;
+      case 'Proxy':
+        return this.proxy(data, headers);
+      default:
+        response = { errMsg: `unknown api: ${api}` };
+    }
+
+    this.fireHook(api, request, headers);
+    return JSON.stringify(response);
+  }
+
+  // 转发给订阅者和 Hook 的头部：去掉 api 以及 Hook/Proxy 配置
+  private forwardedHeaders(headers: Map<string, string>): Record<string, string> {
+    const result: Record<string, string> = {};
+    headers.forEach((value, key) => {
+      const lower = key.toLowerCase();
+      if (lower !== 'api' && !lower.startsWith('x-hook-') && !lower.startsWith('x-proxy-')) {
+        result[key] = value;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * 推送给频道的订阅者
+   *
+   * `@client:{clientId}` 只投递给该客户端的连接，其他频道 (包括 `@user:`、`@session:` 等私有频道)
+   * 投递给订阅了该频道的所有连接
+   */
+  private fanOut(cmd: string, data: string, header: Record<string, string>): number {
+    const privateClientId = cmd.startsWith('@client:') ? cmd.substring('@client:'.length) : null;
+    const frame = JSON.stringify({ cmd, data, header });
+    let delivered = 0;
+    this.connections.forEach((connection) => {
+      if (!connection.isConnected || !this.subscriptions.get(connection)?.has(cmd)) {
+        return;
+      }
+      if (privateClientId !== null && connection.clientId !== privateClientId) {
+        return;
+      }
+      delivered++;
+      connection.push(frame);
+    });
+    return delivered;
+  }
+
+  private getFetch(): typeof fetch {
+    const impl = this.fetchImpl || (typeof fetch !== 'undefined' ? fetch : undefined);
+    if (!impl) {
+      throw new Error('mock gateway: fetch is not available, pass the fetch option');
+    }
+    return impl;
+  }
+
+  private async proxy(data: string, headers: Map<string, string>): Promise<string> {
+    const url = headers.get(PROXY_URL);
+    if (!url) {
+      return JSON.stringify({ errMsg: 'missing x-proxy-url' });
+    }
+    const method = headers.get(PROXY_METHOD) || 'GET';
+    const res = await this.getFetch()(url, {
+      method,
+      headers: this.forwardedHeaders(headers),
+      body: method === 'GET' || method === 'HEAD' ? undefined : data
+    });
+    return res.text();
+  }
+
+  // 请求处理完成后异步回调 Hook，失败只记录不影响响应
+  private fireHook(api: string, request: Record<string, unknown>, headers: Map<string, string>): void {
+    const url = headers.get(HOOK_URL);
+    if (!url) {
+      return;
+    }
+    const method = headers.get(HOOK_METHOD) || 'POST';
+    const forwarded = this.forwardedHeaders(headers);
+    const call: MockHookCall = { url, method, api, reqId: headers.get('X-Req-Id') || '', status: null };
+    this.hookCalls.push(call);
+
+    const pending = (async () => {
+      try {
+        const res = await this.getFetch()(url, {
+          method,
+          headers: { ...forwarded, 'Content-Type': 'application/json', api },
+          body: JSON.stringify({ ...request, headers: { ...forwarded, api } })
+        });
+        call.status = res.status;
+      } catch (error) {
+        call.error = error;
+      }
+    })();
+    this.pendingHooks.add(pending);
+    pending.then(() => this.pendingHooks.delete(pending));
+  }
+}
+
+/**
+ * 模拟网关配置
+ */
+export interface MockGatewayOptions {
+  /** 发送 HTTP 请求 (Hook 与 Proxy)，默认使用全局 fetch */
+  fetch?: typeof fetch;
+  /** 监听地址 (默认: '127.0.0.1') */
+  host?: string;
+  /** 监听端口，0 表示随机分配 (默认: 0) */
+  port?: number;
+  /** 握手中下发的心跳间隔 (秒，默认: 30) */
+  heartbeatSeconds?: number;
+  /** 握手中下发的帧超时 (秒，默认: 5) */
+  frameTimeoutSeconds?: number;
+  /** 握手中下发的单连接最大并发请求数 (默认: 100) */
+  maxConcurrent?: number;
+  /** 单帧最大字节数，超过时以失败响应 (默认: 4MB) */
+  maxBytes?: number;
+}
+
+// 解析请求帧：reqid | headers | header-end-flag | data
+function parseRequestFrame(frame: Buffer): { reqId: number; headers: Map<string, string>; data: Buffer } {
+  const reqId = frame.readUInt32BE(0);
+  const headers = new Map<string, string>();
+  let offset = 4;
+  for (;;) {
+    if (offset >= frame.length) {
+      throw new Error('missing header-end-flag');
+    }
+    const keyLength = frame[offset++];
+    if (keyLength === 0) {
+      break;
+    }
+    const key = frame.toString('utf8', offset, offset + keyLength);
+    offset += keyLength;
+    if (offset >= frame.length) {
+      throw new Error(`missing value of header '${key}'`);
+    }
+    const valueLength = frame[offset++];
+    const value = frame.toString('utf8', offset, offset + valueLength);
+    offset += valueLength;
+    if (offset > frame.length) {
+      throw new Error(`truncated value of header '${key}'`);
+    }
+    headers.set(key, value);
+  }
+  return { reqId, headers, data: frame.subarray(offset) };
+}
+
+// 响应帧：reqid | status | data
+function responseFrame(reqId: number, status: number, data: Buffer): Buffer {
+  const head = Buffer.alloc(5);
+  head.writeUInt32BE(reqId, 0);
+  head[4] = status;
+  return Buffer.concat([head, data]);
+}
+
+// WebSocket 连接
+class SocketConnection implements MockConnection {
+  readonly clientId: string;
+  private socket: WsSocket;
+  private nextPushId: number = 1;
+
+  constructor(socket: WsSocket, clientId: string) {
+    this.socket = socket;
+    this.clientId = clientId;
+  }
+
+  get isConnected(): boolean {
+    return this.socket.readyState === this.socket.OPEN;
+  }
+
+  push(frame: string): void {
+    const pushId = Buffer.alloc(4);
+    pushId.writeUInt32BE(this.nextPushId, 0);
+    this.nextPushId = this.nextPushId >= 0xffffffff ? 1 : this.nextPushId + 1;
+    this.send(responseFrame(PUSH_REQ_ID, STATUS_OK, Buffer.concat([pushId, Buffer.from(frame, 'utf8')])));
+  }
+
+  send(frame: Buffer): void {
+    if (this.isConnected) {
+      this.socket.send(frame);
+    }
+  }
+
+  // 模拟网络中断：不发送关闭帧，客户端收到异常关闭 (1006)
+  close(): void {
+    this.socket.terminate();
+  }
+}
+
+/**
+ * 本地 WebSocket 模拟网关 (Node.js)
+ *
+ * 需要安装 ws；Node.js 22 以下没有全局 WebSocket，createClient 前需设置 `globalThis.WebSocket = require('ws')`
+ *
+ * @example
+ * ```typescript
+ * const gateway = new MockGateway();
+ * await gateway.listen();
+ * const alice = gateway.createClient('ALIC');   // 等同于 createClient(gateway.clientUrl('ALIC'), 'ALIC')
+ * const bob = gateway.createClient('BOB0');
+ *
+ * await bob.subscribe('news', Symbol('news'), (cmd, data) => console.log(data));
+ * await alice.publish('news', 'hello');
+ *
+ * gateway.rejectNext('API/Publish', 'quota exceeded');
+ * gateway.setDelay(500, 'API/Ping');
+ * gateway.disconnect('BOB0');                 // 触发断线重连和重订阅
+ * await gateway.injectPush('news', 'from server');
+ * await gateway.close();
+ * ```
+ */
+export class MockGateway extends MockGatewayCore {
+  private options: MockGatewayOptions;
+  private server: WebSocketServer | null = null;
+  private nextConnectId: number = 1;
+
+  constructor(options: MockGatewayOptions = {}) {
+    super(options.fetch);
+    this.options = options;
+  }
+
+  /**
+   * 监听的端口，listen() 完成前为 0
+   */
+  get port(): number {
+    const address = this.server?.address();
+    return address && typeof address === 'object' ? address.port : 0;
+  }
+
+  /**
+   * 连接地址，如 `ws://127.0.0.1:41234`
+   */
+  get url(): string {
+    return `ws://${this.options.host || '127.0.0.1'}:${this.port}`;
+  }
+
+  /**
+   * 以指定 clientId 连接的地址，如 `ws://127.0.0.1:41234/?clientId=ALIC`
+   *
+   * 连接的 clientId 决定 `@client:{clientId}` 推送投递到哪个连接；直接连接 url 的客户端没有 clientId
+   */
+  clientUrl(clientId: string): string {
+    return `${this.url}/?clientId=${encodeURIComponent(clientId)}`;
+  }
+
+  /**
+   * 启动 WebSocket 服务器
+   *
+   * @throws Error 不在 Node.js 中、未安装 ws 或端口被占用
+   */
+  async listen(): Promise<void> {
+    if (this.server) {
+      return;
+    }
+    const ws = await loadNodeModule<typeof import('ws')>('ws').catch((error) => {
+      throw new Error(`MockGateway requires the 'ws' package in Node.js: ${error instanceof Error ? error.message : error}`);
+    });
+    const server = new ws.WebSocketServer({
+      host: this.options.host || '127.0.0.1',
+      port: this.options.port ?? 0,
+      maxPayload: this.options.maxBytes ?? 4 * 1024 * 1024,
+      // 离线时拒绝新连接，客户端恢复连接失败
+      verifyClient: (_info, callback) => callback(this.isOnline, 503, 'mock gateway offline')
+    });
+    await new Promise<void>((resolve, reject) => {
+      server.once('listening', resolve);
+      server.once('error', reject);
+    });
+    server.on('connection', (socket, request) => this.accept(socket, request));
+    this.server = server;
+  }
+
+  /**
+   * 创建连接到模拟网关的 GatewayClient
+   */
+  createClient(clientId: string = '0000', options: GatewayClientOptions = {}): GatewayClient {
+    if (!this.server) {
+      throw new Error('MockGateway is not listening, call listen() first');
+    }
+    return new GatewayClient(new Client(withBrowser(this.clientUrl(clientId))), clientId, options);
+  }
+
+  /**
+   * 断开所有连接并停止监听
+   */
+  async close(): Promise<void> {
+    this.closeConnections('mock gateway closed');
+    const server = this.server;
+    this.server = null;
+    if (server) {
+      await new Promise<void>((resolve) => server.close(() => resolve()));
+    }
+  }
+
+  // 新连接：按地址中的 clientId 登记，发送握手，之后逐帧处理请求
+  private accept(socket: WsSocket, request: IncomingMessage): void {
+    const clientId = new URL(request.url || '/', 'ws://localhost').searchParams.get('clientId') || '';
+    const connection = new SocketConnection(socket, clientId);
+    this.addConnection(connection);
+    socket.on('close', () => this.removeConnection(connection));
+    socket.on('error', () => socket.terminate());
+    socket.on('message', (message: Buffer | ArrayBuffer | Buffer[]) => {
+      const frame = Buffer.isBuffer(message)
+        ? message
+        : Array.isArray(message) ? Buffer.concat(message) : Buffer.from(message);
+      this.receive(connection, frame);
+    });
+
+    const handshake = Buffer.alloc(HANDSHAKE_LENGTH);
+    handshake.writeUInt16BE(this.options.heartbeatSeconds ?? 30, 0);
+    handshake[2] = this.options.frameTimeoutSeconds ?? 5;
+    handshake[3] = this.options.maxConcurrent ?? 100;
+    handshake.writeUInt32BE(this.options.maxBytes ?? 4 * 1024 * 1024, 4);
+    handshake.writeUInt32BE(0, 8);
+    handshake.writeUInt32BE(this.nextConnectId++, 12);
+    connection.send(handshake);
+  }
+
+  private receive(connection: SocketConnection, frame: Buffer): void {
+    // 不足一个请求头的帧视为心跳
+    if (frame.length < 5) {
+      return;
+    }
+    let parsed: ReturnType<typeof parseRequestFrame>;
+    try {
+      parsed = parseRequestFrame(frame);
+    } catch (error) {
+      connection.send(responseFrame(frame.readUInt32BE(0), STATUS_FAILED, Buffer.from(`bad request frame: ${(error as Error).message}`)));
+      return;
+    }
+    // 推送确认
+    if (parsed.reqId === PUSH_REQ_ID) {
+      return;
+    }
+
+    this.handle(connection, parsed.data.toString('utf8'), parsed.headers).then(
+      (body) => connection.send(responseFrame(parsed.reqId, STATUS_OK, Buffer.from(body, 'utf8'))),
+      (error) => connection.send(responseFrame(parsed.reqId, STATUS_FAILED, Buffer.from(error instanceof Error ? error.message : String(error), 'utf8')))
+    );
+  }
+}
@@ -0,0 +1,401 @@
+/**
+ * Gateway TypeScript SDK - 离线发件箱
+ *
+ * 连接断开 (重连中/已断开) 时暂存 publish 请求，在 Reconnecter 完成重订阅后按顺序补发。
+ * 支持容量上限、消息过期时间和可插拔的持久化存储
+ */
+
+import type { SDKLogger } from './logger.js';
+import type { PublishResponse, RequestOptions } from './types.js';
+import {
+  GatewayAbortError,
+  GatewayErrorCode,
+  GatewayOutboxError,
+  GatewayTimeoutError,
+  GatewayTransportError
+} from './errors.js';
+
+/**
+ * 暂存的发布消息
+ */
+export interface OutboxEntry {
+  /** 请求ID (X-Req-Id)，补发时保持不变 */
+  id: string;
+  api: string;
+  cmd: string;
+  data: string;
+  /** 请求头部键值对 (含 X-Req-Id) */
+  headers: Array<[string, string]>;
+  /** 调用方的请求配置，补发时沿用 (取消信号不可持久化，不保存) */
+  options?: Pick<RequestOptions, 'timeoutMs' | 'throwOnErrMsg'>;
+  enqueuedAt: number;
+  /** 过期时间戳 (毫秒)，超过后丢弃；null 表示永不过期 */
+  expiresAt: number | null;
+}
+
+/**
+ * 发件箱持久化存储接口
+ *
+ * 每次变更都会以完整列表调用 save，实现方只需整体读写
+ */
+export interface OutboxStorage {
+  load(): Promise<OutboxEntry[]>;
+  save(entries: OutboxEntry[]): Promise<void>;
+}
+
+/**
+ * 发件箱配置
+ */
+export interface OutboxOptions {
+  /** 最大暂存消息数，超过后新的 publish 以 OUTBOX_FULL 拒绝 (默认: 1000) */
+  maxSize?: number;
+  /** 单条消息的存活时间 (毫秒)，超过后以 OUTBOX_EXPIRED 拒绝，Infinity 表示永不过期 (默认: 300000) */
+  ttlMs?: number;
+  /** 持久化存储 (默认: MemoryOutboxStorage) */
+  storage?: OutboxStorage;
+}
+
+/**
+ * 内存存储，页面刷新或进程退出后丢失
+ */
+export class MemoryOutboxStorage implements OutboxStorage {
+  private entries: OutboxEntry[] = [];
+
+  async load(): Promise<OutboxEntry[]> {
+    return this.entries.slice();
+  }
+
+  async save(entries: OutboxEntry[]): Promise<void> {
+    this.entries = entries.slice();
+  }
+}
+
+/**
+ * 基于 localStorage 的存储，适合少量小消息
+ */
+export class LocalStorageOutboxStorage implements OutboxStorage {
+  private key: string;
+  private storage: Storage;
+
+  /**
+   * @param key - 存储键名 (默认: 'gateway-outbox')
+   * @param storage - Storage 实现 (默认: globalThis.localStorage)
+   */
+  constructor(key: string = 'gateway-outbox', storage: Storage = globalThis.localStorage) {
+    if (!storage) {
+      throw new Error('localStorage is not available in this environment');
+    }
+    this.key = key;
+    this.storage = storage;
+  }
+
+  async load(): Promise<OutboxEntry[]> {
+    const raw = this.storage.getItem(this.key);
+    return raw ? JSON.parse(raw) : [];
+  }
+
+  async save(entries: OutboxEntry[]): Promise<void> {
+    if (entries.length === 0) {
+      this.storage.removeItem(this.key);
+      return;
+    }
+    this.storage.setItem(this.key, JSON.stringify(entries));
+  }
+}
+
+/**
+ * 基于 IndexedDB 的存储，适合浏览器中较多或较大的消息
+ */
+export class IndexedDBOutboxStorage implements OutboxStorage {
+  private static readonly RECORD_KEY = 'entries';
+  private dbName: string;
+  private storeName: string;
+  private db: Promise<IDBDatabase> | null = null;
+
+  /**
+   * @param dbName - 数据库名 (默认: 'gateway-sdk')
+   * @param storeName - 对象仓库名 (默认: 'outbox')
+   */
+  constructor(dbName: string = 'gateway-sdk', storeName: string = 'outbox') {
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDB is not available in this environment');
+    }
+    this.dbName = dbName;
+    this.storeName = storeName;
+  }
+
+  async load(): Promise<OutboxEntry[]> {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(this.storeName, 'readonly')
+        .objectStore(this.storeName)
+        .get(IndexedDBOutboxStorage.RECORD_KEY);
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async save(entries: OutboxEntry[]): Promise<void> {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, 'readwrite');
+      tx.objectStore(this.storeName).put(entries, IndexedDBOutboxStorage.RECORD_KEY);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  private open(): Promise<IDBDatabase> {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(this.storeName)) {
+            request.result.createObjectStore(this.storeName);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+}
+
+// 等待投递结果的调用方
+interface PendingDelivery {
+  resolve: (response: PublishResponse) => void;
+  reject: (error: unknown) => void;
+  // 移除取消信号的监听
+  detach: () => void;
+}
+
+/**
+ * 离线发件箱
+ *
+ * 由 GatewayClient 持有：离线时 enqueue，连接恢复后 flush
+ */
+export class OfflineOutbox {
+  private entries: OutboxEntry[] = [];
+  private pending: Map<string, PendingDelivery> = new Map();
+  private storage: OutboxStorage;
+  private logger: SDKLogger;
+  private persisting: Promise<void> = Promise.resolve();
+  private expiryTimer: ReturnType<typeof setTimeout> | null = null;
+  private flushing: boolean = false;
+  private closed: boolean = false;
+
+  readonly maxSize: number;
+  readonly ttlMs: number;
+  readonly ready: Promise<void>;
+
+  constructor(options: OutboxOptions, logger: SDKLogger) {
+    this.maxSize = options.maxSize ?? 1000;
+    this.ttlMs = options.ttlMs ?? 300000;
+    this.storage = options.storage || new MemoryOutboxStorage();
+    this.logger = logger;
+    this.ready = this.restore();
+  }
+
+  /**
+   * 当前暂存的消息数
+   */
+  get size(): number {
+    return this.entries.length;
+  }
+
+  /**
+   * 暂存一条消息
+   *
+   * @param entry - 消息 (不含过期时间)
+   * @param signal - 可选取消信号，取消后从发件箱移除
+   * @returns 消息实际投递后 resolve 的 Promise
+   */
+  enqueue(entry: Omit<OutboxEntry, 'enqueuedAt' | 'expiresAt'>, signal?: AbortSignal): Promise<PublishResponse> {
+    this.prune();
+    if (this.entries.length >= this.maxSize) {
+      return Promise.reject(new GatewayOutboxError(
+        GatewayErrorCode.OUTBOX_FULL, entry.api, entry.id, `Outbox is full (maxSize: ${this.maxSize})`
+      ));
+    }
+
+    const now = Date.now();
+    const expiresAt = Number.isFinite(this.ttlMs) ? now + this.ttlMs : null;
+    this.entries.push({ ...entry, enqueuedAt: now, expiresAt });
+    this.persist();
+    this.scheduleExpiry();
+    this.logger.info(`Publish queued in outbox (${this.entries.length} pending)`, { api: entry.api, cmd: entry.cmd, reqId: entry.id });
+
+    return new Promise<PublishResponse>((resolve, reject) => {
+      const onAbort = () => {
+        if (this.remove(entry.id)) {
+          this.settle(entry.id, new GatewayAbortError(entry.api, entry.id, signal!.reason));
+        }
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.pending.set(entry.id, { resolve, reject, detach: () => signal?.removeEventListener('abort', onAbort) });
+    });
+  }
+
+  /**
+   * 按入队顺序补发所有消息
+   *
+   * 服务器拒绝等错误只让该消息失败并继续；传输失败或超时时停止补发，剩余消息留待下次
+   *
+   * @param deliver - 实际发送函数
+   */
+  async flush(deliver: (entry: OutboxEntry) => Promise<PublishResponse>): Promise<void> {
+    await this.ready;
+    if (this.flushing || this.closed) {
+      return;
+    }
+    this.flushing = true;
+
+    try {
+      this.prune();
+      if (this.entries.length > 0) {
+        this.logger.info(`Flushing ${this.entries.length} queued publishes`);
+      }
+
+      while (this.entries.length > 0 && !this.closed) {
+        const entry = this.entries[0];
+        try {
+          const response = await deliver(entry);
+          this.remove(entry.id);
+          this.settle(entry.id, null, response);
+        } catch (error) {
+          // 连接问题：保留消息等待下次补发；其他错误 (如服务器拒绝) 只影响当前消息
+          if (!(error instanceof GatewayTransportError || error instanceof GatewayTimeoutError)) {
+            this.remove(entry.id);
+            this.settle(entry.id, error);
+            continue;
+          }
+          this.logger.warn('Outbox flush interrupted, will retry after reconnect', { api: entry.api, cmd: entry.cmd, reqId: entry.id, error });
+          break;
+        }
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  /**
+   * 关闭发件箱，拒绝所有等待中的调用方并从存储中移除它们的消息
+   * 没有调用方等待的消息 (从存储恢复的) 保留在存储中，下次创建客户端时恢复
+   */
+  close(): void {
+    this.closed = true;
+    if (this.expiryTimer) {
+      clearTimeout(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+    // 调用方已收到失败，不应在下次创建客户端时再次发出
+    const abandoned = this.entries.filter((entry) => this.pending.has(entry.id));
+    if (abandoned.length > 0) {
+      this.entries = this.entries.filter((entry) => !this.pending.has(entry.id));
+      this.persist();
+    }
+    for (const entry of abandoned) {
+      this.settle(entry.id, new GatewayAbortError(entry.api, entry.id, 'client destroyed'));
+    }
+    this.entries = [];
+  }
+
+  /**
+   * 从存储恢复上次未发出的消息，恢复的消息没有等待中的调用方
+   */
+  private async restore(): Promise<void> {
+    try {
+      const stored = await this.storage.load();
+      if (stored.length === 0) {
+        return;
+      }
+      const queued = new Set(this.entries.map((entry) => entry.id));
+      this.entries = stored.filter((entry) => !queued.has(entry.id)).concat(this.entries);
+      this.prune();
+      this.scheduleExpiry();
+      this.logger.info(`Restored ${this.entries.length} queued publishes from storage`);
+    } catch (error) {
+      this.logger.error('Outbox restore failed', { error });
+    }
+  }
+
+  private remove(id: string): boolean {
+    const index = this.entries.findIndex((entry) => entry.id === id);
+    if (index < 0) {
+      return false;
+    }
+    this.entries.splice(index, 1);
+    this.persist();
+    return true;
+  }
+
+  private settle(id: string, error: unknown, response?: PublishResponse): void {
+    const waiter = this.pending.get(id);
+    if (!waiter) {
+      return;
+    }
+    this.pending.delete(id);
+    waiter.detach();
+    if (error) {
+      waiter.reject(error);
+    } else {
+      waiter.resolve(response!);
+    }
+  }
+
+  /**
+   * 丢弃过期消息
+   */
+  private prune(): void {
+    const now = Date.now();
+    const isExpired = (entry: OutboxEntry) => entry.expiresAt !== null && entry.expiresAt <= now;
+    const expired = this.entries.filter(isExpired);
+    if (expired.length === 0) {
+      return;
+    }
+    this.entries = this.entries.filter((entry) => !isExpired(entry));
+    this.persist();
+    for (const entry of expired) {
+      this.logger.warn('Queued publish expired', { api: entry.api, cmd: entry.cmd, reqId: entry.id });
+      this.settle(entry.id, new GatewayOutboxError(
+        GatewayErrorCode.OUTBOX_EXPIRED, entry.api, entry.id, `Queued publish expired after ${this.ttlMs}ms`
+      ));
+    }
+  }
+
+  /**
+   * 在最早的过期时间触发清理，保证离线期间调用方也能及时收到过期错误
+   */
+  private scheduleExpiry(): void {
+    if (this.expiryTimer) {
+      clearTimeout(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+    const deadlines = this.entries
+      .map((entry) => entry.expiresAt)
+      .filter((expiresAt): expiresAt is number => expiresAt !== null);
+    if (deadlines.length === 0 || this.closed) {
+      return;
+    }
+    const nearest = Math.min(...deadlines);
+    // setTimeout 的最大延迟为 2^31-1 毫秒
+    const delay = Math.min(Math.max(0, nearest - Date.now()), 2147483647);
+    this.expiryTimer = setTimeout(() => {
+      this.expiryTimer = null;
+      this.prune();
+      this.scheduleExpiry();
+    }, delay);
+    // Node.js 中不因等待过期而阻止进程退出
+    (this.expiryTimer as { unref?: () => void }).unref?.();
+  }
+
+  private persist(): void {
+    const snapshot = this.entries.slice();
+    this.persisting = this.persisting
+      .then(() => this.storage.save(snapshot))
+      .catch((error) => {
+        this.logger.error('Outbox persist failed', { error });
+      });
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Gateway TypeScript SDK - 频道模式匹配
+ *
+ * 支持用通配符 (如 `group:*`、`@session:*`) 或正则表达式匹配多个频道，
+ * 仅在客户端分发推送时使用，服务器端仍按具体频道订阅
+ */
+
+/**
+ * 频道模式：包含 `*` 的通配符字符串，或正则表达式
+ */
+export type ChannelPattern = string | RegExp;
+
+/**
+ * 生成模式的唯一键，用于在映射中区分不同模式
+ *
+ * @param pattern - 频道模式
+ * @returns 通配符模式原样返回，正则表达式返回 `/source/flags`
+ */
+export function patternKey(pattern: ChannelPattern): string {
+  return typeof pattern === 'string' ? pattern : `/${pattern.source}/${pattern.flags}`;
+}
+
+/**
+ * 将频道模式编译为正则表达式
+ *
+ * 通配符中的 `*` 匹配任意字符序列 (包括 `:`)，其余字符按字面匹配；
+ * 正则表达式会去掉 g/y 标志，避免 lastIndex 导致匹配结果不稳定
+ *
+ * @param pattern - 频道模式
+ * @returns 编译后的正则表达式
+ */
+export function compilePattern(pattern: ChannelPattern): RegExp {
+  if (typeof pattern !== 'string') {
+    return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+  }
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
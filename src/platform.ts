@@ -0,0 +1,60 @@
+/**
+ * Gateway TypeScript SDK - 运行环境
+ *
+ * 按需加载 Node.js 内置模块和 WebCrypto：浏览器使用全局对象，Node.js 通过动态 import 加载，
+ * 支持 engines 声明的所有 Node.js 版本 (>= 16)
+ */
+
+// 已加载的模块，按模块名缓存
+const loadedModules: Map<string, Promise<unknown>> = new Map();
+
+/**
+ * 是否运行在 Node.js 中
+ */
+export function isNode(): boolean {
+  return typeof process !== 'undefined' && !!process.versions?.node;
+}
+
+/**
+ * 加载 Node.js 模块 (内置模块或已安装的依赖)
+ *
+ * 模块名以变量传给 import()，打包工具不会把 Node.js 模块打进浏览器产物；CommonJS 构建中编译为 require
+ *
+ * @throws Error 不在 Node.js 中或模块不存在
+ */
+export function loadNodeModule<T>(id: string): Promise<T> {
+  let loaded = loadedModules.get(id);
+  if (!loaded) {
+    loaded = isNode()
+      ? import(id)
+      : Promise.reject(new Error(`Module '${id}' is only available in Node.js`));
+    loadedModules.set(id, loaded);
+  }
+  return loaded as Promise<T>;
+}
+
+let webCrypto: Promise<Crypto> | null = null;
+
+/**
+ * 获取 WebCrypto：优先使用全局 crypto (浏览器、Node.js 19+)，否则使用 Node.js 的 crypto.webcrypto
+ *
+ * @throws Error 当前环境不支持 WebCrypto
+ */
+export function getWebCrypto(): Promise<Crypto> {
+  if (!webCrypto) {
+    webCrypto = (async () => {
+      if (typeof crypto !== 'undefined' && crypto.subtle) {
+        return crypto;
+      }
+      const nodeCrypto = await loadNodeModule<{ webcrypto?: Crypto }>('crypto').catch(() => null);
+      if (!nodeCrypto?.webcrypto?.subtle) {
+        throw new Error('WebCrypto is not supported in this environment');
+      }
+      return nodeCrypto.webcrypto;
+    })();
+    webCrypto.catch(() => {
+      webCrypto = null;
+    });
+  }
+  return webCrypto;
+}
@@ -0,0 +1,337 @@
+/**
+ * Gateway TypeScript SDK - 在线状态
+ *
+ * 基于 SDK 自身的订阅/发布实现"谁在线"：
+ * - 成员在 `presence:{room}` 频道上宣告加入、定期发送心跳、更新元数据、离开
+ * - 收到新成员加入时，已有成员直接回复到其私有频道 `@client:{clientId}`，新成员无需等待心跳即可获得完整名单
+ * - 超过 timeoutMs 未收到心跳的成员视为离开
+ * - 成员以每个 Presence 实例随机生成的 memberId 区分，不依赖 clientId 唯一
+ * - 频道订阅由 Reconnecter 自动恢复，重订阅完成后重新宣告加入
+ */
+
+import type { GatewayClient } from './client.js';
+import type { SDKLogger } from './logger.js';
+import { ConnectionState } from './state.js';
+
+/** 在线状态消息头部，值为房间名，用于区分私有频道上的其他消息 */
+export const PRESENCE_HEADER = 'X-Presence';
+
+/**
+ * 在线成员
+ */
+export interface PresenceMember {
+  /** 成员的唯一标识，由对方的 Presence 实例随机生成 */
+  memberId: string;
+  /** 成员的客户端ID，私有频道为 `@client:{clientId}` */
+  clientId: string;
+  /** 可选的用户ID，对应 `@user:{userId}` */
+  userId?: string;
+  /** 成员元数据 (如昵称、状态) */
+  meta: Record<string, unknown>;
+  /** 首次收到该成员消息的时间 */
+  joinedAt: number;
+  /** 最后一次收到该成员消息的时间 */
+  lastSeen: number;
+}
+
+/**
+ * 名单变化事件
+ *
+ * - join: 新成员加入 (包括刚加入时同步到的已有成员)
+ * - update: 成员元数据变化
+ * - leave: 成员主动离开 (reason 'left') 或心跳超时 (reason 'expired')
+ */
+export interface PresenceEvent {
+  type: 'join' | 'update' | 'leave';
+  member: PresenceMember;
+  reason?: 'left' | 'expired';
+}
+
+export type PresenceListener = (event: PresenceEvent) => void;
+
+/**
+ * 在线状态配置
+ */
+export interface PresenceOptions {
+  /** 初始元数据 */
+  meta?: Record<string, unknown>;
+  /** 可选的用户ID */
+  userId?: string;
+  /** 心跳间隔 (默认: 15000ms) */
+  heartbeatIntervalMs?: number;
+  /** 超过该时间未收到心跳视为离开 (默认: 心跳间隔的 3 倍) */
+  timeoutMs?: number;
+}
+
+// 频道上传输的在线状态消息
+interface PresenceMessage {
+  type: 'join' | 'heartbeat' | 'update' | 'leave';
+  memberId: string;
+  clientId: string;
+  userId?: string;
+  meta: Record<string, unknown>;
+}
+
+// 离线期间不发送心跳，也不判定其他成员超时
+const OFFLINE_STATES = new Set<ConnectionState>([
+  ConnectionState.RECONNECTING,
+  ConnectionState.RESUBSCRIBING,
+  ConnectionState.DISCONNECTED
+]);
+
+// 16 位十六进制随机ID
+function randomMemberId(): string {
+  const segment = () => Math.random().toString(16).substring(2, 10).padStart(8, '0');
+  return segment() + segment();
+}
+
+/**
+ * 房间在线状态
+ *
+ * @example
+ * ```typescript
+ * const presence = new Presence(client, 'lobby', { meta: { name: 'Alice' } });
+ * presence.onChange(({ type, member }) => console.log(type, member.meta.name));
+ * await presence.join();
+ *
+ * presence.getMembers();                          // 当前在线成员 (不含自己)
+ * await presence.update({ name: 'Alice', status: 'away' });
+ * await presence.leave();
+ * ```
+ */
+export class Presence {
+  readonly room: string;
+  /** 本实例的成员ID，其他成员以此区分本实例 */
+  readonly memberId: string;
+  private client: GatewayClient;
+  private logger: SDKLogger;
+  private meta: Record<string, unknown>;
+  private userId?: string;
+  private heartbeatIntervalMs: number;
+  private timeoutMs: number;
+  private members: Map<string, PresenceMember> = new Map();
+  private listeners: Set<PresenceListener> = new Set();
+  private observer: symbol;
+  private heartbeatTimer: NodeJS.Timeout | null = null;
+  private stopStateListener: (() => void) | null = null;
+  private joined: boolean = false;
+
+  constructor(client: GatewayClient, room: string, options: PresenceOptions = {}) {
+    this.client = client;
+    this.logger = client.getLogger();
+    this.room = room;
+    this.memberId = randomMemberId();
+    this.meta = options.meta || {};
+    this.userId = options.userId;
+    this.heartbeatIntervalMs = options.heartbeatIntervalMs ?? 15000;
+    this.timeoutMs = options.timeoutMs ?? this.heartbeatIntervalMs * 3;
+    this.observer = Symbol(`presence:${room}`);
+
+    if (this.heartbeatIntervalMs <= 0 || this.timeoutMs <= 0) {
+      throw new Error(`Presence heartbeatIntervalMs and timeoutMs must be positive, got: ${this.heartbeatIntervalMs}, ${this.timeoutMs}`);
+    }
+  }
+
+  /**
+   * 房间的在线状态频道
+   */
+  get channel(): string {
+    return `presence:${this.room}`;
+  }
+
+  /**
+   * 本客户端的私有频道
+   */
+  private get directChannel(): string {
+    return `@client:${this.client.getClientId()}`;
+  }
+
+  /**
+   * 加入房间：订阅在线状态频道和私有频道，宣告加入并开始心跳
+   */
+  async join(): Promise<void> {
+    if (this.joined) {
+      return;
+    }
+
+    const onMessage = (_cmd: string, data: string, header: Map<string, string>) => {
+      if (header.get(PRESENCE_HEADER) === this.room) {
+        this.handleMessage(data);
+      }
+    };
+    await this.client.subscribe(this.channel, this.observer, onMessage);
+    try {
+      await this.client.subscribe(this.directChannel, this.observer, onMessage);
+    } catch (error) {
+      await this.client.unsubscribe(this.channel, this.observer).catch((unsubscribeError) => {
+        this.logger.warn('Presence unsubscribe failed', { cmd: this.channel, error: unsubscribeError });
+      });
+      throw error;
+    }
+    this.joined = true;
+
+    // 重订阅完成后重新宣告，让其他成员回复最新名单
+    this.stopStateListener = this.client.onStateChange(({ previous, current }) => {
+      if (current === ConnectionState.CLOSED) {
+        this.stop();
+      } else if (previous === ConnectionState.RESUBSCRIBING && current === ConnectionState.CONNECTED) {
+        this.announce('join', this.channel).catch((error) => {
+          this.logger.warn('Presence re-announce failed', { cmd: this.channel, error });
+        });
+      }
+    });
+
+    this.heartbeatTimer = setInterval(() => this.tick(), this.heartbeatIntervalMs);
+    await this.announce('join', this.channel);
+  }
+
+  /**
+   * 更新本客户端的元数据并通知其他成员
+   */
+  async update(meta: Record<string, unknown>): Promise<void> {
+    this.meta = meta;
+    if (this.joined) {
+      await this.announce('update', this.channel);
+    }
+  }
+
+  /**
+   * 离开房间：宣告离开、停止心跳并取消订阅
+   */
+  async leave(): Promise<void> {
+    if (!this.joined) {
+      return;
+    }
+    try {
+      await this.announce('leave', this.channel);
+    } finally {
+      this.stop();
+      await Promise.all([this.channel, this.directChannel].map((cmd) =>
+        this.client.unsubscribe(cmd, this.observer).catch((error) => {
+          this.logger.warn('Presence unsubscribe failed', { cmd, error });
+        })
+      ));
+    }
+  }
+
+  /**
+   * 当前在线成员 (不含自己)
+   */
+  getMembers(): PresenceMember[] {
+    return Array.from(this.members.values());
+  }
+
+  /**
+   * 注册名单变化监听者
+   *
+   * @returns 取消监听的函数
+   */
+  onChange(listener: PresenceListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * 停止心跳和状态监听，清空名单
+   */
+  private stop(): void {
+    this.joined = false;
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    this.stopStateListener?.();
+    this.stopStateListener = null;
+    this.members.clear();
+  }
+
+  /**
+   * 心跳周期：发送心跳并移除超时成员，离线期间跳过
+   */
+  private tick(): void {
+    if (OFFLINE_STATES.has(this.client.state)) {
+      return;
+    }
+    // 心跳失败在下一周期重试
+    this.announce('heartbeat', this.channel).catch((error) => {
+      this.logger.warn('Presence heartbeat failed, will retry', { cmd: this.channel, error });
+    });
+
+    const deadline = Date.now() - this.timeoutMs;
+    for (const member of Array.from(this.members.values())) {
+      if (member.lastSeen < deadline) {
+        this.members.delete(member.memberId);
+        this.emit({ type: 'leave', member, reason: 'expired' });
+      }
+    }
+  }
+
+  private async announce(type: PresenceMessage['type'], cmd: string): Promise<void> {
+    const message: PresenceMessage = { type, memberId: this.memberId, clientId: this.client.getClientId(), userId: this.userId, meta: this.meta };
+    await this.client.publish(cmd, JSON.stringify(message), new Map([[PRESENCE_HEADER, this.room]]));
+  }
+
+  private handleMessage(data: string): void {
+    let message: PresenceMessage;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+    if (!message || typeof message.memberId !== 'string' || typeof message.clientId !== 'string' || message.memberId === this.memberId) {
+      return;
+    }
+
+    const existing = this.members.get(message.memberId);
+    if (message.type === 'leave') {
+      if (existing) {
+        this.members.delete(message.memberId);
+        this.emit({ type: 'leave', member: existing, reason: 'left' });
+      }
+      return;
+    }
+
+    // 新成员加入 (或重连后重新宣告) 时直接回复自己的状态
+    if (message.type === 'join') {
+      const replyTo = `@client:${message.clientId}`;
+      this.announce('heartbeat', replyTo).catch((error) => {
+        this.logger.warn('Presence reply to new member failed', { cmd: replyTo, error });
+      });
+    }
+
+    const now = Date.now();
+    if (!existing) {
+      const member: PresenceMember = {
+        memberId: message.memberId,
+        clientId: message.clientId,
+        userId: message.userId,
+        meta: message.meta || {},
+        joinedAt: now,
+        lastSeen: now
+      };
+      this.members.set(member.memberId, member);
+      this.emit({ type: 'join', member });
+      return;
+    }
+
+    existing.lastSeen = now;
+    if (JSON.stringify(existing.meta) !== JSON.stringify(message.meta || {})) {
+      existing.meta = message.meta || {};
+      existing.userId = message.userId;
+      this.emit({ type: 'update', member: existing });
+    }
+  }
+
+  private emit(event: PresenceEvent): void {
+    for (const listener of Array.from(this.listeners)) {
+      try {
+        listener(event);
+      } catch (error) {
+        // 监听者异常不影响其他监听者
+        this.logger.error('Presence listener failed', { cmd: this.channel, type: event.type, memberId: event.member.memberId, error });
+      }
+    }
+  }
+}
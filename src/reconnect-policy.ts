@@ -0,0 +1,89 @@
+/**
+ * Gateway TypeScript SDK - 重连策略
+ *
+ * 决定连接断开后是否恢复连接、重订阅失败后多久重试以及何时放弃
+ */
+
+/**
+ * 放弃重连时的上下文信息
+ */
+export interface ReconnectGiveUpInfo {
+  /** 已尝试的重订阅次数 */
+  attempts: number;
+  /** 最后一次失败的错误 */
+  lastError: unknown;
+}
+
+/**
+ * 重连策略
+ *
+ * 第 n 次重试前的等待时间为 `min(initialDelayMs * multiplier^(n-1), maxDelayMs)`，
+ * 再按 jitter 比例随机缩短，避免大量客户端在服务器重启后同时重试
+ */
+export interface ReconnectPolicy {
+  /** 首次重试前的等待时间 (毫秒) */
+  initialDelayMs: number;
+  /** 每次重试后等待时间的增长倍数，1 表示固定间隔 */
+  multiplier: number;
+  /** 等待时间上限 (毫秒) */
+  maxDelayMs: number;
+  /** 随机抖动比例 (0 ~ 1)，实际等待时间落在 [delay * (1 - jitter), delay] 区间 */
+  jitter: number;
+  /** 最大重订阅尝试次数，超过后放弃并进入 DISCONNECTED 状态 */
+  maxAttempts: number;
+  /** 放弃重连时的回调 */
+  onGiveUp?: (info: ReconnectGiveUpInfo) => void;
+  /** 连接断开时是否调用 Recover() 恢复连接，返回 false 时直接进入 DISCONNECTED 状态 */
+  shouldRecover?: (error: unknown) => boolean;
+}
+
+/**
+ * 默认策略：5 秒固定间隔，无限重试
+ */
+export const DEFAULT_RECONNECT_POLICY: ReconnectPolicy = {
+  initialDelayMs: 5000,
+  multiplier: 1,
+  maxDelayMs: 60000,
+  jitter: 0,
+  maxAttempts: Infinity
+};
+
+/**
+ * 合并用户配置与默认策略，并校验取值范围
+ *
+ * @param policy - 用户提供的部分策略
+ * @returns 完整的重连策略
+ * @throws Error 当配置取值不合法时抛出错误
+ */
+export function resolveReconnectPolicy(policy: Partial<ReconnectPolicy> = {}): ReconnectPolicy {
+  const resolved: ReconnectPolicy = { ...DEFAULT_RECONNECT_POLICY, ...policy };
+
+  if (resolved.initialDelayMs < 0 || resolved.maxDelayMs < 0) {
+    throw new Error(`Reconnect delays must be non-negative, got initialDelayMs=${resolved.initialDelayMs}, maxDelayMs=${resolved.maxDelayMs}`);
+  }
+  if (resolved.multiplier < 1) {
+    throw new Error(`Reconnect multiplier must be >= 1, got: ${resolved.multiplier}`);
+  }
+  if (resolved.jitter < 0 || resolved.jitter > 1) {
+    throw new Error(`Reconnect jitter must be between 0 and 1, got: ${resolved.jitter}`);
+  }
+  if (resolved.maxAttempts < 1) {
+    throw new Error(`Reconnect maxAttempts must be >= 1, got: ${resolved.maxAttempts}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * 计算第 attempt 次重试前的等待时间
+ *
+ * @param policy - 重连策略
+ * @param attempt - 重试序号，从 1 开始
+ * @param random - 随机数来源 (便于测试)
+ * @returns 等待时间 (毫秒)
+ */
+export function computeReconnectDelay(policy: ReconnectPolicy, attempt: number, random: () => number = Math.random): number {
+  const exponential = policy.initialDelayMs * Math.pow(policy.multiplier, Math.max(0, attempt - 1));
+  const delay = Math.min(exponential, policy.maxDelayMs);
+  return Math.round(delay - delay * policy.jitter * random());
+}
@@ -0,0 +1,164 @@
+/**
+ * Gateway TypeScript SDK - 请求/响应 (RPC)
+ *
+ * 基于私有频道的请求/响应模式：请求方在发布时携带回复频道和关联ID，
+ * 响应方处理后将结果发布到回复频道，请求方按关联ID匹配回复
+ */
+
+import type { RequestOptions } from './types.js';
+import { GatewayAbortError, GatewayRemoteError, GatewayTimeoutError } from './errors.js';
+
+/** 回复频道头部，值为请求方的私有频道 `@client:{clientId}` */
+export const REPLY_TO_HEADER = 'X-Reply-To';
+
+/** 关联ID头部，请求与回复使用相同的值 */
+export const CORRELATION_ID_HEADER = 'X-Correlation-Id';
+
+/** 回复中的错误信息头部，存在时表示响应方处理失败 */
+export const RPC_ERROR_HEADER = 'X-Rpc-Error';
+
+/** 空回复标记头部：推送的 data 不能为空，响应方返回空字符串时以占位内容发布并设置该头部 */
+export const RPC_EMPTY_HEADER = 'X-Rpc-Empty';
+
+/** 空回复的占位内容 */
+export const RPC_EMPTY_PLACEHOLDER = ' ';
+
+/** 未设置 timeoutMs 且客户端无默认超时时，请求的等待上限 (毫秒) */
+export const DEFAULT_RPC_TIMEOUT_MS = 30000;
+
+/**
+ * 请求配置
+ */
+export interface RpcRequestOptions extends RequestOptions {
+  /** 请求发布时附加的头部 */
+  headers?: Map<string, string>;
+}
+
+/**
+ * 响应方的回复
+ */
+export interface RpcReply {
+  data: string;
+  header: Map<string, string>;
+}
+
+/**
+ * 响应方处理函数，返回值作为回复内容 (可以为空字符串)；抛出的错误以 GatewayRemoteError 返回给请求方
+ */
+export type RpcHandler = (data: string, header: Map<string, string>, cmd: string) => string | Promise<string>;
+
+// 等待回复的请求
+interface PendingCall {
+  resolve: (reply: RpcReply) => void;
+  reject: (error: unknown) => void;
+  api: string;
+  cmd: string;
+  cleanup: () => void;
+}
+
+/**
+ * 等待回复的请求表，负责超时、取消和按关联ID匹配回复
+ */
+export class PendingCalls {
+  private calls: Map<string, PendingCall> = new Map();
+
+  /**
+   * 等待中的请求数
+   */
+  get size(): number {
+    return this.calls.size;
+  }
+
+  /**
+   * 登记请求并等待回复
+   *
+   * @param correlationId - 关联ID
+   * @param api - 发布 API，用于错误信息
+   * @param cmd - 目标频道
+   * @param timeoutMs - 等待上限
+   * @param signal - 可选的取消信号
+   */
+  wait(correlationId: string, api: string, cmd: string, timeoutMs: number, signal?: AbortSignal): Promise<RpcReply> {
+    if (signal?.aborted) {
+      return Promise.reject(new GatewayAbortError(api, correlationId, signal.reason));
+    }
+
+    return new Promise<RpcReply>((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.reject(correlationId, new GatewayTimeoutError(api, correlationId, timeoutMs));
+      }, timeoutMs);
+      const onAbort = () => {
+        this.reject(correlationId, new GatewayAbortError(api, correlationId, signal?.reason));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.calls.set(correlationId, {
+        resolve,
+        reject,
+        api,
+        cmd,
+        cleanup: () => {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+        }
+      });
+    });
+  }
+
+  /**
+   * 请求是否仍在等待回复
+   */
+  has(correlationId: string): boolean {
+    return this.calls.has(correlationId);
+  }
+
+  /**
+   * 按关联ID匹配回复
+   *
+   * @returns 是否匹配到等待中的请求
+   */
+  settle(data: string, header: Map<string, string>): boolean {
+    const correlationId = header.get(CORRELATION_ID_HEADER);
+    const call = correlationId ? this.take(correlationId) : undefined;
+    if (!call || !correlationId) {
+      return false;
+    }
+
+    const errMsg = header.get(RPC_ERROR_HEADER);
+    if (errMsg !== undefined) {
+      call.reject(new GatewayRemoteError(call.api, correlationId, call.cmd, errMsg));
+    } else if (header.has(RPC_EMPTY_HEADER)) {
+      header.delete(RPC_EMPTY_HEADER);
+      call.resolve({ data: '', header });
+    } else {
+      call.resolve({ data, header });
+    }
+    return true;
+  }
+
+  /**
+   * 以错误结束请求，请求已结束时忽略
+   */
+  reject(correlationId: string, error: unknown): void {
+    this.take(correlationId)?.reject(error);
+  }
+
+  /**
+   * 以错误结束所有请求
+   */
+  rejectAll(createError: (api: string, correlationId: string) => unknown): void {
+    for (const correlationId of Array.from(this.calls.keys())) {
+      const call = this.take(correlationId)!;
+      call.reject(createError(call.api, correlationId));
+    }
+  }
+
+  private take(correlationId: string): PendingCall | undefined {
+    const call = this.calls.get(correlationId);
+    if (call) {
+      this.calls.delete(correlationId);
+      call.cleanup();
+    }
+    return call;
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * Gateway TypeScript SDK - 发送流量控制
+ *
+ * 限制同时等待响应的请求数，超出的请求进入有界队列；控制请求 (订阅、取消订阅、Ping) 优先于
+ * 批量请求 (发布、代理等) 出队且不受队列上限约束。可选按频道的令牌桶限速
+ */
+
+import { GatewayAbortError, GatewayErrorCode, GatewayQueueError } from './errors.js';
+
+/**
+ * 队列已满时的策略
+ * - wait: 调用方等待队列出现空位 (背压)
+ * - reject: 以 GatewayQueueError (QUEUE_FULL) 拒绝新请求
+ * - drop-oldest: 以 GatewayQueueError (QUEUE_DROPPED) 拒绝队列中最早的请求
+ */
+export type QueueOverflowPolicy = 'wait' | 'reject' | 'drop-oldest';
+
+/**
+ * 令牌桶限速
+ */
+export interface RateLimit {
+  /** 每秒补充的令牌数 */
+  ratePerSecond: number;
+  /** 桶容量，即允许的突发量 (默认: ratePerSecond，至少为 1) */
+  burst?: number;
+}
+
+/**
+ * 流量控制配置
+ */
+export interface FlowControlOptions {
+  /** 同时等待响应的最大请求数 (默认: 16) */
+  maxInFlight?: number;
+  /** 批量请求队列上限 (默认: 1000) */
+  maxQueueSize?: number;
+  /** 队列已满时的策略 (默认: 'wait') */
+  overflow?: QueueOverflowPolicy;
+  /** 按频道的发布限速，可传入函数按频道返回不同配置，返回 null 表示不限速 */
+  rateLimit?: RateLimit | ((cmd: string) => RateLimit | null);
+}
+
+/**
+ * 队列状态
+ */
+export interface QueueStats {
+  /** 已发送、等待响应的请求数 */
+  inFlight: number;
+  /** 队列中的请求数 (控制请求 + 批量请求) */
+  queued: number;
+  /** 队列已满、等待入队的请求数 (overflow 为 'wait' 时) */
+  blocked: number;
+  /** 等待限速令牌的发布数 */
+  throttled: number;
+}
+
+/**
+ * 请求优先级，control 先于 bulk 出队
+ */
+export type RequestPriority = 'control' | 'bulk';
+
+/**
+ * 排队凭证
+ */
+export interface SchedulerTicket {
+  /** 获得发送名额时 resolve，返回释放名额的函数 */
+  granted: Promise<() => void>;
+  /** 放弃排队；已获得名额时释放名额 */
+  cancel(): void;
+}
+
+// 排队中的请求
+interface Waiter {
+  state: 'queued' | 'granted' | 'done';
+  api: string;
+  reqId: string;
+  resolve: (release: () => void) => void;
+  reject: (error: unknown) => void;
+}
+
+// 单个频道的令牌桶，tokens 可以为负 (已预约的令牌)
+interface Bucket {
+  tokens: number;
+  updatedAt: number;
+}
+
+/**
+ * 请求调度器，由 GatewayClient 内部使用
+ */
+export class RequestScheduler {
+  private maxInFlight: number;
+  private maxQueueSize: number;
+  private overflow: QueueOverflowPolicy;
+  private rateLimit: FlowControlOptions['rateLimit'];
+  private inFlight: number = 0;
+  private control: Waiter[] = [];
+  private bulk: Waiter[] = [];
+  private blocked: Waiter[] = [];
+  private buckets: Map<string, Bucket> = new Map();
+  // 等待令牌的发布，键为取消函数
+  private throttles: Set<(error: unknown) => void> = new Set();
+
+  constructor(options: FlowControlOptions = {}) {
+    this.maxInFlight = Math.max(1, options.maxInFlight ?? 16);
+    this.maxQueueSize = Math.max(0, options.maxQueueSize ?? 1000);
+    this.overflow = options.overflow ?? 'wait';
+    this.rateLimit = options.rateLimit;
+  }
+
+  /**
+   * 当前队列状态
+   */
+  get stats(): QueueStats {
+    return {
+      inFlight: this.inFlight,
+      queued: this.control.length + this.bulk.length,
+      blocked: this.blocked.length,
+      throttled: this.throttles.size
+    };
+  }
+
+  /**
+   * 申请发送名额
+   *
+   * 批量请求在队列已满时按 overflow 策略处理，reject 策略下 granted 以 GatewayQueueError 拒绝
+   */
+  enqueue(priority: RequestPriority, api: string, reqId: string): SchedulerTicket {
+    let waiter!: Waiter;
+    const granted = new Promise<() => void>((resolve, reject) => {
+      waiter = { state: 'queued', api, reqId, resolve, reject };
+    });
+    const ticket: SchedulerTicket = { granted, cancel: () => this.cancel(waiter) };
+
+    if (priority === 'control') {
+      this.control.push(waiter);
+    } else if (this.bulk.length < this.maxQueueSize || this.inFlight < this.maxInFlight) {
+      this.bulk.push(waiter);
+    } else {
+      switch (this.overflow) {
+        case 'reject':
+          waiter.state = 'done';
+          waiter.reject(new GatewayQueueError(GatewayErrorCode.QUEUE_FULL, api, reqId, `Send queue is full (maxQueueSize: ${this.maxQueueSize})`));
+          return ticket;
+        case 'drop-oldest': {
+          const oldest = this.bulk.shift();
+          if (oldest) {
+            oldest.state = 'done';
+            oldest.reject(new GatewayQueueError(GatewayErrorCode.QUEUE_DROPPED, oldest.api, oldest.reqId, `Dropped from full send queue (maxQueueSize: ${this.maxQueueSize})`));
+          }
+          this.bulk.push(waiter);
+          break;
+        }
+        case 'wait':
+          this.blocked.push(waiter);
+          break;
+      }
+    }
+
+    this.drain();
+    return ticket;
+  }
+
+  /**
+   * 等待频道的限速令牌，未配置限速时立即返回
+   *
+   * @throws GatewayAbortError 等待期间 signal 触发或调度器关闭
+   */
+  async throttle(cmd: string, api: string, reqId: string, signal?: AbortSignal): Promise<void> {
+    const limit = typeof this.rateLimit === 'function' ? this.rateLimit(cmd) : this.rateLimit;
+    if (!limit || limit.ratePerSecond <= 0) {
+      return;
+    }
+
+    const burst = Math.max(1, limit.burst ?? limit.ratePerSecond);
+    const now = Date.now();
+    const bucket = this.buckets.get(cmd) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) * limit.ratePerSecond) / 1000);
+    bucket.updatedAt = now;
+    bucket.tokens -= 1;
+    this.buckets.set(cmd, bucket);
+    if (bucket.tokens >= 0) {
+      return;
+    }
+
+    if (signal?.aborted) {
+      bucket.tokens += 1;
+      throw new GatewayAbortError(api, reqId, signal.reason);
+    }
+
+    const delay = (-bucket.tokens / limit.ratePerSecond) * 1000;
+    await new Promise<void>((resolve, reject) => {
+      const finish = (error?: unknown) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.throttles.delete(finish);
+        if (error === undefined) {
+          resolve();
+        } else {
+          // 归还预约的令牌
+          bucket.tokens += 1;
+          reject(error);
+        }
+      };
+      const onAbort = () => finish(new GatewayAbortError(api, reqId, signal?.reason));
+      const timer = setTimeout(() => finish(), delay);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.throttles.add(finish);
+    });
+  }
+
+  /**
+   * 拒绝所有排队和等待令牌的请求
+   */
+  rejectAll(createError: (api: string, reqId: string) => unknown): void {
+    for (const waiter of [...this.control, ...this.bulk, ...this.blocked]) {
+      waiter.state = 'done';
+      waiter.reject(createError(waiter.api, waiter.reqId));
+    }
+    this.control = [];
+    this.bulk = [];
+    this.blocked = [];
+    for (const finish of Array.from(this.throttles)) {
+      finish(createError('', ''));
+    }
+  }
+
+  private cancel(waiter: Waiter): void {
+    if (waiter.state === 'granted') {
+      waiter.state = 'done';
+      this.release();
+      return;
+    }
+    if (waiter.state === 'queued') {
+      waiter.state = 'done';
+      for (const queue of [this.control, this.bulk, this.blocked]) {
+        const index = queue.indexOf(waiter);
+        if (index !== -1) {
+          queue.splice(index, 1);
+          break;
+        }
+      }
+      this.drain();
+    }
+  }
+
+  private release(): void {
+    this.inFlight--;
+    this.drain();
+  }
+
+  // 按优先级发放名额，批量队列出现空位时放入等待入队的请求；批量队列为空 (如 maxQueueSize 为 0) 时名额直接交给等待入队的请求
+  private drain(): void {
+    while (this.blocked.length > 0 && this.bulk.length < this.maxQueueSize) {
+      this.bulk.push(this.blocked.shift()!);
+    }
+    while (this.inFlight < this.maxInFlight) {
+      const waiter = this.control.shift() || this.bulk.shift() || this.blocked.shift();
+      if (!waiter) {
+        break;
+      }
+      this.inFlight++;
+      waiter.state = 'granted';
+      waiter.resolve(() => {
+        if (waiter.state === 'granted') {
+          waiter.state = 'done';
+          this.release();
+        }
+      });
+      if (this.blocked.length > 0 && this.bulk.length < this.maxQueueSize) {
+        this.bulk.push(this.blocked.shift()!);
+      }
+    }
+  }
+}
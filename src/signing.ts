@@ -0,0 +1,222 @@
+/**
+ * Gateway TypeScript SDK - 消息签名
+ *
+ * 发布内容连同选定的头部以 HMAC-SHA256 或 Ed25519 签名，签名写入 X-Signature 头部；
+ * 收到推送时按频道的验证策略处理未签名或签名无效的消息，观察者通过 info.verified 得知验证结果
+ */
+
+import { CONTENT_TYPE_HEADER } from './binary.js';
+import { CONTENT_ENCODING_HEADER } from './compression.js';
+import { ENCRYPTION_HEADER, KEY_ID_HEADER } from './encryption.js';
+import { decodeBase64, encodeBase64, utf8Encode } from './encoding.js';
+import { getWebCrypto } from './platform.js';
+
+/** 签名头部 (base64) */
+export const SIGNATURE_HEADER = 'X-Signature';
+
+/** 签名密钥 ID 头部 */
+export const SIGNATURE_KEY_ID_HEADER = 'X-Signature-Key-Id';
+
+/** 参与签名的头部名称列表 (逗号分隔，小写) */
+export const SIGNED_HEADERS_HEADER = 'X-Signed-Headers';
+
+// 影响内容解释方式的头部，存在时必须参与签名
+const PROTECTED_HEADERS = [CONTENT_TYPE_HEADER, CONTENT_ENCODING_HEADER, ENCRYPTION_HEADER, KEY_ID_HEADER];
+
+export type SigningAlgorithm = 'hmac-sha256' | 'ed25519';
+
+/**
+ * 发布方的签名密钥
+ */
+export interface SigningKey {
+  keyId: string;
+  algorithm: SigningAlgorithm;
+  /** hmac-sha256 为共享密钥 (CryptoKey 或原始字节)；ed25519 为私钥 CryptoKey */
+  key: CryptoKey | Uint8Array;
+}
+
+/**
+ * 接收方的验证密钥，算法以密钥为准，不信任推送中的任何声明
+ */
+export interface VerificationKey {
+  algorithm: SigningAlgorithm;
+  /** hmac-sha256 为共享密钥；ed25519 为公钥 (CryptoKey 或 32 字节原始公钥) */
+  key: CryptoKey | Uint8Array;
+}
+
+/**
+ * 签名密钥提供者
+ */
+export interface SigningKeyProvider {
+  /** 返回频道的签名密钥；未实现时只验证不签名，返回 null 时发布失败 */
+  getSigningKey?(cmd: string): SigningKey | null | Promise<SigningKey | null>;
+  /** 按密钥 ID 返回验证密钥，未知 ID 返回 null (视为签名无效) */
+  getVerificationKey(cmd: string, keyId: string): VerificationKey | null | Promise<VerificationKey | null>;
+}
+
+/**
+ * 未签名或签名无效的推送的处理策略
+ * - drop: 丢弃，不分发给观察者
+ * - flag: 分发 (info.verified 为 false) 并记录警告
+ * - deliver: 分发 (info.verified 为 false)，不记录警告
+ */
+export type VerifyPolicy = 'drop' | 'flag' | 'deliver';
+
+/**
+ * 推送签名的验证结果
+ */
+export type VerifyResult = 'valid' | 'unsigned' | 'invalid';
+
+/**
+ * 签名配置
+ */
+export interface SigningOptions {
+  keyProvider: SigningKeyProvider;
+  /** 发布时需要签名的频道 (默认: 所有频道) */
+  channels?: (cmd: string) => boolean;
+  /** 额外参与签名的头部，X-Content-Encoding、X-Encryption、X-Key-Id 存在时总是参与签名 */
+  signedHeaders?: string[];
+  /** 推送验证策略，可传入函数按频道返回 (默认: 'flag') */
+  verify?: VerifyPolicy | ((cmd: string) => VerifyPolicy);
+}
+
+async function importKey(subtle: SubtleCrypto, algorithm: SigningAlgorithm, key: CryptoKey | Uint8Array, usage: KeyUsage): Promise<CryptoKey> {
+  if (!(key instanceof Uint8Array)) {
+    return key;
+  }
+  if (algorithm === 'ed25519' && usage === 'sign') {
+    // WebCrypto 不支持以 raw 格式导入私钥
+    throw new Error('Ed25519 signing key must be a CryptoKey');
+  }
+  const params = algorithm === 'hmac-sha256' ? { name: 'HMAC', hash: 'SHA-256' } : { name: 'Ed25519' };
+  return subtle.importKey('raw', key as Uint8Array<ArrayBuffer>, params, false, [usage]);
+}
+
+function findHeader(headers: Map<string, string>, name: string): string | undefined {
+  const lower = name.toLowerCase();
+  for (const [key, value] of headers) {
+    if (key.toLowerCase() === lower) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+// 待签名内容：频道、参与签名的头部及其值、消息内容，逐行拼接
+function canonicalize(cmd: string, data: string, headers: Map<string, string>, names: string[]): Uint8Array<ArrayBuffer> {
+  const lines = [cmd, names.join(',')];
+  for (const name of names) {
+    lines.push(`${name}:${findHeader(headers, name) ?? ''}`);
+  }
+  lines.push(data);
+  return utf8Encode(lines.join('\n')) as Uint8Array<ArrayBuffer>;
+}
+
+/**
+ * 为发布内容签名，设置 X-Signature、X-Signature-Key-Id 和 X-Signed-Headers 头部
+ *
+ * @param signedHeaders - 额外参与签名的头部，不存在的头部被忽略
+ */
+export async function signPayload(cmd: string, data: string, headers: Map<string, string>, key: SigningKey, signedHeaders: string[] = []): Promise<void> {
+  const names = Array.from(new Set([...PROTECTED_HEADERS, ...signedHeaders].map((name) => name.toLowerCase())))
+    .filter((name) => findHeader(headers, name) !== undefined)
+    .sort();
+  const { subtle } = await getWebCrypto();
+  const cryptoKey = await importKey(subtle, key.algorithm, key.key, 'sign');
+  const algorithm = key.algorithm === 'hmac-sha256' ? 'HMAC' : 'Ed25519';
+  const signature = await subtle.sign(algorithm, cryptoKey, canonicalize(cmd, data, headers, names));
+  headers.set(SIGNATURE_HEADER, encodeBase64(new Uint8Array(signature)));
+  headers.set(SIGNATURE_KEY_ID_HEADER, key.keyId);
+  headers.set(SIGNED_HEADERS_HEADER, names.join(','));
+}
+
+/**
+ * 验证推送签名
+ *
+ * 未知密钥 ID、影响内容解释的头部未参与签名或签名不匹配时返回 'invalid'
+ */
+export async function verifyPayload(
+  cmd: string,
+  data: string,
+  headers: Map<string, string>,
+  getKey: SigningKeyProvider['getVerificationKey']
+): Promise<VerifyResult> {
+  const signature = headers.get(SIGNATURE_HEADER);
+  if (!signature) {
+    return 'unsigned';
+  }
+  const keyId = headers.get(SIGNATURE_KEY_ID_HEADER);
+  const names = (headers.get(SIGNED_HEADERS_HEADER) || '').split(',').filter(Boolean);
+  if (!keyId || PROTECTED_HEADERS.some((name) => headers.has(name) && !names.includes(name.toLowerCase()))) {
+    return 'invalid';
+  }
+  try {
+    const key = await getKey(cmd, keyId);
+    if (!key) {
+      return 'invalid';
+    }
+    const { subtle } = await getWebCrypto();
+    const cryptoKey = await importKey(subtle, key.algorithm, key.key, 'verify');
+    const algorithm = key.algorithm === 'hmac-sha256' ? 'HMAC' : 'Ed25519';
+    const valid = await subtle.verify(algorithm, cryptoKey, decodeBase64(signature) as Uint8Array<ArrayBuffer>, canonicalize(cmd, data, headers, names));
+    return valid ? 'valid' : 'invalid';
+  } catch {
+    return 'invalid';
+  }
+}
+
+/**
+ * 签名与验证，由 GatewayClient 内部使用
+ */
+export class PayloadSigner {
+  private keyProvider: SigningKeyProvider;
+  private channels: (cmd: string) => boolean;
+  private signedHeaders: string[];
+  private verify: SigningOptions['verify'];
+
+  constructor(options: SigningOptions) {
+    this.keyProvider = options.keyProvider;
+    this.channels = options.channels || (() => true);
+    this.signedHeaders = options.signedHeaders || [];
+    this.verify = options.verify;
+  }
+
+  /**
+   * 频道的发布内容是否需要签名
+   */
+  appliesTo(cmd: string): boolean {
+    return !!this.keyProvider.getSigningKey && this.channels(cmd);
+  }
+
+  /**
+   * 为发布内容签名
+   *
+   * @throws Error 没有可用的签名密钥或签名失败
+   */
+  async sign(cmd: string, data: string, headers: Map<string, string>): Promise<void> {
+    const key = await this.keyProvider.getSigningKey!(cmd);
+    if (!key) {
+      throw new Error(`No signing key for channel '${cmd}'`);
+    }
+    await signPayload(cmd, data, headers, key, this.signedHeaders);
+  }
+
+  /**
+   * 验证推送签名，并移除签名相关头部
+   */
+  async check(cmd: string, data: string, headers: Map<string, string>): Promise<VerifyResult> {
+    const result = await verifyPayload(cmd, data, headers, (channel, keyId) => this.keyProvider.getVerificationKey(channel, keyId));
+    headers.delete(SIGNATURE_HEADER);
+    headers.delete(SIGNATURE_KEY_ID_HEADER);
+    headers.delete(SIGNED_HEADERS_HEADER);
+    return result;
+  }
+
+  /**
+   * 频道的验证策略
+   */
+  policyFor(cmd: string): VerifyPolicy {
+    const policy = typeof this.verify === 'function' ? this.verify(cmd) : this.verify;
+    return policy || 'flag';
+  }
+}
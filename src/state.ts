@@ -0,0 +1,113 @@
+/**
+ * Gateway TypeScript SDK - 连接状态
+ *
+ * 维护客户端的连接生命周期状态，并在每次状态迁移时通知监听者
+ */
+
+import type { SDKLogger } from './logger.js';
+
+/**
+ * 连接状态
+ *
+ * - IDLE: 尚未建立连接 (底层连接按需建立)
+ * - CONNECTING: 首个请求正在建立连接
+ * - CONNECTED: 连接可用，订阅状态与服务器一致
+ * - RECONNECTING: 连接断开，正在恢复连接或等待重试
+ * - RESUBSCRIBING: 连接已恢复，正在重新订阅频道
+ * - DISCONNECTED: 连接断开且不再自动恢复 (重连策略放弃或禁止恢复)
+ * - CLOSED: 客户端已销毁，不再迁移
+ */
+export enum ConnectionState {
+  IDLE = 'idle',
+  CONNECTING = 'connecting',
+  CONNECTED = 'connected',
+  RECONNECTING = 'reconnecting',
+  RESUBSCRIBING = 'resubscribing',
+  DISCONNECTED = 'disconnected',
+  CLOSED = 'closed'
+}
+
+/**
+ * 状态迁移事件
+ */
+export interface StateChangeEvent {
+  /** 迁移前状态 */
+  previous: ConnectionState;
+  /** 迁移后状态 */
+  current: ConnectionState;
+  /** 迁移原因，用于日志和界面展示 */
+  reason: string;
+  /** 导致迁移的错误 (如断线、重订阅失败) */
+  error?: unknown;
+  timestamp: number;
+}
+
+export type StateChangeListener = (event: StateChangeEvent) => void;
+
+/**
+ * 连接状态机
+ *
+ * GatewayClient 与 Reconnecter 共享同一实例，所有状态迁移都经过 transition()
+ */
+export class ConnectionStateMachine {
+  private current: ConnectionState = ConnectionState.IDLE;
+  private listeners: Set<StateChangeListener> = new Set();
+  private logger: SDKLogger;
+
+  constructor(logger: SDKLogger) {
+    this.logger = logger;
+  }
+
+  /**
+   * 当前状态
+   */
+  get state(): ConnectionState {
+    return this.current;
+  }
+
+  /**
+   * 迁移到新状态并通知监听者
+   * 状态未变化或客户端已关闭时忽略
+   *
+   * @param next - 目标状态
+   * @param reason - 迁移原因
+   * @param error - 可选的相关错误
+   */
+  transition(next: ConnectionState, reason: string, error?: unknown): void {
+    const previous = this.current;
+    if (previous === next || previous === ConnectionState.CLOSED) {
+      return;
+    }
+    this.current = next;
+    this.logger.info(`Connection state: ${previous} -> ${next}`, { reason, error });
+
+    const event: StateChangeEvent = { previous, current: next, reason, error, timestamp: Date.now() };
+    for (const listener of Array.from(this.listeners)) {
+      try {
+        listener(event);
+      } catch (err) {
+        this.logger.error('State change listener failed', { error: err });
+      }
+    }
+  }
+
+  /**
+   * 注册状态监听者
+   *
+   * @param listener - 状态迁移回调
+   * @returns 取消监听的函数
+   */
+  onChange(listener: StateChangeListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * 移除所有监听者
+   */
+  clear(): void {
+    this.listeners.clear();
+  }
+}
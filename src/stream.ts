@@ -0,0 +1,214 @@
+/**
+ * Gateway TypeScript SDK - 频道消息流
+ *
+ * 将频道订阅包装为 AsyncIterable，可以用 `for await` 逐条消费推送消息
+ */
+
+import type { RequestOptions } from './types.js';
+import { GatewayStreamOverflowError } from './errors.js';
+
+/**
+ * 缓冲区满时的处理策略
+ *
+ * - drop-oldest: 丢弃最早的消息，保留最新消息
+ * - drop-newest: 丢弃新到达的消息
+ * - error: 以 GatewayStreamOverflowError 结束消息流
+ */
+export type StreamOverflowStrategy = 'drop-oldest' | 'drop-newest' | 'error';
+
+/**
+ * 消息流配置
+ */
+export interface StreamOptions extends RequestOptions {
+  /** 未消费消息的缓冲上限 (默认: 100) */
+  bufferSize?: number;
+  /** 缓冲区满时的处理策略 (默认: 'drop-oldest') */
+  overflow?: StreamOverflowStrategy;
+  /** 订阅请求的头部 */
+  headers?: Map<string, string>;
+}
+
+/**
+ * 消息流中的一条推送消息
+ */
+export interface StreamMessage {
+  cmd: string;
+  data: string;
+  header: Map<string, string>;
+  /** 签名已通过验证 */
+  verified: boolean;
+}
+
+// 等待下一条消息的消费者
+interface StreamWaiter {
+  resolve: (result: IteratorResult<StreamMessage>) => void;
+  reject: (error: unknown) => void;
+}
+
+/**
+ * 频道消息流
+ *
+ * 由 GatewayClient.stream() 创建。退出 `for await` 循环或调用 return() 时自动取消订阅
+ */
+export class ChannelStream implements AsyncIterableIterator<StreamMessage> {
+  readonly cmd: string;
+  private api: string;
+  private reqId: string;
+  private bufferSize: number;
+  private overflow: StreamOverflowStrategy;
+  private buffer: StreamMessage[] = [];
+  private waiters: StreamWaiter[] = [];
+  private failure: unknown = null;
+  private done: boolean = false;
+  private droppedCount: number = 0;
+  private subscribed: Promise<boolean>;
+  private unsubscribe: () => Promise<unknown>;
+  // 调用方的取消信号，消息流结束时移除监听
+  private signal: AbortSignal | null = null;
+  private onAbort: () => void;
+
+  /**
+   * @param cmd - 频道名称
+   * @param api - 订阅 API，用于错误信息
+   * @param reqId - 订阅请求ID，用于错误信息
+   * @param options - 消息流配置
+   * @param unsubscribe - 取消订阅函数
+   */
+  constructor(cmd: string, api: string, reqId: string, options: StreamOptions, unsubscribe: () => Promise<unknown>) {
+    this.cmd = cmd;
+    this.api = api;
+    this.reqId = reqId;
+    this.bufferSize = Math.max(1, options.bufferSize ?? 100);
+    this.overflow = options.overflow || 'drop-oldest';
+    this.unsubscribe = unsubscribe;
+    this.subscribed = Promise.resolve(false);
+    this.onAbort = () => {
+      this.return();
+    };
+
+    // 已取消的信号：订阅请求会被直接拒绝，消息流立即结束
+    if (options.signal?.aborted) {
+      this.done = true;
+    } else if (options.signal) {
+      this.signal = options.signal;
+      this.signal.addEventListener('abort', this.onAbort, { once: true });
+    }
+  }
+
+  /**
+   * 因缓冲区满被丢弃的消息数
+   */
+  get dropped(): number {
+    return this.droppedCount;
+  }
+
+  /**
+   * 绑定订阅请求，订阅失败时消息流以该错误结束
+   */
+  attach(subscription: Promise<unknown>): void {
+    this.subscribed = subscription.then(
+      () => true,
+      (error) => {
+        this.fail(error);
+        return false;
+      }
+    );
+  }
+
+  /**
+   * 写入一条推送消息 (由订阅回调调用)
+   */
+  push(message: StreamMessage): void {
+    if (this.done) {
+      return;
+    }
+
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter.resolve({ value: message, done: false });
+      return;
+    }
+
+    if (this.buffer.length >= this.bufferSize) {
+      switch (this.overflow) {
+        case 'drop-oldest':
+          this.buffer.shift();
+          this.droppedCount++;
+          break;
+        case 'drop-newest':
+          this.droppedCount++;
+          return;
+        case 'error':
+          this.fail(new GatewayStreamOverflowError(this.api, this.reqId, this.cmd, this.bufferSize));
+          return;
+      }
+    }
+    this.buffer.push(message);
+  }
+
+  async next(): Promise<IteratorResult<StreamMessage>> {
+    const message = this.buffer.shift();
+    if (message) {
+      return { value: message, done: false };
+    }
+    if (this.failure !== null) {
+      const failure = this.failure;
+      this.failure = null;
+      throw failure;
+    }
+    if (this.done) {
+      return { value: undefined, done: true };
+    }
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject });
+    });
+  }
+
+  /**
+   * 结束消息流并取消订阅，未消费的消息被丢弃
+   */
+  async return(): Promise<IteratorResult<StreamMessage>> {
+    this.buffer = [];
+    await this.close();
+    return { value: undefined, done: true };
+  }
+
+  [Symbol.asyncIterator](): AsyncIterableIterator<StreamMessage> {
+    return this;
+  }
+
+  /**
+   * 以错误结束消息流，已缓冲的消息仍可继续消费
+   */
+  private fail(error: unknown): void {
+    if (this.done) {
+      return;
+    }
+    const waiters = this.waiters;
+    this.waiters = [];
+    if (waiters.length > 0) {
+      waiters.forEach((waiter) => waiter.reject(error));
+    } else {
+      this.failure = error;
+    }
+    this.close();
+  }
+
+  private async close(): Promise<void> {
+    if (this.done) {
+      return;
+    }
+    this.done = true;
+    this.signal?.removeEventListener('abort', this.onAbort);
+    this.signal = null;
+
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach((waiter) => waiter.resolve({ value: undefined, done: true }));
+
+    // 订阅成功后才需要取消订阅
+    if (await this.subscribed) {
+      await this.unsubscribe();
+    }
+  }
+}
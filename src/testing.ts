@@ -0,0 +1,13 @@
+/**
+ * Gateway TypeScript SDK - 测试工具
+ *
+ * 模拟网关、测试替身客户端等只用于测试的模块，通过 `gateway-ts-sdk/testing` 单独导入，不会打进使用主入口的生产产物。
+ * MockGateway 依赖 ws (仅 Node.js)，InProcessGateway 可在浏览器中使用
+ */
+
+export { MockGateway, MockGatewayCore } from './mock-gateway.js';
+export type { MockGatewayOptions, MockRequest, MockHookCall, MockConnection } from './mock-gateway.js';
+export { InProcessGateway, InProcessTransport } from './in-process-gateway.js';
+export type { InProcessGatewayOptions } from './in-process-gateway.js';
+export { createFakeClient, FakeGatewayClient } from './fake-client.js';
+export type { RecordedCall, FakeResponse, PublishMatcher } from './fake-client.js';
@@ -0,0 +1,197 @@
+/**
+ * Gateway TypeScript SDK - 分布式追踪
+ *
+ * 按 W3C Trace Context 传播 traceparent/tracestate：请求时开启客户端 span 并注入头部，
+ * 收到推送时提取上下文，观察者回调在关联 (link) 到远端 span 的消费 span 中执行。
+ * 只依赖 OpenTelemetry 兼容的最小接口，由调用方传入 tracer
+ */
+
+/** W3C traceparent 头部 */
+export const TRACEPARENT_HEADER = 'traceparent';
+
+/** W3C tracestate 头部 */
+export const TRACESTATE_HEADER = 'tracestate';
+
+/** 与 @opentelemetry/api SpanKind 取值一致 */
+export const SpanKind = {
+  INTERNAL: 0,
+  SERVER: 1,
+  CLIENT: 2,
+  PRODUCER: 3,
+  CONSUMER: 4
+} as const;
+
+/** 与 @opentelemetry/api SpanStatusCode 取值一致 */
+export const SpanStatusCode = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+} as const;
+
+/**
+ * span 上下文 (与 OpenTelemetry SpanContext 兼容)
+ */
+export interface TraceSpanContext {
+  traceId: string;
+  spanId: string;
+  traceFlags: number;
+  isRemote?: boolean;
+  /** OpenTelemetry TraceState，只使用 serialize() */
+  traceState?: { serialize(): string };
+}
+
+/**
+ * SDK 使用的 span 接口 (OpenTelemetry Span 的子集)
+ */
+export interface TraceSpan {
+  spanContext(): TraceSpanContext;
+  setAttribute(key: string, value: string | number | boolean): unknown;
+  setStatus(status: { code: number; message?: string }): unknown;
+  recordException(exception: unknown): unknown;
+  end(): void;
+}
+
+/**
+ * SDK 使用的 tracer 接口 (OpenTelemetry Tracer 的子集)，未传入 context 时以当前活动 span 为父 span
+ */
+export interface Tracer {
+  startSpan(
+    name: string,
+    options?: {
+      kind?: number;
+      attributes?: Record<string, string | number | boolean>;
+      links?: Array<{ context: TraceSpanContext }>;
+    }
+  ): TraceSpan;
+}
+
+/**
+ * 追踪配置
+ */
+export interface TracingOptions {
+  tracer: Tracer;
+  /**
+   * 在 span 的上下文中执行观察者回调，使回调内创建的 span 成为其子 span
+   *
+   * OpenTelemetry: `(span, fn) => context.with(trace.setSpan(context.active(), span), fn)`
+   */
+  withSpan?: <T>(span: TraceSpan, fn: () => T) => T;
+}
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * 解析 traceparent 头部
+ *
+ * @returns 远端 span 上下文，格式无效或 ID 全为 0 时返回 null
+ */
+export function parseTraceparent(traceparent: string, tracestate?: string): TraceSpanContext | null {
+  const match = TRACEPARENT_PATTERN.exec(traceparent.trim().toLowerCase());
+  if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+    return null;
+  }
+  const context: TraceSpanContext = {
+    traceId: match[2],
+    spanId: match[3],
+    traceFlags: parseInt(match[4], 16),
+    isRemote: true
+  };
+  if (tracestate) {
+    context.traceState = { serialize: () => tracestate };
+  }
+  return context;
+}
+
+/**
+ * 生成 traceparent 头部
+ */
+export function formatTraceparent(context: TraceSpanContext): string {
+  return `00-${context.traceId}-${context.spanId}-${(context.traceFlags & 0xff).toString(16).padStart(2, '0')}`;
+}
+
+// 按名称查找头部 (traceparent 可能以任意大小写转发)
+function findHeader(header: Map<string, string>, name: string): string | undefined {
+  const direct = header.get(name);
+  if (direct !== undefined) {
+    return direct;
+  }
+  for (const [key, value] of header) {
+    if (key.toLowerCase() === name) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * 请求与推送的追踪，由 GatewayClient 内部使用
+ */
+export class GatewayTracing {
+  private tracer: Tracer;
+  private withSpan: <T>(span: TraceSpan, fn: () => T) => T;
+  private clientId: string;
+
+  constructor(options: TracingOptions, clientId: string) {
+    this.tracer = options.tracer;
+    this.withSpan = options.withSpan || ((_span, fn) => fn());
+    this.clientId = clientId;
+  }
+
+  /**
+   * 开启请求 span 并将上下文注入请求头部，已设置 traceparent 时保留调用方的值
+   */
+  startRequest(api: string, reqId: string, header: Map<string, string>): TraceSpan {
+    const span = this.tracer.startSpan(api, {
+      kind: SpanKind.CLIENT,
+      attributes: { 'gateway.api': api, 'gateway.req_id': reqId, 'gateway.client_id': this.clientId }
+    });
+    if (findHeader(header, TRACEPARENT_HEADER) === undefined) {
+      const context = span.spanContext();
+      header.set(TRACEPARENT_HEADER, formatTraceparent(context));
+      const traceState = context.traceState?.serialize();
+      if (traceState) {
+        header.set(TRACESTATE_HEADER, traceState);
+      }
+    }
+    return span;
+  }
+
+  /**
+   * 结束请求 span
+   */
+  endRequest(span: TraceSpan, error?: unknown): void {
+    if (error !== undefined) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error instanceof Error ? error.message : String(error) });
+    }
+    span.end();
+  }
+
+  /**
+   * 为推送开启消费 span，推送携带 traceparent 时关联到远端 span
+   */
+  startPush(cmd: string, reqId: string | undefined, header: Map<string, string>, observers: number): TraceSpan {
+    const traceparent = findHeader(header, TRACEPARENT_HEADER);
+    const remote = traceparent ? parseTraceparent(traceparent, findHeader(header, TRACESTATE_HEADER)) : null;
+    const attributes: Record<string, string | number | boolean> = {
+      'gateway.cmd': cmd,
+      'gateway.client_id': this.clientId,
+      'gateway.observers': observers
+    };
+    if (reqId) {
+      attributes['gateway.req_id'] = reqId;
+    }
+    return this.tracer.startSpan(`${cmd} receive`, {
+      kind: SpanKind.CONSUMER,
+      attributes,
+      links: remote ? [{ context: remote }] : []
+    });
+  }
+
+  /**
+   * 在 span 的上下文中执行
+   */
+  run<T>(span: TraceSpan, fn: () => T): T {
+    return this.withSpan(span, fn);
+  }
+}
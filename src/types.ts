@@ -85,7 +85,80 @@ export class PingResponse {
 // - Request/Response types: completely user-defined
 
 // Event Handlers
-export type OnPushMessageCallback = (cmd: string, data: string, header: Map<string, string>) => void;
+export type OnPushMessageCallback = (cmd: string, data: string, header: Map<string, string>, info: PushInfo) => void;
+
+/**
+ * 以 Uint8Array 接收推送内容的回调，见 SubscribeOptions.binary
+ */
+export type OnBinaryPushCallback = (cmd: string, data: Uint8Array, header: Map<string, string>, info: PushInfo) => void;
+
+/**
+ * 推送的附加信息
+ */
+export interface PushInfo {
+  /** 签名已通过验证；未开启签名 (signing) 时总是 false */
+  verified: boolean;
+}
+
+/**
+ * 单次请求的可选配置
+ */
+export interface RequestOptions {
+  /** 超时时间 (毫秒)，未设置时使用客户端默认超时，0 表示不超时 */
+  timeoutMs?: number;
+  /** 取消信号，触发后请求以 GatewayAbortError 拒绝 */
+  signal?: AbortSignal;
+  /** 响应中 errMsg 非空时以 GatewayServerRejectedError 拒绝，未设置时使用客户端配置 */
+  throwOnErrMsg?: boolean;
+}
+
+/**
+ * 订阅的可选配置
+ */
+export interface SubscribeOptions extends RequestOptions {
+  /** 以 Uint8Array 接收推送内容：二进制推送解码 base64，文本推送按 UTF-8 编码 */
+  binary?: boolean;
+}
+
+/**
+ * subscribeMany 的单个订阅项
+ */
+export interface SubscribeEntry {
+  cmd: string;
+  observer: symbol;
+  callback: OnPushMessageCallback;
+}
+
+/**
+ * unsubscribeMany 的单个取消订阅项
+ */
+export interface UnsubscribeEntry {
+  cmd: string;
+  observer: symbol;
+}
+
+/**
+ * 批量订阅/取消订阅中单个频道的结果
+ */
+export interface ChannelResult {
+  cmd: string;
+  observer: symbol;
+  ok: boolean;
+  /** 是否向服务器发送了该频道 (首个观察者订阅或最后一个观察者取消订阅) */
+  sentToServer: boolean;
+  /** 失败原因 (GatewayError)，成功时未设置 */
+  error?: unknown;
+}
+
+/**
+ * 批量订阅/取消订阅的结果
+ */
+export interface BulkResult<T> {
+  /** 服务器响应 (返回 errMsg 时同样保留)，没有需要变更的频道或请求失败时为 null */
+  response: T | null;
+  /** 按输入顺序排列的各项结果 */
+  results: ChannelResult[];
+}
 
 // Constants
 export const X_REQ_ID = 'X-Req-Id';
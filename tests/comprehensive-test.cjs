@@ -14,7 +14,8 @@
  * 运行: node tests/comprehensive-test.cjs
  */
 
-const { createClient } = require('../dist/index.cjs');
+const { createClient: connectClient } = require('../dist/index.cjs');
+const { MockGateway } = require('../dist/testing.cjs');
 const { version: SDK_VERSION } = require('../package.json');
 
 // 测试配置
@@ -30,6 +31,17 @@ const CONFIG = {
   }
 };
 
+// WS_URL=mock 时在本地端口启动模拟网关，无需运行 Go 网关
+const mockGateway = CONFIG.wsUrl === 'mock' ? new MockGateway() : null;
+if (mockGateway && typeof WebSocket === 'undefined') {
+  // Node.js 22 以下没有全局 WebSocket
+  globalThis.WebSocket = require('ws');
+}
+function createClient(wsUrl, clientId) {
+  // 模拟网关按连接地址识别 clientId
+  return connectClient(mockGateway ? mockGateway.clientUrl(clientId) : wsUrl, clientId);
+}
+
 // 测试结果统计
 const testResults = {
   total: 0,
@@ -446,8 +458,16 @@ class TestSuite {
 
 // 运行测试
 async function main() {
-  const testSuite = new TestSuite();
-  await testSuite.runAllTests();
+  if (mockGateway) {
+    await mockGateway.listen();
+    CONFIG.wsUrl = mockGateway.url;
+  }
+  try {
+    const testSuite = new TestSuite();
+    await testSuite.runAllTests();
+  } finally {
+    await mockGateway?.close();
+  }
 }
 
 if (require.main === module) {
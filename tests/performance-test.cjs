@@ -12,7 +12,8 @@
  * 运行: node tests/performance-test.cjs
  */
 
-const { createClient } = require('../dist/index.cjs');
+const { createClient: connectClient } = require('../dist/index.cjs');
+const { MockGateway } = require('../dist/testing.cjs');
 
 // 性能测试配置
 const CONFIG = {
@@ -29,6 +30,17 @@ const CONFIG = {
   }
 };
 
+// WS_URL=mock 时在本地端口启动模拟网关，无需运行 Go 网关
+const mockGateway = CONFIG.wsUrl === 'mock' ? new MockGateway() : null;
+if (mockGateway && typeof WebSocket === 'undefined') {
+  // Node.js 22 以下没有全局 WebSocket
+  globalThis.WebSocket = require('ws');
+}
+function createClient(wsUrl, clientId) {
+  // 模拟网关按连接地址识别 clientId
+  return connectClient(mockGateway ? mockGateway.clientUrl(clientId) : wsUrl, clientId);
+}
+
 // 性能指标
 const metrics = {
   connectionTime: 0,
@@ -499,8 +511,16 @@ class PerformanceTestSuite {
 
 // 运行性能测试
 async function main() {
-  const testSuite = new PerformanceTestSuite();
-  await testSuite.runAllTests();
+  if (mockGateway) {
+    await mockGateway.listen();
+    CONFIG.wsUrl = mockGateway.url;
+  }
+  try {
+    const testSuite = new PerformanceTestSuite();
+    await testSuite.runAllTests();
+  } finally {
+    await mockGateway?.close();
+  }
 }
 
 if (require.main === module) {
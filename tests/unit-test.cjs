@@ -12,7 +12,21 @@
  * 运行: node tests/unit-test.cjs
  */
 
-const { createClient, OnPushMessage, getHeaderMap } = require('../dist/index.cjs');
+const {
+  createClient, GatewayClient, OnPushMessage, getHeaderMap,
+  LogLevel, NoopLogger, formatLogRecord, ConnectionState, computeReconnectDelay,
+  GatewayTimeoutError, GatewayAbortError, GatewayErrorCode, GatewayServerRejectedError,
+  GatewayTransportError, GatewayStreamOverflowError, GatewayRemoteError, Presence, GatewayDecodeError,
+  createHookHandler, createKoaHookMiddleware, parseHookEvent, GatewayHookError,
+  formatPrometheus, formatStatsd, OTHER_CHANNELS_LABEL, parseTraceparent, SpanKind, SpanStatusCode,
+  GatewayInterceptorError, GatewayAuthError, GatewayDuplicateObserverError, GatewayNotSubscribedError,
+  GatewayQueueError, compressBytes, decompressBytes, GatewayEncryptionError, GatewaySigningError,
+  binaryObserver, splitPayload, MemoryOutboxStorage, signPayload, verifyPayload
+} = require('../dist/index.cjs');
+const { createFakeClient, InProcessGateway, MockGateway } = require('../dist/testing.cjs');
+const http = require('http');
+const { getEventListeners } = require('events');
+const WebSocket = require('ws');
 
 // 测试结果统计
 const testResults = {
@@ -70,6 +84,144 @@ function assertType(value, expectedType, message) {
   }
 }
 
+// 内存传输桩：模拟 ts-streamclient Client，记录发送的请求并返回预设响应
+function createStubTransport(respond = () => ({ errMsg: null })) {
+  const transport = {
+    sent: [],
+    failNext: null,
+    failing: null,
+    delayMs: 0,
+    recovered: 0,
+    onPush: null,
+    onPeerClosed: null,
+    async Send(data, header) {
+      transport.sent.push({ data, header: new Map(header) });
+      if (transport.delayMs > 0) {
+        await sleep(transport.delayMs);
+      }
+      if (transport.failing) {
+        return [null, transport.failing];
+      }
+      if (transport.failNext) {
+        const err = transport.failNext;
+        transport.failNext = null;
+        return [null, err];
+      }
+      const body = JSON.stringify(respond(header.get('api'), data, header));
+      return [{ toString: () => body }, null];
+    },
+    async Recover() {
+      transport.recovered++;
+      return null;
+    }
+  };
+  return transport;
+}
+
+// 构造推送帧，交给 transport.onPush 驱动真实分发逻辑
+function pushFrame(cmd, data, header = { 'X-Req-Id': 'push-1' }) {
+  const body = JSON.stringify({ cmd, data, header });
+  return { toString: () => body };
+}
+
+// 简易网关路由：按各传输桩的订阅关系把 Publish 转发为推送
+function createRouter() {
+  const transports = [];
+  return () => {
+    const subscriptions = new Set();
+    const transport = createStubTransport((api, data, header) => {
+      const request = JSON.parse(data);
+      if (api === 'API/Subscribe') request.cmd.forEach((cmd) => subscriptions.add(cmd));
+      if (api === 'API/Unsubscribe') request.cmd.forEach((cmd) => subscriptions.delete(cmd));
+      if (api === 'API/Publish') {
+        const pushHeader = Object.fromEntries(Array.from(header).filter(([key]) => key !== 'api'));
+        transports
+          .filter((t) => t.subscriptions.has(request.cmd))
+          .forEach((t) => setTimeout(() => t.onPush(pushFrame(request.cmd, request.data, pushHeader)), 0));
+      }
+      return { errMsg: null };
+    });
+    transport.subscriptions = subscriptions;
+    transports.push(transport);
+    return transport;
+  };
+}
+
+// 按网关帧协议连接 WebSocket：reqid | headers | header-end-flag | data
+function connectFrames(url) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+    const waiting = new Map();
+    const conn = { socket, handshake: null, pushes: [], closed: null };
+    socket.on('error', reject);
+    socket.on('unexpected-response', (req, res) => reject(new Error(`HTTP ${res.statusCode}`)));
+    socket.on('close', (code) => { conn.closed = code; });
+    socket.on('message', (frame) => {
+      if (!conn.handshake) {
+        conn.handshake = frame;
+        resolve(conn);
+        return;
+      }
+      const reqId = frame.readUInt32BE(0);
+      const status = frame[4];
+      if (reqId === 1) {
+        conn.pushes.push({ pushId: frame.readUInt32BE(5), body: JSON.parse(frame.subarray(9).toString('utf8')) });
+        return;
+      }
+      waiting.get(reqId)?.({ status, body: frame.subarray(5).toString('utf8') });
+      waiting.delete(reqId);
+    });
+    conn.send = (reqId, headers, data) => {
+      const parts = [Buffer.alloc(4)];
+      parts[0].writeUInt32BE(reqId, 0);
+      for (const [key, value] of headers) {
+        const k = Buffer.from(key);
+        const v = Buffer.from(value);
+        parts.push(Buffer.from([k.length]), k, Buffer.from([v.length]), v);
+      }
+      parts.push(Buffer.from([0]), Buffer.from(data));
+      socket.send(Buffer.concat(parts));
+    };
+    conn.request = (reqId, headers, body) => new Promise((done) => {
+      waiting.set(reqId, done);
+      conn.send(reqId, headers, JSON.stringify(body));
+    });
+  });
+}
+
+// 启动本地 HTTP 服务器，返回地址和关闭函数
+function startServer(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ url: `http://127.0.0.1:${port}`, close: () => new Promise((done) => server.close(done)) });
+    });
+  });
+}
+
+// 发送 POST 请求，返回状态码和解析后的 JSON 响应
+function postJson(url, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers } }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+}
+
+function silentOptions(extra = {}) {
+  return { logger: NoopLogger, ...extra };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 // 单元测试类
 class UnitTestSuite {
   
@@ -343,6 +495,2171 @@ class UnitTestSuite {
     }
   }
 
+  // 测试9: 可注入日志
+  testInjectableLogger() {
+    log('\n📝 测试9: 可注入日志', 'blue');
+    
+    try {
+      // 测试记录格式化
+      const text = formatLogRecord({
+        level: LogLevel.INFO,
+        tag: 'Gateway',
+        message: 'Subscription created',
+        timestamp: Date.now(),
+        fields: { cmd: 'news', reqId: 'req-1', observer: undefined, error: new Error('boom') }
+      });
+      assertEqual(text, 'Subscription created cmd=news reqId=req-1 error=boom', '格式化结果应该正确');
+      
+      logTest('formatLogRecord 格式化', 'PASS');
+      
+      // 测试注入自定义 logger 和最低级别
+      const records = [];
+      const client = createClient('ws://localhost:18443', 'LOGS', {
+        logger: { log: (record) => records.push(record) },
+        logLevel: LogLevel.INFO
+      });
+      client.destroy();
+      
+      // destroy 输出 'Client destroyed' 和状态迁移两条 INFO 日志，DEBUG 日志被过滤
+      assert(records.every((record) => record.level >= LogLevel.INFO), '不应该收到低于 INFO 的日志');
+      assertEqual(records[0].message, 'Client destroyed', '日志消息应该正确');
+      assertEqual(records[1].message, 'Connection state: idle -> closed', '应该记录状态迁移');
+      assertEqual(records[0].tag, 'Gateway', '日志 tag 应该为 Gateway');
+      
+      logTest('自定义 logger 注入', 'PASS');
+      
+      // 测试级别过滤
+      const filtered = [];
+      const quietClient = createClient('ws://localhost:18443', 'QUIT', {
+        logger: { log: (record) => filtered.push(record) },
+        logLevel: LogLevel.SILENT
+      });
+      quietClient.destroy();
+      assertEqual(filtered.length, 0, 'SILENT 级别不应该输出日志');
+      
+      // NoopLogger 不应抛出异常
+      createClient('ws://localhost:18443', 'NOOP', { logger: NoopLogger }).destroy();
+      
+      logTest('日志级别过滤', 'PASS');
+      
+    } catch (error) {
+      logTest('可注入日志', 'FAIL', error.message);
+    }
+  }
+
+  // 测试10: 连接状态机
+  async testConnectionState() {
+    log('\n🔌 测试10: 连接状态机', 'blue');
+    
+    try {
+      const transport = createStubTransport();
+      const client = new GatewayClient(transport, 'STAT', silentOptions());
+      const transitions = [];
+      client.onStateChange((event) => transitions.push(`${event.previous}->${event.current}`));
+      
+      assertEqual(client.state, ConnectionState.IDLE, '初始状态应该为 idle');
+      
+      await client.subscribe('news', Symbol('news'), () => {});
+      assertEqual(client.state, ConnectionState.CONNECTED, '首个请求成功后应该为 connected');
+      
+      logTest('首次建连状态迁移', 'PASS');
+      
+      // 模拟断线：应依次经历 reconnecting -> resubscribing -> connected
+      await transport.onPeerClosed(new Error('1006'));
+      await sleep(10);
+      
+      assertEqual(transport.recovered, 1, '断线后应该调用 Recover');
+      assertEqual(client.state, ConnectionState.CONNECTED, '重订阅成功后应该为 connected');
+      assertEqual(
+        transitions.join(','),
+        'idle->connecting,connecting->connected,connected->reconnecting,reconnecting->resubscribing,resubscribing->connected',
+        '状态迁移顺序应该正确'
+      );
+      
+      logTest('断线重订阅状态迁移', 'PASS');
+      
+      client.destroy();
+      assertEqual(client.state, ConnectionState.CLOSED, '销毁后应该为 closed');
+      
+      logTest('销毁状态迁移', 'PASS');
+      
+    } catch (error) {
+      logTest('连接状态机', 'FAIL', error.message);
+    }
+  }
+
+  // 测试11: 重连策略
+  async testReconnectPolicy() {
+    log('\n🔁 测试11: 重连策略', 'blue');
+    
+    try {
+      // 测试指数退避、上限和抖动
+      const policy = { initialDelayMs: 100, multiplier: 2, maxDelayMs: 500, jitter: 0.5, maxAttempts: Infinity };
+      assertEqual(computeReconnectDelay(policy, 1, () => 0), 100, '第1次重试延迟应该为 100');
+      assertEqual(computeReconnectDelay(policy, 3, () => 0), 400, '第3次重试延迟应该为 400');
+      assertEqual(computeReconnectDelay(policy, 5, () => 0), 500, '延迟不应该超过上限');
+      assertEqual(computeReconnectDelay(policy, 5, () => 1), 250, '抖动应该按比例缩短延迟');
+      
+      logTest('退避延迟计算', 'PASS');
+      
+      // 测试超过最大次数后放弃
+      const transport = createStubTransport();
+      let gaveUp = null;
+      const client = new GatewayClient(transport, 'RETR', silentOptions({
+        reconnectPolicy: { initialDelayMs: 5, maxAttempts: 2, onGiveUp: (info) => { gaveUp = info; } }
+      }));
+      await client.subscribe('news', Symbol('news'), () => {});
+      
+      transport.failing = new Error('gateway down');
+      await transport.onPeerClosed(new Error('1006'));
+      await sleep(50);
+      
+      assert(gaveUp !== null, '应该调用 onGiveUp');
+      assertEqual(gaveUp.attempts, 2, '放弃前应该尝试 2 次');
+      assertEqual(client.state, ConnectionState.DISCONNECTED, '放弃后应该为 disconnected');
+      
+      logTest('最大重试次数', 'PASS');
+      
+      // 测试手动立即重试
+      transport.failing = null;
+      await client.reconnectNow();
+      assertEqual(client.state, ConnectionState.CONNECTED, '手动重试成功后应该为 connected');
+      client.destroy();
+      
+      logTest('手动立即重试', 'PASS');
+      
+      // 测试重订阅返回 errMsg 时按失败重试
+      let rejectResubscribe = 2;
+      const rejecting = createStubTransport((api) => {
+        if (api === 'API/Subscribe' && rejecting.recovered > 0 && rejectResubscribe > 0) {
+          rejectResubscribe--;
+          return { errMsg: 'not ready' };
+        }
+        return { errMsg: null };
+      });
+      const client3 = new GatewayClient(rejecting, 'REJS', silentOptions({
+        reconnectPolicy: { initialDelayMs: 5, maxAttempts: 5 }
+      }));
+      await client3.subscribe('news', Symbol('news'), () => {});
+      await rejecting.onPeerClosed(new Error('1006'));
+      await sleep(50);
+      assertEqual(rejectResubscribe, 0, '应该重试直到服务器接受');
+      assertEqual(client3.state, ConnectionState.CONNECTED, '服务器接受后应该为 connected');
+      assertEqual(rejecting.sent.filter(({ header }) => header.get('api') === 'API/Subscribe').length, 4, '应该发送 1 次订阅和 3 次重订阅');
+      client3.destroy();
+      
+      logTest('重订阅被拒绝时重试', 'PASS');
+      
+      // 测试策略禁止恢复连接
+      const noRecover = createStubTransport();
+      const client2 = new GatewayClient(noRecover, 'NORC', silentOptions({
+        reconnectPolicy: { shouldRecover: () => false }
+      }));
+      await noRecover.onPeerClosed(new Error('1001'));
+      assertEqual(noRecover.recovered, 0, '不应该调用 Recover');
+      assertEqual(client2.state, ConnectionState.DISCONNECTED, '应该进入 disconnected');
+      client2.destroy();
+      
+      logTest('策略控制是否恢复连接', 'PASS');
+      
+    } catch (error) {
+      logTest('重连策略', 'FAIL', error.message);
+    }
+  }
+
+  // 测试12: 请求超时与取消
+  async testRequestDeadline() {
+    log('\n⏱️ 测试12: 请求超时与取消', 'blue');
+    
+    try {
+      const transport = createStubTransport();
+      const client = new GatewayClient(transport, 'TIME', silentOptions({ defaultTimeoutMs: 20 }));
+      transport.delayMs = 100;
+      
+      // 客户端默认超时
+      try {
+        await client.ping();
+        throw new Error('应该超时');
+      } catch (error) {
+        assert(error instanceof GatewayTimeoutError, `应该抛出 GatewayTimeoutError, got ${error}`);
+        assertEqual(error.api, 'API/Ping', '错误应该带 api');
+      }
+      
+      // 单次请求覆盖默认超时
+      const response = await client.publish('news', 'hello', new Map(), { timeoutMs: 0 });
+      assertEqual(response.errMsg, null, '禁用超时后应该正常返回');
+      
+      logTest('请求超时', 'PASS');
+      
+      // 订阅超时应回滚本地状态
+      try {
+        await client.subscribe('slow', Symbol('slow'), () => {}, new Map(), { timeoutMs: 10 });
+        throw new Error('应该超时');
+      } catch (error) {
+        assert(error instanceof GatewayTimeoutError, '订阅应该超时');
+        assertEqual(client.getSubscribedCommands().length, 0, '超时后应该回滚本地订阅');
+      }
+      
+      logTest('订阅超时回滚', 'PASS');
+      
+      // AbortSignal 取消
+      const controller = new AbortController();
+      const pending = client.sendRaw('API/Proxy', '{}', new Map(), { signal: controller.signal, timeoutMs: 0 });
+      controller.abort('user cancelled');
+      try {
+        await pending;
+        throw new Error('应该被取消');
+      } catch (error) {
+        assert(error instanceof GatewayAbortError, '应该抛出 GatewayAbortError');
+        assertEqual(error.reason, 'user cancelled', '应该带取消原因');
+      }
+      
+      // 已取消的信号不发送请求
+      const sentBefore = transport.sent.length;
+      try {
+        await client.ping(new Map(), { signal: controller.signal });
+      } catch (error) {
+        assert(error instanceof GatewayAbortError, '应该抛出 GatewayAbortError');
+      }
+      assertEqual(transport.sent.length, sentBefore, '已取消的请求不应该发送');
+      client.destroy();
+      
+      logTest('AbortSignal 取消', 'PASS');
+      
+    } catch (error) {
+      logTest('请求超时与取消', 'FAIL', error.message);
+    }
+  }
+
+  // 测试13: 错误类型与 errMsg 处理
+  async testGatewayErrors() {
+    log('\n🚨 测试13: 错误类型与 errMsg 处理', 'blue');
+    
+    try {
+      const transport = createStubTransport((api, data) => {
+        const cmd = JSON.parse(data).cmd;
+        const target = Array.isArray(cmd) ? cmd[0] : cmd;
+        const rejected = target === 'forbidden' || (api === 'API/Unsubscribe' && target === 'sticky');
+        return { errMsg: rejected ? 'permission denied' : null };
+      });
+      const client = new GatewayClient(transport, 'ERRS', silentOptions({ throwOnErrMsg: true }));
+      const observer = Symbol('observer');
+      
+      // 服务器拒绝订阅：抛出错误并回滚本地订阅
+      try {
+        await client.subscribe('forbidden', observer, () => {});
+        throw new Error('应该被拒绝');
+      } catch (error) {
+        assert(error instanceof GatewayServerRejectedError, '应该抛出 GatewayServerRejectedError');
+        assertEqual(error.code, GatewayErrorCode.SERVER_REJECTED, 'code 应该正确');
+        assertEqual(error.errMsg, 'permission denied', 'errMsg 应该正确');
+        assertEqual(error.api, 'API/Subscribe', 'api 应该正确');
+        assert(error.reqId.length > 0, '应该带 reqId');
+        assertEqual(client.getSubscribedCommands().length, 0, '应该回滚本地订阅');
+      }
+      
+      // 单次请求关闭 throwOnErrMsg
+      const response = await client.publish('forbidden', 'data', new Map(), { throwOnErrMsg: false });
+      assertEqual(response.errMsg, 'permission denied', '关闭后应该返回 errMsg');
+      
+      // 服务器拒绝取消订阅：抛出错误并恢复本地订阅
+      let stickyPushes = 0;
+      await client.subscribe('sticky', observer, () => { stickyPushes++; });
+      try {
+        await client.unsubscribe('sticky', observer);
+        throw new Error('应该被拒绝');
+      } catch (error) {
+        assert(error instanceof GatewayServerRejectedError, '应该抛出 GatewayServerRejectedError');
+        assertEqual(client.getSubscribedCommands().join(','), 'sticky', '应该恢复本地订阅');
+      }
+      await transport.onPush(pushFrame('sticky', 'still here'));
+      await sleep(5);
+      assertEqual(stickyPushes, 1, '恢复后的观察者应该继续收到推送');
+      
+      logTest('服务器拒绝 (errMsg)', 'PASS');
+      
+      // 重复订阅与未订阅
+      await client.subscribe('news', observer, () => {});
+      try {
+        await client.subscribe('news', observer, () => {});
+        throw new Error('应该拒绝重复订阅');
+      } catch (error) {
+        assertEqual(error.code, GatewayErrorCode.DUPLICATE_OBSERVER, '重复订阅 code 应该正确');
+      }
+      try {
+        await client.unsubscribe('other', observer);
+        throw new Error('应该拒绝未订阅');
+      } catch (error) {
+        assertEqual(error.code, GatewayErrorCode.NOT_SUBSCRIBED, '未订阅 code 应该正确');
+      }
+      
+      // 手动设置 api 头部
+      try {
+        await client.sendRaw('API/Ping', '{}', new Map([['api', 'API/Other']]));
+        throw new Error('应该拒绝 api 头部');
+      } catch (error) {
+        assertEqual(error.code, GatewayErrorCode.INVALID_HEADER, '非法头部 code 应该正确');
+      }
+      
+      logTest('本地校验错误', 'PASS');
+      
+      // 传输错误包装
+      const cause = new Error('socket closed');
+      transport.failNext = cause;
+      try {
+        await client.ping();
+        throw new Error('应该传输失败');
+      } catch (error) {
+        assert(error instanceof GatewayTransportError, '应该抛出 GatewayTransportError');
+        assertEqual(error.cause, cause, '应该保留原始错误');
+      }
+      client.destroy();
+      
+      logTest('传输错误', 'PASS');
+      
+    } catch (error) {
+      logTest('错误类型与 errMsg 处理', 'FAIL', error.message);
+    }
+  }
+
+  // 测试14: 模式订阅
+  async testPatternSubscriptions() {
+    log('\n🎯 测试14: 模式订阅', 'blue');
+    
+    try {
+      const transport = createStubTransport();
+      const client = new GatewayClient(transport, 'PATN', silentOptions());
+      const received = [];
+      const GROUPS = Symbol('groups');
+      const SESSIONS = Symbol('sessions');
+      const EXACT = Symbol('exact');
+      
+      client.subscribePattern('group:*', GROUPS, (cmd) => received.push(`groups:${cmd}`));
+      client.subscribePattern(/^@session:/g, SESSIONS, (cmd) => received.push(`sessions:${cmd}`));
+      await client.subscribe('group:A', EXACT, (cmd) => received.push(`exact:${cmd}`));
+      
+      assertEqual(transport.sent.length, 1, '模式订阅不应该发送请求');
+      assertEqual(client.getSubscribedCommands().join(','), 'group:A', '模式不应该进入服务器订阅列表');
+      
+      await transport.onPush(pushFrame('group:A', 'a'));
+      await transport.onPush(pushFrame('@session:s1', 'b'));
+      await transport.onPush(pushFrame('@session:s2', 'c'));
+      await transport.onPush(pushFrame('news', 'd'));
+      
+      assertEqual(
+        received.join(','),
+        'exact:group:A,groups:group:A,sessions:@session:s1,sessions:@session:s2',
+        '推送应该分发给精确观察者和匹配的模式观察者'
+      );
+      
+      logTest('模式匹配分发', 'PASS');
+      
+      // 取消模式订阅
+      await client.unsubscribe('group:*', GROUPS);
+      await client.unsubscribe(/^@session:/g, SESSIONS);
+      received.length = 0;
+      await transport.onPush(pushFrame('group:A', 'e'));
+      await transport.onPush(pushFrame('@session:s1', 'f'));
+      
+      assertEqual(received.join(','), 'exact:group:A', '取消后模式观察者不应该再收到推送');
+      assertEqual(transport.sent.length, 1, '取消模式订阅不应该发送请求');
+      client.destroy();
+      
+      logTest('取消模式订阅', 'PASS');
+      
+    } catch (error) {
+      logTest('模式订阅', 'FAIL', error.message);
+    }
+  }
+
+  // 测试15: 离线发件箱
+  async testOfflineOutbox() {
+    log('\n📮 测试15: 离线发件箱', 'blue');
+    
+    try {
+      const transport = createStubTransport();
+      const client = new GatewayClient(transport, 'OBOX', silentOptions({
+        outbox: { maxSize: 2, ttlMs: 1000 },
+        reconnectPolicy: { initialDelayMs: 20 }
+      }));
+      await client.subscribe('news', Symbol('news'), () => {});
+      
+      // 断线且重订阅失败，进入 reconnecting
+      transport.failing = new Error('gateway down');
+      await transport.onPeerClosed(new Error('1006'));
+      await sleep(5);
+      assertEqual(client.state, ConnectionState.RECONNECTING, '应该处于 reconnecting');
+      
+      const first = client.publish('news', 'first');
+      const second = client.publish('news', 'second');
+      assertEqual(client.getOutboxSize(), 2, '离线时 publish 应该进入发件箱');
+      
+      try {
+        await client.publish('news', 'third');
+        throw new Error('应该超出容量');
+      } catch (error) {
+        assertEqual(error.code, GatewayErrorCode.OUTBOX_FULL, '超出容量应该返回 OUTBOX_FULL');
+      }
+      
+      logTest('离线暂存与容量限制', 'PASS');
+      
+      // 恢复后按顺序补发
+      const sentBefore = transport.sent.length;
+      transport.failing = null;
+      const responses = await Promise.all([first, second]);
+      assertEqual(responses[0].errMsg, null, '补发成功后应该 resolve');
+      
+      const replayed = transport.sent.slice(sentBefore)
+        .filter((req) => req.header.get('api') === 'API/Publish')
+        .map((req) => JSON.parse(req.data).data);
+      assertEqual(replayed.join(','), 'first,second', '应该按顺序补发');
+      assertEqual(client.getOutboxSize(), 0, '补发后发件箱应该为空');
+      client.destroy();
+      
+      logTest('恢复后按序补发', 'PASS');
+      
+      // 过期消息
+      const transport2 = createStubTransport();
+      const client2 = new GatewayClient(transport2, 'OTTL', silentOptions({
+        outbox: { ttlMs: 10 },
+        reconnectPolicy: { shouldRecover: () => false }
+      }));
+      await transport2.onPeerClosed(new Error('1006'));
+      try {
+        await client2.publish('news', 'stale');
+        throw new Error('应该过期');
+      } catch (error) {
+        assertEqual(error.code, GatewayErrorCode.OUTBOX_EXPIRED, '过期应该返回 OUTBOX_EXPIRED');
+      }
+      client2.destroy();
+      
+      logTest('消息过期', 'PASS');
+      
+      // 补发沿用调用方的请求配置，投递后移除取消信号的监听
+      const transport3 = createStubTransport((api) => ({ errMsg: api === 'API/Publish' ? 'denied' : null }));
+      const client3 = new GatewayClient(transport3, 'OOPT', silentOptions({ reconnectPolicy: { initialDelayMs: 20 }, outbox: true }));
+      await client3.subscribe('news', Symbol('news'), () => {});
+      transport3.failing = new Error('gateway down');
+      await transport3.onPeerClosed(new Error('1006'));
+      await sleep(5);
+      let listeners = 0;
+      const signal = {
+        aborted: false,
+        addEventListener: () => { listeners++; },
+        removeEventListener: () => { listeners--; }
+      };
+      const strict = client3.publish('news', 'strict', new Map(), { throwOnErrMsg: true, signal });
+      const lenient = client3.publish('news', 'lenient');
+      assertEqual(listeners, 1, '应该监听取消信号');
+      transport3.failing = null;
+      try {
+        await strict;
+        throw new Error('应该被拒绝');
+      } catch (error) {
+        assert(error instanceof GatewayServerRejectedError, `补发应该沿用 throwOnErrMsg, got ${error}`);
+      }
+      assertEqual((await lenient).errMsg, 'denied', '未设置 throwOnErrMsg 的消息应该返回 errMsg');
+      assertEqual(listeners, 0, '投递后应该移除取消信号的监听');
+      client3.destroy();
+      
+      logTest('补发沿用请求配置', 'PASS');
+      
+      // 补发按频道限速
+      const transport5 = createStubTransport();
+      const client5 = new GatewayClient(transport5, 'ORTE', silentOptions({
+        reconnectPolicy: { initialDelayMs: 20 },
+        outbox: true,
+        flowControl: { rateLimit: { ratePerSecond: 50, burst: 1 } }
+      }));
+      await client5.subscribe('ticks', Symbol('ticks'), () => {});
+      transport5.failing = new Error('gateway down');
+      await transport5.onPeerClosed(new Error('1006'));
+      await sleep(5);
+      const backlog = ['1', '2', '3'].map((data) => client5.publish('ticks', data));
+      transport5.failing = null;
+      await backlog[0];
+      const replayStarted = Date.now();
+      await Promise.all(backlog);
+      assert(Date.now() - replayStarted >= 35, '补发不应该突破频道限速');
+      client5.destroy();
+      
+      logTest('补发按频道限速', 'PASS');
+      
+      // 销毁时从存储移除已拒绝调用方的消息，保留恢复的消息
+      const storage = new MemoryOutboxStorage();
+      await storage.save([{ id: 'restored-1', api: 'API/Publish', cmd: 'news', data: 'old', headers: [['X-Req-Id', 'restored-1']], enqueuedAt: Date.now(), expiresAt: null }]);
+      const transport4 = createStubTransport();
+      const client4 = new GatewayClient(transport4, 'OCLS', silentOptions({
+        outbox: { storage },
+        reconnectPolicy: { shouldRecover: () => false }
+      }));
+      await transport4.onPeerClosed(new Error('1006'));
+      const abandoned = client4.publish('news', 'abandoned');
+      await sleep(5);
+      assertEqual((await storage.load()).length, 2, '离线消息应该写入存储');
+      client4.destroy();
+      try {
+        await abandoned;
+        throw new Error('应该被拒绝');
+      } catch (error) {
+        assert(error instanceof GatewayAbortError, '销毁后应该以 GatewayAbortError 拒绝');
+      }
+      await sleep(5);
+      assertEqual((await storage.load()).map((entry) => entry.id).join(','), 'restored-1', '只应该保留没有调用方等待的消息');
+      
+      logTest('销毁时清理存储', 'PASS');
+      
+    } catch (error) {
+      logTest('离线发件箱', 'FAIL', error.message);
+    }
+  }
+
+  // 测试16: 消息流
+  async testChannelStream() {
+    log('\n🌊 测试16: 消息流', 'blue');
+    
+    try {
+      const transport = createStubTransport();
+      const client = new GatewayClient(transport, 'STRM', silentOptions());
+      const apis = () => transport.sent.map((req) => req.header.get('api'));
+      
+      const stream = client.stream('news');
+      await sleep(0);
+      assertEqual(apis().join(','), 'API/Subscribe', '创建消息流应该订阅频道');
+      
+      await transport.onPush(pushFrame('news', 'a'));
+      await transport.onPush(pushFrame('news', 'b'));
+      const received = [];
+      for await (const message of stream) {
+        received.push(message.data);
+        assert(message.header instanceof Map, '消息头部应该为 Map');
+        if (received.length === 2) break;
+      }
+      await sleep(0);
+      
+      assertEqual(received.join(','), 'a,b', '应该按顺序迭代推送消息');
+      assertEqual(apis().join(','), 'API/Subscribe,API/Unsubscribe', '退出循环应该取消订阅');
+      assertEqual(client.getSubscribedCommands().length, 0, '退出循环后不应该保留订阅');
+      
+      logTest('迭代与自动取消订阅', 'PASS');
+      
+      // 与其他观察者共享订阅：只移除消息流自身的观察者
+      const OTHER = Symbol('other');
+      await client.subscribe('news', OTHER, () => {});
+      const shared = client.stream('news');
+      await sleep(0);
+      await shared.return();
+      assertEqual(client.getSubscribedCommands().join(','), 'news', '其他观察者的订阅应该保留');
+      
+      logTest('观察者引用计数', 'PASS');
+      
+      // 溢出策略
+      const oldest = client.stream('news', { bufferSize: 2 });
+      const newest = client.stream('news', { bufferSize: 2, overflow: 'drop-newest' });
+      const strict = client.stream('news', { bufferSize: 2, overflow: 'error' });
+      await sleep(0);
+      for (const data of ['1', '2', '3']) {
+        await transport.onPush(pushFrame('news', data));
+      }
+      
+      const drain = async (s, count) => {
+        const values = [];
+        for (let i = 0; i < count; i++) {
+          values.push((await s.next()).value.data);
+        }
+        return values.join(',');
+      };
+      assertEqual(await drain(oldest, 2), '2,3', 'drop-oldest 应该保留最新消息');
+      assertEqual(oldest.dropped, 1, 'drop-oldest 应该统计丢弃数');
+      assertEqual(await drain(newest, 2), '1,2', 'drop-newest 应该保留最早消息');
+      assertEqual(await drain(strict, 2), '1,2', 'error 策略应该先交付已缓冲的消息');
+      try {
+        await strict.next();
+        throw new Error('应该溢出');
+      } catch (error) {
+        assert(error instanceof GatewayStreamOverflowError, '应该抛出 GatewayStreamOverflowError');
+      }
+      assertEqual((await strict.next()).done, true, '溢出后消息流应该结束');
+      await oldest.return();
+      await newest.return();
+      
+      logTest('溢出策略', 'PASS');
+      
+      // 共享的取消信号：结束的消息流移除自己的监听，取消时结束仍在进行的消息流
+      const controller = new AbortController();
+      const abortListeners = () => getEventListeners(controller.signal, 'abort').length;
+      const finished = client.stream('news', { signal: controller.signal });
+      const active = client.stream('news', { signal: controller.signal });
+      await sleep(0);
+      assertEqual(abortListeners(), 2, '每个消息流应该监听取消信号');
+      await finished.return();
+      assertEqual(abortListeners(), 1, '结束的消息流应该移除取消监听');
+      controller.abort();
+      assertEqual((await active.next()).done, true, '取消后消息流应该结束');
+      assertEqual(abortListeners(), 0, '取消后不应该保留监听');
+      
+      logTest('取消信号', 'PASS');
+      
+      // 订阅失败
+      transport.failNext = new Error('socket closed');
+      const failed = client.stream('alerts');
+      try {
+        await failed.next();
+        throw new Error('应该失败');
+      } catch (error) {
+        assert(error instanceof GatewayTransportError, '订阅失败应该在迭代时抛出');
+      }
+      assert(!client.getSubscribedCommands().includes('alerts'), '订阅失败应该回滚');
+      client.destroy();
+      
+      logTest('订阅失败', 'PASS');
+      
+    } catch (error) {
+      logTest('消息流', 'FAIL', error.message);
+    }
+  }
+
+  // 测试17: 请求/响应
+  async testRequestReply() {
+    log('\n🔁 测试17: 请求/响应', 'blue');
+    
+    try {
+      const createRoutedTransport = createRouter();
+      
+      const caller = new GatewayClient(createRoutedTransport(), 'CALL', silentOptions());
+      const responder = new GatewayClient(createRoutedTransport(), 'RESP', silentOptions());
+      
+      const stop = await responder.respond('@user:echo', (data, header) => {
+        if (data === 'boom') throw new Error('bad input');
+        if (data === 'nothing') return '';
+        return `echo:${data}:${header.get('X-Trace') || ''}`;
+      });
+      
+      const reply = await caller.request('@user:echo', 'hi', {
+        timeoutMs: 1000,
+        headers: new Map([['X-Trace', 't1']])
+      });
+      assertEqual(reply.data, 'echo:hi:t1', '应该收到响应方的回复');
+      assert(caller.getSubscribedCommands().includes('@client:CALL'), '应该订阅自己的回复频道');
+      
+      const [a, b] = await Promise.all([
+        caller.request('@user:echo', 'a', { timeoutMs: 1000 }),
+        caller.request('@user:echo', 'b', { timeoutMs: 1000 })
+      ]);
+      assertEqual(`${a.data},${b.data}`, 'echo:a:,echo:b:', '并发请求应该按关联ID匹配');
+      
+      logTest('请求与回复匹配', 'PASS');
+      
+      try {
+        await caller.request('@user:echo', 'boom', { timeoutMs: 1000 });
+        throw new Error('应该失败');
+      } catch (error) {
+        assert(error instanceof GatewayRemoteError, '响应方异常应该返回 GatewayRemoteError');
+        assertEqual(error.errMsg, 'bad input', '应该携带响应方的错误信息');
+      }
+      
+      logTest('远端错误', 'PASS');
+      
+      const empty = await caller.request('@user:echo', 'nothing', { timeoutMs: 1000 });
+      assertEqual(empty.data, '', '空回复应该原样返回');
+      assert(!empty.header.has('X-Rpc-Empty'), '空回复标记应该被移除');
+      
+      logTest('空回复', 'PASS');
+      
+      await stop();
+      try {
+        await caller.request('@user:echo', 'late', { timeoutMs: 30 });
+        throw new Error('应该超时');
+      } catch (error) {
+        assert(error instanceof GatewayTimeoutError, '无响应方时应该超时');
+      }
+      
+      const pending = caller.request('@user:echo', 'never', { timeoutMs: 1000 });
+      await sleep(0);
+      caller.destroy();
+      try {
+        await pending;
+        throw new Error('应该被取消');
+      } catch (error) {
+        assert(error instanceof GatewayAbortError, '销毁客户端应该取消等待中的请求');
+      }
+      responder.destroy();
+      
+      logTest('超时与取消', 'PASS');
+      
+      // 回复频道订阅无响应时，请求按自身的超时和取消信号结束，且不发布
+      const stalled = createStubTransport();
+      const caller2 = new GatewayClient(stalled, 'STLL', silentOptions());
+      stalled.delayMs = 200;
+      try {
+        await caller2.request('@user:echo', 'stalled', { timeoutMs: 20 });
+        throw new Error('应该超时');
+      } catch (error) {
+        assert(error instanceof GatewayTimeoutError, `订阅回复频道无响应时应该超时, got ${error}`);
+      }
+      const controller = new AbortController();
+      const aborted = caller2.request('@user:echo', 'aborted', { timeoutMs: 1000, signal: controller.signal });
+      controller.abort('cancelled');
+      try {
+        await aborted;
+        throw new Error('应该被取消');
+      } catch (error) {
+        assert(error instanceof GatewayAbortError, '订阅回复频道期间应该可以取消');
+      }
+      await sleep(250);
+      assertEqual(stalled.sent.filter((req) => req.header.get('api') === 'API/Publish').length, 0, '已结束的请求不应该发布');
+      caller2.destroy();
+      
+      logTest('回复频道订阅超时', 'PASS');
+      
+    } catch (error) {
+      logTest('请求/响应', 'FAIL', error.message);
+    }
+  }
+
+  // 测试18: 在线状态
+  async testPresence() {
+    log('\n👥 测试18: 在线状态', 'blue');
+    
+    try {
+      const createRoutedTransport = createRouter();
+      const alice = new GatewayClient(createRoutedTransport(), 'ALIC', silentOptions());
+      const bob = new GatewayClient(createRoutedTransport(), 'BOB0', silentOptions());
+      const options = { heartbeatIntervalMs: 20, timeoutMs: 50 };
+      
+      const alicePresence = new Presence(alice, 'lobby', { ...options, meta: { name: 'Alice' } });
+      const bobPresence = new Presence(bob, 'lobby', { ...options, meta: { name: 'Bob' } });
+      const events = [];
+      alicePresence.onChange(({ type, member, reason }) => events.push(`${type}:${member.clientId}${reason ? ':' + reason : ''}`));
+      
+      await alicePresence.join();
+      await bobPresence.join();
+      await sleep(10);
+      
+      assertEqual(alicePresence.getMembers().map((m) => m.meta.name).join(','), 'Bob', 'Alice 应该看到 Bob 加入');
+      assertEqual(bobPresence.getMembers().map((m) => m.meta.name).join(','), 'Alice', 'Bob 应该通过私有频道同步到 Alice');
+      assert(alice.getSubscribedCommands().includes('presence:lobby'), '应该订阅 presence 频道');
+      assert(alice.getSubscribedCommands().includes('@client:ALIC'), '应该订阅私有频道');
+      
+      logTest('加入与名单同步', 'PASS');
+      
+      await bobPresence.update({ name: 'Bob', status: 'away' });
+      await sleep(10);
+      assertEqual(alicePresence.getMembers()[0].meta.status, 'away', '应该收到元数据更新');
+      
+      await bobPresence.leave();
+      await sleep(10);
+      assertEqual(alicePresence.getMembers().length, 0, '离开后应该从名单移除');
+      assertEqual(events.join(','), 'join:BOB0,update:BOB0,leave:BOB0:left', '应该依次收到 join/update/leave');
+      
+      logTest('更新与离开', 'PASS');
+      
+      // Bob 重新加入后停止心跳
+      events.length = 0;
+      await bobPresence.join();
+      await sleep(10);
+      bob.destroy();
+      await sleep(120);
+      assertEqual(events.join(','), 'join:BOB0,leave:BOB0:expired', '停止心跳的成员应该过期');
+      
+      await alicePresence.leave();
+      alice.destroy();
+      
+      logTest('心跳超时', 'PASS');
+      
+      // 相同 clientId 的客户端以 memberId 区分
+      const twinA = new GatewayClient(createRoutedTransport(), '0000', silentOptions());
+      const records = [];
+      const twinB = new GatewayClient(createRoutedTransport(), '0000', { logger: { log: (record) => records.push(record) } });
+      const twinPresenceA = new Presence(twinA, 'twins', { ...options, meta: { name: 'A' } });
+      const twinPresenceB = new Presence(twinB, 'twins', { ...options, meta: { name: 'B' } });
+      assert(twinPresenceA.memberId !== twinPresenceB.memberId, '每个实例的 memberId 应该不同');
+      const twinEvents = [];
+      twinPresenceB.onChange(() => { throw new Error('listener bug'); });
+      twinPresenceB.onChange((event) => twinEvents.push(event.type));
+      await twinPresenceA.join();
+      await twinPresenceB.join();
+      await sleep(10);
+      assertEqual(twinPresenceA.getMembers().map((m) => m.meta.name).join(','), 'B', '相同 clientId 的成员应该互相可见');
+      assertEqual(twinPresenceB.getMembers().map((m) => m.memberId).join(','), twinPresenceA.memberId, '成员应该带对方的 memberId');
+      assertEqual(twinEvents.join(','), 'join', '监听者异常不应该影响其他监听者');
+      assert(records.some((record) => record.message === 'Presence listener failed' && record.fields.error.message === 'listener bug'), '监听者异常应该记录日志');
+      
+      // 心跳失败记录日志
+      twinB.publish = () => Promise.reject(new Error('publish down'));
+      await sleep(30);
+      assert(records.some((record) => record.message.startsWith('Presence heartbeat failed') && record.fields.error.message === 'publish down'), '心跳失败应该记录日志');
+      await twinPresenceA.leave();
+      twinA.destroy();
+      twinB.destroy();
+      
+      logTest('memberId 区分成员与错误日志', 'PASS');
+      
+    } catch (error) {
+      logTest('在线状态', 'FAIL', error.message);
+    }
+  }
+
+  // 测试19: HTTP 代理客户端
+  async testHttpClient() {
+    log('\n🌐 测试19: HTTP 代理客户端', 'blue');
+    
+    try {
+      let reply = JSON.stringify([{ id: 1, name: 'Alice' }]);
+      const transport = {
+        ...createStubTransport(),
+        sent: [],
+        async Send(data, header) {
+          transport.sent.push({ data, header: new Map(header) });
+          return [{ toString: () => reply }, null];
+        }
+      };
+      const client = new GatewayClient(transport, 'HTTP', silentOptions());
+      
+      const res = await client.http.get('https://api.example.com/users?active=1', {
+        query: { page: 2, tags: ['a', 'b'], skip: undefined },
+        headers: { Authorization: 'Bearer t' }
+      });
+      let sent = transport.sent[0];
+      assertEqual(sent.header.get('api'), 'API/Proxy', '应该发送到 API/Proxy');
+      assertEqual(sent.header.get('x-proxy-method'), 'GET', '应该设置代理方法');
+      assertEqual(sent.header.get('x-proxy-url'), 'https://api.example.com/users?active=1&page=2&tags=a&tags=b', '应该拼接查询参数');
+      assertEqual(sent.header.get('Authorization'), 'Bearer t', '应该转发请求头');
+      assert(!sent.header.has('Content-Type'), '无请求体时不应该设置 Content-Type');
+      assertEqual(res.body[0].name, 'Alice', '应该解码 JSON 响应');
+      assertEqual(res.status, null, '网关未提供状态码');
+      
+      logTest('GET 与查询参数', 'PASS');
+      
+      reply = '';
+      await client.http.post('https://api.example.com/users', { name: 'Bob' });
+      sent = transport.sent[1];
+      assertEqual(sent.data, '{"name":"Bob"}', '对象应该编码为 JSON');
+      assertEqual(sent.header.get('Content-Type'), 'application/json', '应该设置 JSON Content-Type');
+      
+      await client.http.put('https://api.example.com/login', { user: 'a b', pass: 'x&y' }, { bodyType: 'form' });
+      sent = transport.sent[2];
+      assertEqual(sent.data, 'user=a+b&pass=x%26y', '应该按表单编码');
+      assertEqual(sent.header.get('Content-Type'), 'application/x-www-form-urlencoded', '应该设置表单 Content-Type');
+      
+      await client.http.patch('https://api.example.com/note', 'hello', { headers: { 'content-type': 'text/markdown' } });
+      sent = transport.sent[3];
+      assertEqual(sent.header.get('content-type'), 'text/markdown', '不应该覆盖调用方的 Content-Type');
+      assert(!sent.header.has('Content-Type'), '不应该重复设置 Content-Type');
+      
+      logTest('请求体编码', 'PASS');
+      
+      reply = 'not json';
+      const text = await client.http.delete('https://api.example.com/users/1', { responseType: 'text' });
+      assertEqual(text.body, 'not json', 'text 响应应该原样返回');
+      const head = await client.http.head('https://api.example.com/users');
+      assertEqual(head.body, null, 'HEAD 响应体应该为 null');
+      try {
+        await client.http.get('https://api.example.com/broken');
+        throw new Error('应该解码失败');
+      } catch (error) {
+        assert(error instanceof GatewayDecodeError, '非法 JSON 应该抛出 GatewayDecodeError');
+        assertEqual(error.text, 'not json', '应该保留原始响应');
+      }
+      client.destroy();
+      
+      logTest('响应解码', 'PASS');
+      
+    } catch (error) {
+      logTest('HTTP 代理客户端', 'FAIL', error.message);
+    }
+  }
+
+  // 测试20: Hook 接收端
+  async testHookReceiver() {
+    log('\n🪝 测试20: Hook 接收端', 'blue');
+    
+    const servers = [];
+    try {
+      const events = [];
+      const errors = [];
+      const handlers = {
+        Subscribe: (event) => { events.push(`${event.type}:${event.cmd.join('|')}:${event.reqId}`); },
+        Publish: (event) => {
+          events.push(`${event.type}:${event.cmd}:${event.data}`);
+          if (event.data === 'fail') throw new Error('handler failed');
+          return { stored: true };
+        },
+        onError: (error) => errors.push(error)
+      };
+      
+      const plain = await startServer(createHookHandler(handlers));
+      servers.push(plain);
+      
+      let res = await postJson(`${plain.url}/hook`, { cmd: ['news', 'alerts'] }, { 'X-Req-Id': 'req-1', api: 'API/Subscribe' });
+      assertEqual(res.status, 200, 'Subscribe 应该返回 200');
+      assertEqual(res.body.reqId, 'req-1', '响应应该带上 X-Req-Id');
+      
+      res = await postJson(`${plain.url}/hook`, { cmd: 'news', data: 'hello' }, { 'X-Req-Id': 'req-2' });
+      assertEqual(res.body.data.stored, true, '处理函数返回值应该放在 data 字段');
+      
+      res = await postJson(`${plain.url}/hook`, { cmd: ['news'], headers: { api: 'API/Unsubscribe', 'X-Req-Id': 'req-3' } });
+      assertEqual(res.status, 200, '未注册处理函数的事件应该直接成功');
+      assertEqual(res.body.reqId, 'req-3', '应该从请求体 headers 中提取 X-Req-Id');
+      
+      assertEqual(events.join(','), 'Subscribe:news|alerts:req-1,Publish:news:hello', '应该按 API 分发事件');
+      
+      logTest('解析与分发', 'PASS');
+      
+      res = await postJson(`${plain.url}/hook`, { cmd: 'news', data: 'fail' }, { api: 'API/Publish' });
+      assertEqual(res.status, 500, '处理函数异常应该返回 500');
+      assertEqual(res.body.error, 'handler failed', '应该返回错误信息');
+      
+      res = await postJson(`${plain.url}/hook`, '{broken', { 'X-Req-Id': 'req-4' });
+      assertEqual(res.status, 400, '非法请求体应该返回 400');
+      assertEqual(res.body.reqId, 'req-4', '解析失败时也应该带上 X-Req-Id');
+      assertEqual(errors.length, 2, '应该报告处理异常和解析失败');
+      
+      try {
+        parseHookEvent({ cmd: ['x'] }, {});
+        throw new Error('应该无法识别');
+      } catch (error) {
+        assert(error instanceof GatewayHookError, '无法识别 API 时应该抛出 GatewayHookError');
+      }
+      
+      logTest('错误响应', 'PASS');
+      
+      // Koa 中间件：模拟 koa-bodyparser 已解析的请求体
+      const koa = createKoaHookMiddleware({ Ping: (event) => ({ pong: event.reqId }) });
+      const koaServer = await startServer(async (req, response) => {
+        const ctx = { req, request: { body: { } }, status: 404, body: null, type: '' };
+        await koa(ctx);
+        response.writeHead(ctx.status, { 'Content-Type': ctx.type });
+        response.end(JSON.stringify(ctx.body));
+      });
+      servers.push(koaServer);
+      
+      res = await postJson(koaServer.url, '', { api: 'API/Ping', 'X-Req-Id': 'req-5' });
+      assertEqual(res.body.data.pong, 'req-5', 'Koa 中间件应该分发 Ping');
+      
+      logTest('Koa 中间件', 'PASS');
+      
+    } catch (error) {
+      logTest('Hook 接收端', 'FAIL', error.message);
+    } finally {
+      for (const server of servers) {
+        await server.close();
+      }
+    }
+  }
+
+  // 测试21: 进程内模拟网关
+  async testInProcessGateway() {
+    log('\n🧪 测试21: 进程内模拟网关', 'blue');
+    
+    const servers = [];
+    try {
+      const gateway = new InProcessGateway();
+      const alice = gateway.createClient('ALIC', silentOptions({ reconnectPolicy: { initialDelayMs: 10 } }));
+      const bob = gateway.createClient('BOB0', silentOptions());
+      const aliceReceived = [];
+      const bobReceived = [];
+      
+      await alice.subscribe('news', Symbol('news'), (cmd, data) => aliceReceived.push(`${cmd}:${data}`));
+      await bob.subscribe('news', Symbol('news'), (cmd, data) => bobReceived.push(`${cmd}:${data}`));
+      await alice.subscribe('@client:BOB0', Symbol('spoof'), (cmd, data) => aliceReceived.push(`${cmd}:${data}`));
+      await bob.subscribe('@client:BOB0', Symbol('inbox'), (cmd, data, header) => bobReceived.push(`${cmd}:${data}:${header.get('X-From')}`));
+      
+      await alice.publish('news', 'hello');
+      await alice.publish('@client:BOB0', 'psst', new Map([['X-From', 'alice']]));
+      await sleep(10);
+      
+      assertEqual(aliceReceived.join(','), 'news:hello', '私有频道不应该投递给其他客户端');
+      assertEqual(bobReceived.join(','), 'news:hello,@client:BOB0:psst:alice', '应该广播并按 @client 路由');
+      assertEqual((await alice.ping()).errMsg, null, 'Ping 应该成功');
+      
+      logTest('广播与私有路由', 'PASS');
+      
+      // 拒绝与延迟
+      gateway.rejectNext('API/Publish', 'quota exceeded');
+      const rejected = await alice.publish('news', 'x');
+      assertEqual(rejected.errMsg, 'quota exceeded', '应该返回设置的 errMsg');
+      
+      gateway.setDelay(50, 'API/Ping');
+      try {
+        await alice.ping(new Map(), { timeoutMs: 10 });
+        throw new Error('应该超时');
+      } catch (error) {
+        assert(error instanceof GatewayTimeoutError, '延迟响应应该触发超时');
+      }
+      gateway.setDelay(0, 'API/Ping');
+      
+      // 注入推送
+      bobReceived.length = 0;
+      assertEqual(await gateway.injectPush('news', 'server'), 2, '应该推送给两个订阅者');
+      await sleep(10);
+      assertEqual(bobReceived.join(','), 'news:server', '应该收到注入的推送');
+      
+      logTest('测试控制', 'PASS');
+      
+      // 断线后自动重订阅
+      gateway.disconnect('ALIC');
+      assertEqual(gateway.getSubscriptions('ALIC').length, 0, '断线后服务器端订阅应该丢失');
+      await sleep(30);
+      assertEqual(alice.state, ConnectionState.CONNECTED, '应该恢复连接');
+      assertEqual(gateway.getSubscriptions('ALIC').sort().join(','), '@client:BOB0,news', '应该重新订阅');
+      
+      logTest('断线与重订阅', 'PASS');
+      
+      // Hook 回调到本地服务器
+      const hooks = [];
+      const hookServer = await startServer(createHookHandler({
+        Subscribe: (event) => { hooks.push(`${event.type}:${event.cmd.join('|')}:${event.reqId}`); },
+        Publish: (event) => { hooks.push(`${event.type}:${event.cmd}:${event.data}`); }
+      }));
+      servers.push(hookServer);
+      
+      const hookHeaders = () => new Map([['x-hook-url', `${hookServer.url}/hook`], ['x-hook-method', 'POST'], ['X-Req-Id', 'hook-1']]);
+      await bob.subscribe('alerts', Symbol('alerts'), () => {}, hookHeaders());
+      await bob.publish('alerts', 'fire', hookHeaders());
+      await gateway.flushHooks();
+      
+      assertEqual(hooks.join(','), 'Subscribe:alerts:hook-1,Publish:alerts:fire', '应该回调 Hook 地址');
+      assert(gateway.hookCalls.every((call) => call.status === 200), 'Hook 回调应该成功');
+      
+      alice.destroy();
+      bob.destroy();
+      gateway.close();
+      
+      logTest('Hook 回调', 'PASS');
+      
+    } catch (error) {
+      logTest('进程内模拟网关', 'FAIL', error.message);
+    } finally {
+      for (const server of servers) {
+        await server.close();
+      }
+    }
+  }
+
+  async testFakeClient() {
+    log('\n🧪 测试22: 测试替身客户端', 'blue');
+    
+    try {
+      const client = createFakeClient();
+      const received = [];
+      
+      await client.subscribe('news', Symbol('a'), (cmd, data, header) => received.push(`${data}:${header.get('X-Req-Id')}`));
+      await client.subscribe('news', Symbol('b'), () => {});
+      client.assertObservers('news', 2);
+      assertEqual(client.getObserverCount(), 2, '应该统计所有观察者');
+      assertEqual(client.callsTo('Subscribe').length, 2, '应该记录每次订阅请求');
+      
+      await client.emitPush('news', 'breaking', { 'X-Req-Id': 'push-1' });
+      assertEqual(received.join(','), 'breaking:push-1', '应该通过真实分发逻辑投递');
+      
+      await client.publish('chat', 'hi', new Map([['X-Source', 'widget']]));
+      assert(client.wasPublished('chat', { data: 'hi', headers: { 'X-Source': 'widget' } }), '应该记录发布和头部');
+      assert(!client.wasPublished('chat', { data: 'bye' }), '内容不同时不应该匹配');
+      assert(client.calls.every((call) => call.headers.has('X-Req-Id')), '记录的头部应该包含 X-Req-Id');
+      
+      try {
+        client.assertPublished('chat', { headers: { 'X-Source': 'other' } });
+        throw new Error('应该断言失败');
+      } catch (error) {
+        assert(error.message.includes("chat: hi"), '断言失败信息应该列出实际发布');
+      }
+      
+      logTest('记录与断言', 'PASS');
+      
+      client.respondWith('Publish', { errMsg: 'quota exceeded' });
+      assertEqual((await client.publish('chat', 'x')).errMsg, 'quota exceeded', '应该返回预设响应');
+      
+      client.failWith('Ping', new Error('boom'));
+      try {
+        await client.ping();
+        throw new Error('应该失败');
+      } catch (error) {
+        assert(error instanceof GatewayTransportError, '预设失败应该作为传输错误抛出');
+      }
+      
+      client.resetCalls();
+      await client.simulateDisconnect();
+      await sleep(10);
+      assertEqual(client.state, ConnectionState.CONNECTED, '应该恢复连接');
+      assertEqual(client.callsTo('Subscribe').length, 1, '断线后应该重新订阅');
+      
+      client.destroy();
+      logTest('预设响应与断线', 'PASS');
+      
+    } catch (error) {
+      logTest('测试替身客户端', 'FAIL', error.message);
+    }
+  }
+
+  async testClientMetrics() {
+    log('\n🧪 测试23: 客户端指标', 'blue');
+    
+    try {
+      const snapshots = [];
+      const client = createFakeClient('STAT', { metrics: { intervalMs: 20, onMetrics: (stats) => snapshots.push(stats), latencyBuckets: [10, 100] } });
+      
+      await client.subscribe('news', Symbol('ok'), () => {});
+      await client.subscribe('news', Symbol('bad'), () => { throw new Error('observer bug'); });
+      await client.subscribePattern('logs.*', Symbol('logs'), () => {});
+      await client.publish('news', 'hello');
+      client.respondWith('Publish', { errMsg: 'quota exceeded' });
+      await client.publish('news', 'x', new Map(), { throwOnErrMsg: true }).catch(() => {});
+      client.failWith('Ping', new Error('boom'));
+      await client.ping().catch(() => {});
+      
+      await client.emitPush('news', 'a', { 'X-Req-Id': 'p1' });
+      await client.emitPush('logs.app', 'b', { 'X-Req-Id': 'p2' });
+      await client.emitPush('ghost', 'c', { 'X-Req-Id': 'p3' });
+      await client.simulateDisconnect();
+      await sleep(10);
+      
+      const stats = client.getStats();
+      assertEqual(stats.api['API/Subscribe'].requests, 3, '应该按 API 统计请求数 (含重订阅)');
+      assertEqual(stats.api['API/Publish'].requests, 2, 'errMsg 响应也是已完成的请求');
+      assertEqual(stats.api['API/Publish'].errorsByCode.SERVER_REJECTED, 1, '应该统计服务器拒绝');
+      assertEqual(stats.api['API/Ping'].errorsByCode.TRANSPORT, 1, '应该按错误代码统计');
+      assertEqual(stats.api['API/Ping'].latency.count, 1, '失败请求也记录延迟');
+      assertEqual(stats.api['API/Publish'].latency.counts[1], 2, '直方图分桶应该是累计值');
+      assertEqual(stats.push.received, 3, '应该统计推送总数');
+      assertEqual(stats.push.byChannel['logs.app'], 1, '应该按频道统计推送');
+      assertEqual(stats.push.unobserved, 1, '应该统计无观察者的推送');
+      assertEqual(stats.push.observerErrors, 1, '应该统计观察者异常');
+      assertEqual(stats.reconnect.attempts, 1, '应该统计重连尝试');
+      assertEqual(stats.reconnect.successes, 1, '应该统计重连成功');
+      assertEqual(stats.subscriptions.channels, 1, '应该统计频道数');
+      assertEqual(stats.subscriptions.observers, 2, '应该统计观察者数');
+      assertEqual(stats.subscriptions.patternObservers, 1, '应该统计模式观察者数');
+      
+      logTest('统计快照', 'PASS');
+      
+      const prometheus = formatPrometheus(stats);
+      assert(prometheus.includes('# TYPE gateway_client_request_duration_ms histogram'), '直方图应该声明一次 TYPE');
+      assert(prometheus.includes('gateway_client_request_duration_ms_bucket{client_id="STAT",api="API/Publish",le="+Inf"} 2'), '应该输出 +Inf 分桶');
+      assert(prometheus.includes('gateway_client_pushes_unobserved_total{client_id="STAT"} 1'), '应该输出推送计数');
+      // 同一指标族的样本连续输出，族内同一 API 的直方图行相邻
+      const familyOf = (line) => line.split('{')[0].replace(/_(bucket|sum|count)$/, '');
+      const sampleLines = prometheus.trim().split('\n').filter((line) => !line.startsWith('#'));
+      const seen = [];
+      sampleLines.forEach((line) => {
+        if (seen[seen.length - 1] !== familyOf(line)) {
+          assert(!seen.includes(familyOf(line)), `指标族 ${familyOf(line)} 应该连续输出`);
+          seen.push(familyOf(line));
+        }
+      });
+      const histogramApis = sampleLines.filter((line) => line.startsWith('gateway_client_request_duration_ms'))
+        .map((line) => line.match(/api="([^"]+)"/)[1]);
+      assertEqual(histogramApis.join(','), ['API/Subscribe', 'API/Publish', 'API/Ping'].map((api) => Array(5).fill(api).join(',')).join(','), '直方图应该按标签集分组');
+      const statsd = formatStatsd(stats, 'gw');
+      assert(statsd.includes('gw_observers:2|g|#client_id:STAT'), '应该输出 StatsD 行');
+      
+      logTest('Prometheus/StatsD 导出', 'PASS');
+      
+      await sleep(50);
+      assert(snapshots.length >= 1, '应该定期回调指标');
+      client.resetStats();
+      assertEqual(client.getStats().push.received, 0, 'resetStats 应该清零计数');
+      assertEqual(client.getStats().subscriptions.observers, 2, '订阅规模不受 resetStats 影响');
+      
+      client.destroy();
+      const count = snapshots.length;
+      await sleep(50);
+      assertEqual(snapshots.length, count, '销毁后应该停止回调');
+      
+      logTest('定期回调', 'PASS');
+      
+      // 按频道统计的频道数上限
+      const capped = createFakeClient('CAP1', { metrics: { maxChannels: 2 } });
+      for (const cmd of ['a', 'b', '@client:X1', '@client:X2', 'a']) {
+        await capped.emitPush(cmd, 'x', { 'X-Req-Id': cmd });
+      }
+      assertEqual(JSON.stringify(capped.getStats().push.byChannel), JSON.stringify({ a: 2, b: 1, [OTHER_CHANNELS_LABEL]: 2 }), '超出上限的频道应该合计');
+      assertEqual(capped.getStats().push.received, 5, '推送总数不受上限影响');
+      capped.destroy();
+      
+      const untracked = createFakeClient('CAP2', { metrics: { maxChannels: 0 } });
+      await untracked.emitPush('a', 'x', { 'X-Req-Id': 'p' });
+      assertEqual(Object.keys(untracked.getStats().push.byChannel).length, 0, 'maxChannels 为 0 时不按频道统计');
+      assert(!formatPrometheus(untracked.getStats()).includes('pushes_by_channel_total'), '不应该输出 cmd 标签');
+      untracked.destroy();
+      
+      logTest('频道数上限', 'PASS');
+      
+    } catch (error) {
+      logTest('客户端指标', 'FAIL', error.message);
+    }
+  }
+
+  async testTracing() {
+    log('\n🧪 测试24: 分布式追踪', 'blue');
+    
+    // 记录 span 的最小 tracer
+    const createTracer = () => {
+      const spans = [];
+      let seq = 0;
+      const tracer = {
+        startSpan(name, options = {}) {
+          seq++;
+          const span = {
+            name, kind: options.kind, attributes: { ...options.attributes }, links: options.links || [],
+            status: null, exceptions: [], ended: false,
+            context: { traceId: 'a'.repeat(30) + String(seq).padStart(2, '0'), spanId: 'b'.repeat(14) + String(seq).padStart(2, '0'), traceFlags: 1, traceState: { serialize: () => 'vendor=1' } },
+            spanContext() { return this.context; },
+            setAttribute(key, value) { this.attributes[key] = value; },
+            setStatus(status) { this.status = status; },
+            recordException(error) { this.exceptions.push(error); },
+            end() { this.ended = true; }
+          };
+          spans.push(span);
+          return span;
+        }
+      };
+      return { tracer, spans };
+    };
+    
+    try {
+      const parsed = parseTraceparent('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01');
+      assertEqual(parsed.traceId, '0af7651916cd43dd8448eb211c80319c', '应该解析 traceId');
+      assertEqual(parsed.traceFlags, 1, '应该解析 traceFlags');
+      assertEqual(parseTraceparent('00-' + '0'.repeat(32) + '-b7ad6b7169203331-01'), null, '全 0 traceId 无效');
+      assertEqual(parseTraceparent('garbage'), null, '格式错误应该返回 null');
+      
+      const gateway = new InProcessGateway();
+      const senderTracing = createTracer();
+      const receiverTracing = createTracer();
+      const active = [];
+      const sender = gateway.createClient('SEND', silentOptions({ tracing: { tracer: senderTracing.tracer } }));
+      const receiver = gateway.createClient('RECV', silentOptions({
+        tracing: {
+          tracer: receiverTracing.tracer,
+          withSpan: (span, fn) => { active.push(span); try { return fn(); } finally { active.pop(); } }
+        }
+      }));
+      
+      let seenHeader = null;
+      let activeInObserver = null;
+      await receiver.subscribe('orders', Symbol('orders'), (cmd, data, header) => {
+        seenHeader = header.get('traceparent');
+        activeInObserver = active[active.length - 1];
+      });
+      await receiver.subscribe('orders', Symbol('broken'), () => { throw new Error('observer bug'); });
+      await sender.publish('orders', 'created');
+      await sleep(10);
+      
+      const publishSpan = senderTracing.spans.find((span) => span.name === 'API/Publish');
+      const publishRequest = gateway.requests.find((req) => req.api === 'API/Publish');
+      assertEqual(publishSpan.kind, SpanKind.CLIENT, '请求 span 应该是 CLIENT');
+      assert(publishSpan.ended, '请求 span 应该结束');
+      assertEqual(publishRequest.headers.get('traceparent'), `00-${publishSpan.context.traceId}-${publishSpan.context.spanId}-01`, '应该注入 traceparent');
+      assertEqual(publishRequest.headers.get('tracestate'), 'vendor=1', '应该注入 tracestate');
+      assert(publishRequest.headers.has('X-Req-Id'), '应该保留 X-Req-Id');
+      
+      const pushSpan = receiverTracing.spans.find((span) => span.name === 'orders receive');
+      assertEqual(pushSpan.kind, SpanKind.CONSUMER, '推送 span 应该是 CONSUMER');
+      assertEqual(pushSpan.links[0].context.spanId, publishSpan.context.spanId, '推送 span 应该关联发布方 span');
+      assertEqual(pushSpan.links[0].context.traceState.serialize(), 'vendor=1', '应该提取 tracestate');
+      assertEqual(activeInObserver, pushSpan, '观察者应该在推送 span 中执行');
+      assertEqual(pushSpan.exceptions.length, 1, '观察者异常应该记录到 span');
+      assert(pushSpan.ended, '推送 span 应该结束');
+      assert(seenHeader, '观察者应该能读取 traceparent');
+      
+      logTest('traceparent 注入与推送关联', 'PASS');
+      
+      // 调用方已设置 traceparent 时保留
+      await sender.publish('orders', 'x', new Map([['traceparent', '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01']]));
+      assertEqual(gateway.requests[gateway.requests.length - 1].headers.get('traceparent'), '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01', '不应该覆盖调用方的 traceparent');
+      
+      // 请求失败时标记错误
+      gateway.setOnline(false);
+      gateway.disconnect('SEND');
+      await sender.ping().catch(() => {});
+      const pingSpan = senderTracing.spans.filter((span) => span.name === 'API/Ping').pop();
+      assertEqual(pingSpan.status && pingSpan.status.code, SpanStatusCode.ERROR, '失败请求的 span 应该标记错误');
+      
+      sender.destroy();
+      receiver.destroy();
+      gateway.close();
+      logTest('保留调用方上下文与错误状态', 'PASS');
+      
+    } catch (error) {
+      logTest('分布式追踪', 'FAIL', error.message);
+    }
+  }
+
+  async testInterceptors() {
+    log('\n🧪 测试25: 拦截器', 'blue');
+    
+    try {
+      const client = createFakeClient('INTC');
+      const order = [];
+      
+      const removeAuth = client.interceptors.request.use(async (req) => {
+        await sleep(1);
+        order.push('auth');
+        req.headers.set('Authorization', 'Bearer t1');
+      });
+      client.interceptors.request.use((req) => {
+        order.push('rewrite');
+        if (req.api === 'API/Publish') {
+          const body = JSON.parse(req.data);
+          return { ...req, data: JSON.stringify({ ...body, data: body.data.toUpperCase() }) };
+        }
+      });
+      client.interceptors.response.use((result) => {
+        order.push('response');
+      });
+      
+      await client.publish('chat', 'hi');
+      assertEqual(order.join(','), 'auth,rewrite,response', '拦截器应该按注册顺序执行');
+      client.assertPublished('chat', { data: 'HI', headers: { Authorization: 'Bearer t1' } });
+      assertEqual(client.calls[0].headers.get('api'), 'API/Publish', 'api 头部仍由 SDK 设置');
+      
+      removeAuth();
+      await client.publish('chat', 'again');
+      assert(!client.calls[1].headers.has('Authorization'), '移除后不应该再执行');
+      
+      // 直接返回响应，不发送
+      const cache = client.interceptors.request.use((req) => (req.api === 'API/Ping' ? { response: JSON.stringify({ errMsg: 'cached' }) } : undefined));
+      client.resetCalls();
+      assertEqual((await client.ping()).errMsg, 'cached', '应该使用拦截器给出的响应');
+      assertEqual(client.calls.length, 0, '短路请求不应该发送');
+      cache();
+      
+      logTest('请求拦截', 'PASS');
+      
+      // 响应拦截器转换错误
+      client.interceptors.response.clear();
+      client.failWith('Ping', new Error('offline'));
+      const recover = client.interceptors.response.use((result) => {
+        if (result.error instanceof GatewayTransportError) {
+          return { ...result, error: null, response: JSON.stringify({ errMsg: 'fallback' }) };
+        }
+      });
+      assertEqual((await client.ping()).errMsg, 'fallback', '响应拦截器应该可以把失败转为成功');
+      recover();
+      
+      client.interceptors.response.use(() => { throw new Error('bad mapper'); });
+      client.failWith('Ping', null);
+      try {
+        await client.ping();
+        throw new Error('应该失败');
+      } catch (error) {
+        assert(error instanceof GatewayInterceptorError, '响应拦截器异常应该包装为 GatewayInterceptorError');
+        assertEqual(error.phase, 'response', '应该标记出错阶段');
+        assertEqual(error.cause.message, 'bad mapper', '应该保留原始错误');
+      }
+      client.interceptors.response.clear();
+      
+      const failing = client.interceptors.request.use(() => { throw new Error('no token'); });
+      try {
+        await client.publish('chat', 'x');
+        throw new Error('应该失败');
+      } catch (error) {
+        assert(error instanceof GatewayInterceptorError && error.phase === 'request', '请求拦截器异常应该拒绝请求');
+      }
+      client.interceptors.request.eject(failing);
+      client.interceptors.request.clear();
+      
+      logTest('响应拦截与错误', 'PASS');
+      
+      // 推送拦截
+      const received = [];
+      await client.subscribe('news', Symbol('news'), (cmd, data, header) => received.push(`${cmd}:${data}:${header.get('X-Tag') || ''}`));
+      await client.subscribe('news.v2', Symbol('v2'), (cmd, data) => received.push(`${cmd}:${data}`));
+      client.interceptors.push.use((push) => (push.data === 'spam' ? null : undefined));
+      client.interceptors.push.use(async (push) => {
+        push.headers.set('X-Tag', 'seen');
+        return push.cmd === 'legacy' ? { ...push, cmd: 'news.v2' } : push;
+      });
+      
+      await client.emitPush('news', 'spam', { 'X-Req-Id': 'p1' });
+      await client.emitPush('news', 'hello', { 'X-Req-Id': 'p2' });
+      await client.emitPush('legacy', 'old', { 'X-Req-Id': 'p3' });
+      
+      client.interceptors.push.use(() => { throw new Error('push bug'); });
+      await client.emitPush('news', 'lost', { 'X-Req-Id': 'p4' });
+      
+      assertEqual(received.join(','), 'news:hello:seen,news.v2:old', '推送拦截器应该修改、改道和丢弃消息');
+      
+      client.destroy();
+      logTest('推送拦截', 'PASS');
+      
+    } catch (error) {
+      logTest('拦截器', 'FAIL', error.message);
+    }
+  }
+
+  async testTokenProvider() {
+    log('\n🧪 测试26: 鉴权令牌', 'blue');
+    
+    try {
+      let serverToken = 't1';
+      let issued = 0;
+      let cached = null;
+      const providerCalls = [];
+      const client = createFakeClient('AUTH', {
+        tokenProvider: async ({ forceRefresh }) => {
+          providerCalls.push(forceRefresh);
+          await sleep(5);
+          if (!cached || forceRefresh) {
+            issued++;
+            cached = `t${issued}`;
+          }
+          return cached;
+        }
+      });
+      // 服务器只接受当前令牌
+      client.respondWith('Publish', (call) => ({ errMsg: call.headers.get('Authorization') === `Bearer ${serverToken}` ? null : 'token expired' }));
+      
+      await client.subscribe('news', Symbol('news'), () => {});
+      assertEqual(client.calls[0].headers.get('Authorization'), 'Bearer t1', '请求应该携带令牌');
+      
+      serverToken = 't2';  // 服务器端令牌轮换，提供者缓存仍为 t1
+      const results = await Promise.all([client.publish('news', 'a'), client.publish('news', 'b'), client.publish('news', 'c')]);
+      
+      assert(results.every((res) => res.errMsg === null), '刷新后重试应该成功');
+      assertEqual(providerCalls.filter((force) => force).length, 1, '并发的刷新应该合并为一次');
+      assertEqual(client.callsTo('Publish').length, 6, '每个请求应该只重试一次');
+      assert(client.callsTo('Publish').slice(3).every((call) => call.headers.get('Authorization') === 'Bearer t2'), '重试应该使用新令牌');
+      
+      logTest('刷新与重试', 'PASS');
+      
+      client.resetCalls();
+      await client.simulateDisconnect();
+      await sleep(20);
+      assertEqual(client.callsTo('Subscribe')[0].headers.get('Authorization'), 'Bearer t2', '重订阅应该携带令牌');
+      
+      await client.publish('news', 'manual', new Map([['authorization', 'Basic abc']]));
+      const manual = client.callsTo('Publish').pop();
+      assertEqual(manual.headers.get('authorization'), 'Basic abc', '手动设置的鉴权头部应该保留');
+      assert(!manual.headers.has('Authorization'), '不应该再添加令牌');
+      client.destroy();
+      
+      const broken = createFakeClient('AUT2', { tokenProvider: () => { throw new Error('login required'); } });
+      try {
+        await broken.ping();
+        throw new Error('应该失败');
+      } catch (error) {
+        assert(error instanceof GatewayAuthError, '令牌获取失败应该抛出 GatewayAuthError');
+        assertEqual(error.cause.message, 'login required', '应该保留原始错误');
+      }
+      assertEqual(broken.calls.length, 0, '获取令牌失败时不应该发送');
+      broken.destroy();
+      
+      const custom = createFakeClient('AUT3', {
+        tokenProvider: () => 'k1',
+        auth: { header: 'X-Api-Key', scheme: '', isAuthRejected: ({ error }) => error instanceof GatewayTransportError }
+      });
+      custom.failWith('Ping', new Error('401'));
+      await custom.ping().catch(() => {});
+      assertEqual(custom.calls.length, 2, '自定义判断应该触发重试');
+      assertEqual(custom.calls[0].headers.get('X-Api-Key'), 'k1', '应该使用自定义头部和前缀');
+      custom.destroy();
+      
+      logTest('重订阅、手动头部与自定义配置', 'PASS');
+      
+    } catch (error) {
+      logTest('鉴权令牌', 'FAIL', error.message);
+    }
+  }
+
+  async testBulkSubscriptions() {
+    log('\n🧪 测试27: 批量订阅', 'blue');
+    
+    try {
+      const client = createFakeClient('BULK');
+      const A = Symbol('a');
+      const B = Symbol('b');
+      const received = [];
+      const onMessage = (cmd, data) => received.push(`${cmd}:${data}`);
+      
+      await client.subscribe('room:1', B, () => {});
+      client.resetCalls();
+      
+      const { response, results } = await client.subscribeMany([
+        { cmd: 'room:1', observer: A, callback: onMessage },
+        { cmd: 'room:2', observer: A, callback: onMessage },
+        { cmd: 'room:2', observer: B, callback: () => {} },
+        { cmd: 'room:3', observer: A, callback: onMessage },
+        { cmd: 'room:1', observer: B, callback: () => {} }
+      ]);
+      
+      assertEqual(client.callsTo('Subscribe').length, 1, '应该只发送一次请求');
+      assertEqual(client.calls[0].body.cmd.join(','), 'room:2,room:3', '只发送新建的频道');
+      assertEqual(response.errMsg, null, '应该返回服务器响应');
+      assertEqual(results.map((result) => `${result.ok}/${result.sentToServer}`).join(','), 'true/false,true/true,true/true,true/true,false/false', '应该按输入顺序返回结果');
+      assert(results[4].error instanceof GatewayDuplicateObserverError, '重复观察者应该单独失败');
+      client.assertObservers('room:1', 2);
+      client.assertObservers('room:2', 2);
+      
+      await client.emitPush('room:3', 'hi', { 'X-Req-Id': 'p1' });
+      assertEqual(received.join(','), 'room:3:hi', '批量订阅的观察者应该收到推送');
+      
+      client.resetCalls();
+      const existing = await client.subscribeMany([{ cmd: 'room:3', observer: B, callback: () => {} }]);
+      assertEqual(existing.response, null, '全部频道已订阅时不发送请求');
+      assertEqual(client.calls.length, 0, '全部频道已订阅时不发送请求');
+      
+      // 服务器失败时回滚新建频道
+      client.failWith('Subscribe', new Error('offline'));
+      const failed = await client.subscribeMany([
+        { cmd: 'room:4', observer: A, callback: onMessage },
+        { cmd: 'room:1', observer: Symbol('c'), callback: () => {} }
+      ]);
+      client.failWith('Subscribe', null);
+      assert(!failed.results[0].ok && failed.results[0].error instanceof GatewayTransportError, '新建频道应该失败');
+      assert(failed.results[1].ok, '已订阅频道上的观察者不受影响');
+      assert(!client.getSubscribedCommands().includes('room:4'), '失败的频道应该回滚');
+      client.assertObservers('room:1', 3);
+      
+      // 服务器返回 errMsg (未开启 throwOnErrMsg) 同样视为失败并回滚
+      client.respondWith('Subscribe', { errMsg: 'quota exceeded' });
+      const refused = await client.subscribeMany([{ cmd: 'room:5', observer: A, callback: onMessage }]);
+      client.respondWith('Subscribe', { errMsg: null });
+      assertEqual(refused.response.errMsg, 'quota exceeded', '应该保留服务器响应');
+      assert(!refused.results[0].ok && refused.results[0].error instanceof GatewayServerRejectedError, 'errMsg 应该标记为失败');
+      assert(!client.getSubscribedCommands().includes('room:5'), '被拒绝的频道应该回滚');
+      
+      logTest('subscribeMany', 'PASS');
+      
+      client.resetCalls();
+      const removed = await client.unsubscribeMany([
+        { cmd: 'room:1', observer: A },
+        { cmd: 'room:3', observer: A },
+        { cmd: 'room:3', observer: B },
+        { cmd: 'room:9', observer: A }
+      ]);
+      assertEqual(client.callsTo('Unsubscribe').length, 1, '应该只发送一次请求');
+      assertEqual(client.calls[0].body.cmd.join(','), 'room:3', '只发送移除最后观察者的频道');
+      assertEqual(removed.results.map((result) => `${result.ok}/${result.sentToServer}`).join(','), 'true/false,true/true,true/true,false/false', '应该按输入顺序返回结果');
+      assert(removed.results[3].error instanceof GatewayNotSubscribedError, '未订阅的频道应该单独失败');
+      client.assertObservers('room:1', 2);
+      
+      client.failWith('Unsubscribe', new Error('offline'));
+      const kept = await client.unsubscribeMany([{ cmd: 'room:2', observer: A }, { cmd: 'room:2', observer: B }]);
+      assert(kept.results.every((result) => !result.ok), '服务器失败时各项应该失败');
+      client.assertObservers('room:2', 2);
+      client.failWith('Unsubscribe', null);
+      
+      client.respondWith('Unsubscribe', { errMsg: 'denied' });
+      const refusedRemoval = await client.unsubscribeMany([{ cmd: 'room:2', observer: A }, { cmd: 'room:2', observer: B }]);
+      assertEqual(refusedRemoval.response.errMsg, 'denied', '应该保留服务器响应');
+      assert(refusedRemoval.results.every((result) => !result.ok && result.error instanceof GatewayServerRejectedError), 'errMsg 应该标记为失败');
+      client.assertObservers('room:2', 2);
+      
+      client.destroy();
+      logTest('unsubscribeMany', 'PASS');
+      
+    } catch (error) {
+      logTest('批量订阅', 'FAIL', error.message);
+    }
+  }
+
+  async testFlowControl() {
+    log('\n🧪 测试28: 发送流量控制', 'blue');
+    
+    const gateway = new InProcessGateway();
+    gateway.setDelay(20, 'API/Publish');
+    const clients = [];
+    const create = (clientId, flowControl) => {
+      const client = gateway.createClient(clientId, silentOptions({ flowControl }));
+      clients.push(client);
+      return client;
+    };
+    const settle = (promise) => promise.then(() => 'ok', (error) => error.code || error.message);
+    
+    try {
+      const client = create('FLW1', { maxInFlight: 2, maxQueueSize: 2, overflow: 'reject' });
+      const publishes = [1, 2, 3, 4, 5].map((i) => settle(client.publish('bulk', `m${i}`)));
+      await sleep(1);
+      const stats = client.getQueueStats();
+      assertEqual(`${stats.inFlight}/${stats.queued}`, '2/2', '应该限制并发并排队');
+      
+      const ping = client.ping();
+      await ping;
+      assertEqual((await Promise.all(publishes)).join(','), 'ok,ok,ok,ok,QUEUE_FULL', '队列已满时应该拒绝');
+      const order = gateway.requests.filter((req) => req.clientId === 'FLW1').map((req) => req.api === 'API/Ping' ? 'ping' : JSON.parse(req.data).data);
+      assertEqual(order.join(','), 'm1,m2,ping,m3,m4', 'Ping 应该优先于排队的发布');
+      assertEqual(client.getQueueStats().inFlight, 0, '完成后应该释放名额');
+      assert(client.getStats().queue, 'getStats 应该包含队列状态');
+      
+      logTest('并发上限、优先级与 reject', 'PASS');
+      
+      const dropper = create('FLW2', { maxInFlight: 1, maxQueueSize: 1, overflow: 'drop-oldest' });
+      const dropped = await Promise.all(['a', 'b', 'c'].map((data) => settle(dropper.publish('bulk', data))));
+      assertEqual(dropped.join(','), 'ok,QUEUE_DROPPED,ok', '应该挤出最早排队的请求');
+      
+      const waiter = create('FLW3', { maxInFlight: 1, maxQueueSize: 1, overflow: 'wait' });
+      const waiting = ['a', 'b', 'c'].map((data) => settle(waiter.publish('bulk', data)));
+      await sleep(1);
+      assertEqual(waiter.getQueueStats().blocked, 1, '队列已满时应该等待入队');
+      assertEqual((await Promise.all(waiting)).join(','), 'ok,ok,ok', 'wait 策略应该全部发送');
+      
+      const slow = waiter.publish('bulk', 'slow');
+      try {
+        await waiter.publish('bulk', 'late', new Map(), { timeoutMs: 10 });
+        throw new Error('应该超时');
+      } catch (error) {
+        assert(error instanceof GatewayTimeoutError, '排队时间应该计入超时');
+      }
+      assertEqual(waiter.getQueueStats().queued, 0, '超时的请求应该离开队列');
+      await slow;
+      
+      const unqueued = create('FLW6', { maxInFlight: 1, maxQueueSize: 0, overflow: 'wait' });
+      const direct = ['a', 'b', 'c'].map((data) => settle(unqueued.publish('bulk', data)));
+      await sleep(1);
+      assertEqual(unqueued.getQueueStats().blocked, 2, 'maxQueueSize 为 0 时应该等待名额');
+      assertEqual((await Promise.all(direct)).join(','), 'ok,ok,ok', '释放的名额应该直接交给等待的请求');
+      
+      logTest('drop-oldest、wait 与排队超时', 'PASS');
+      
+      gateway.setDelay(0, 'API/Publish');
+      const limited = create('FLW4', { rateLimit: (cmd) => (cmd === 'ticks' ? { ratePerSecond: 50, burst: 1 } : null) });
+      let started = Date.now();
+      await Promise.all([limited.publish('ticks', '1'), limited.publish('ticks', '2'), limited.publish('ticks', '3')]);
+      assert(Date.now() - started >= 35, '应该按令牌桶限速');
+      started = Date.now();
+      await Promise.all([limited.publish('free', '1'), limited.publish('free', '2'), limited.publish('free', '3')]);
+      assert(Date.now() - started < 30, '未配置的频道不应该限速');
+      
+      const controller = new AbortController();
+      const throttled = settle(limited.publish('ticks', 'x', new Map(), { signal: controller.signal }));
+      const throttled2 = settle(limited.publish('ticks', 'y', new Map(), { signal: controller.signal }));
+      await sleep(1);
+      assert(limited.getQueueStats().throttled >= 1, '应该统计等待令牌的发布');
+      controller.abort();
+      assert((await Promise.all([throttled, throttled2])).includes('ABORTED'), '等待令牌时应该可以取消');
+      
+      // 等待令牌的时间计入超时，超时后归还令牌
+      const paced = create('FLW5', { rateLimit: { ratePerSecond: 10, burst: 1 } });
+      await paced.publish('ticks', '1');
+      started = Date.now();
+      try {
+        await paced.publish('ticks', '2', new Map(), { timeoutMs: 30 });
+        throw new Error('应该超时');
+      } catch (error) {
+        assert(error instanceof GatewayTimeoutError, '等待令牌的时间应该计入超时');
+      }
+      assert(Date.now() - started < 80, '应该在 timeoutMs 内放弃等待令牌');
+      assertEqual(paced.getQueueStats().throttled, 0, '超时后不应该继续等待令牌');
+      assertEqual(paced.getStats().api['API/Publish'].errorsByCode.TIMEOUT, 1, '应该统计超时');
+      await sleep(100);
+      started = Date.now();
+      await paced.publish('ticks', '3');
+      assert(Date.now() - started < 50, '超时的发布应该归还令牌');
+
+      logTest('按频道限速', 'PASS');
+      
+    } catch (error) {
+      logTest('发送流量控制', 'FAIL', error.message);
+    } finally {
+      clients.forEach((client) => client.destroy());
+      gateway.close();
+    }
+  }
+
+  async testCompression() {
+    log('\n🧪 测试29: 负载压缩', 'blue');
+    
+    const gateway = new InProcessGateway();
+    const sender = gateway.createClient('ZIP1', silentOptions({ compression: { thresholdBytes: 256 } }));
+    const receiver = gateway.createClient('ZIP2', silentOptions());
+    try {
+      const received = [];
+      await receiver.subscribe('snapshots', Symbol('snap'), (cmd, data, header) => received.push({ data, header }));
+      
+      const snapshot = JSON.stringify({ rows: Array.from({ length: 200 }, (_, i) => ({ id: i, name: `row-${i}`, status: 'active' })) });
+      await sender.publish('snapshots', snapshot);
+      await sender.publish('snapshots', 'small');
+      await gateway.flushPushes();
+      
+      const [big, small] = gateway.requests.filter((req) => req.api === 'API/Publish');
+      assertEqual(big.headers.get('X-Content-Encoding'), 'gzip', '超过阈值应该压缩并标记');
+      const sent = JSON.parse(big.data).data;
+      assert(sent.length < snapshot.length / 4, `压缩后应该明显变小: ${sent.length}`);
+      assert(/^[A-Za-z0-9+/]+=*$/.test(sent), '压缩内容应该是 base64');
+      assert(!small.headers.has('X-Content-Encoding'), '未达到阈值不应该压缩');
+      
+      assertEqual(received.length, 2, '应该收到两条推送');
+      assertEqual(received[0].data, snapshot, '接收方应该自动解压');
+      assert(!received[0].header.has('X-Content-Encoding'), '解压后应该移除压缩标记');
+      assertEqual(received[1].data, 'small', '未压缩的推送保持原样');
+      
+      logTest('发布压缩与推送解压', 'PASS');
+      
+      // CompressionStream 与 zlib 互通
+      const text = new TextEncoder().encode('héllo '.repeat(100));
+      const streamed = new Uint8Array(await new Response(new Blob([text]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer());
+      assertEqual(new TextDecoder().decode(await decompressBytes(streamed, 'deflate')), 'héllo '.repeat(100), 'CompressionStream 与 zlib 应该互通');
+      
+      // 损坏的压缩推送被丢弃
+      const before = receiver.getStats().push.invalid;
+      await gateway.injectPush('snapshots', 'not-gzip', { 'X-Content-Encoding': 'gzip', 'X-Req-Id': 'bad' });
+      await gateway.flushPushes();
+      assertEqual(received.length, 2, '无法解压的推送不应该分发');
+      assertEqual(receiver.getStats().push.invalid, before + 1, '应该记录无效推送');
+      
+      logTest('互通与损坏数据', 'PASS');
+      
+      // 解压后超出上限的推送 (压缩炸弹) 被丢弃
+      const bomb = await compressBytes(new Uint8Array(1024 * 1024), 'gzip');
+      try {
+        await decompressBytes(bomb, 'gzip', 1000);
+        throw new Error('应该超出上限');
+      } catch (error) {
+        assert(error.message.includes('exceeds 1000 bytes'), `应该报告超出上限: ${error.message}`);
+      }
+      const decodeErrors = [];
+      const guarded = gateway.createClient('ZIP3', {
+        compression: { maxDecompressedBytes: 1000 },
+        logger: { log: (record) => record.level === LogLevel.ERROR && decodeErrors.push(record.fields.error) }
+      });
+      const guardedReceived = [];
+      await guarded.subscribe('snapshots', Symbol('guard'), (cmd, data) => guardedReceived.push(data));
+      await gateway.injectPush('snapshots', Buffer.from(bomb).toString('base64'), { 'X-Content-Encoding': 'gzip', 'X-Req-Id': 'bomb' });
+      await gateway.injectPush('snapshots', 'ok', { 'X-Req-Id': 'ok' });
+      await gateway.flushPushes();
+      assertEqual(guardedReceived.join(','), 'ok', '超出上限的推送不应该分发');
+      assertEqual(guarded.getStats().push.invalid, 1, '应该记录无效推送');
+      assert(decodeErrors[0] instanceof GatewayDecodeError, '应该以 GatewayDecodeError 报告');
+      guarded.destroy();
+      
+      logTest('解压上限', 'PASS');
+      
+    } catch (error) {
+      logTest('负载压缩', 'FAIL', error.message);
+    } finally {
+      sender.destroy();
+      receiver.destroy();
+      gateway.close();
+    }
+  }
+
+  async testEncryption() {
+    log('\n🧪 测试30: 私有频道加密', 'blue');
+    
+    const gateway = new InProcessGateway();
+    const keys = new Map([['k1', new Uint8Array(32).fill(1)], ['k2', new Uint8Array(32).fill(2)]]);
+    let currentKey = 'k1';
+    const keyProvider = {
+      getEncryptionKey: (cmd) => (cmd === '@user:nokey' ? null : { keyId: currentKey, key: keys.get(currentKey) }),
+      getDecryptionKey: async (cmd, keyId) => keys.get(keyId) || null
+    };
+    const decryptErrors = [];
+    const alice = gateway.createClient('ALIC', silentOptions({ encryption: { keyProvider } }));
+    const bob = gateway.createClient('BOB1', silentOptions({
+      compression: { thresholdBytes: 64 },
+      encryption: { keyProvider, onDecryptError: (error, push) => decryptErrors.push({ error, push }) }
+    }));
+    try {
+      const received = [];
+      await alice.subscribe('@user:alice', Symbol('inbox'), (cmd, data, header) => received.push({ data, header }));
+      await alice.subscribe('news', Symbol('news'), (cmd, data) => received.push({ data }));
+      
+      const secret = JSON.stringify({ text: 'secret '.repeat(30) });
+      await bob.publish('@user:alice', secret);
+      currentKey = 'k2';
+      await bob.publish('@user:alice', 'after rotation');
+      await bob.publish('news', 'public');
+      await gateway.flushPushes();
+      
+      const [first, second, plain] = gateway.requests.filter((req) => req.api === 'API/Publish');
+      assertEqual(first.headers.get('X-Encryption'), 'aes-gcm', '私有频道应该加密');
+      assertEqual(first.headers.get('X-Key-Id'), 'k1', '应该携带密钥ID');
+      assertEqual(first.headers.get('X-Content-Encoding'), 'gzip', '应该先压缩再加密');
+      assert(!JSON.parse(first.data).data.includes('secret'), '网关不应该看到明文');
+      assertEqual(second.headers.get('X-Key-Id'), 'k2', '轮换后应该使用新密钥');
+      assert(!plain.headers.has('X-Encryption'), '公开频道不应该加密');
+      
+      assertEqual(received.length, 3, '应该收到三条推送');
+      assertEqual(received[0].data, secret, '接收方应该解密并解压');
+      assert(!received[0].header.has('X-Encryption') && !received[0].header.has('X-Key-Id'), '解密后应该移除加密头部');
+      assertEqual(received[1].data, 'after rotation', '应该按密钥ID解密');
+      assertEqual(received[2].data, 'public', '公开频道保持原样');
+      
+      logTest('加密发布与解密推送', 'PASS');
+      
+      // 没有密钥时不以明文发送
+      try {
+        await bob.publish('@user:nokey', 'hello');
+        logTest('缺少密钥', 'FAIL', '应该抛出 GatewayEncryptionError');
+      } catch (error) {
+        assert(error instanceof GatewayEncryptionError, '应该是 GatewayEncryptionError');
+        assertEqual(error.code, GatewayErrorCode.ENCRYPTION_FAILED, '错误代码应该是 ENCRYPTION_FAILED');
+        assert(!gateway.requests.some((req) => JSON.parse(req.data || '{}').cmd === '@user:nokey'), '不应该发送');
+      }
+      
+      // 未知密钥ID与被篡改的密文交给错误处理函数
+      await bob.subscribe('@session:s1', Symbol('session'), (cmd, data) => received.push({ data }));
+      await gateway.injectPush('@session:s1', 'AAAAAAAAAAAAAAAAAAAAAAAAAAAA', { 'X-Encryption': 'aes-gcm', 'X-Key-Id': 'k9', 'X-Req-Id': 'r1' });
+      currentKey = 'k1';
+      await alice.publish('@session:s1', 'moved');
+      const [moved] = gateway.requests.filter((req) => req.api === 'API/Publish').slice(-1);
+      await gateway.injectPush('@session:s1', JSON.parse(moved.data).data.replace(/^./, (c) => (c === 'A' ? 'B' : 'A')), { 'X-Encryption': 'aes-gcm', 'X-Key-Id': 'k1', 'X-Req-Id': 'r2' });
+      await gateway.flushPushes();
+      
+      assertEqual(decryptErrors.length, 2, '解密失败应该交给错误处理函数');
+      assertEqual(decryptErrors[0].error.code, GatewayErrorCode.DECRYPTION_FAILED, '错误代码应该是 DECRYPTION_FAILED');
+      assertEqual(decryptErrors[0].error.keyId, 'k9', '应该带上密钥ID');
+      assertEqual(decryptErrors[0].push.cmd, '@session:s1', '应该带上原始推送');
+      assertEqual(received.length, 4, '无法解密的推送不应该分发');
+      assertEqual(received[3].data, 'moved', '正常推送照常分发');
+      
+      logTest('缺少密钥与解密失败', 'PASS');
+      
+    } catch (error) {
+      logTest('私有频道加密', 'FAIL', error.message);
+    } finally {
+      alice.destroy();
+      bob.destroy();
+      gateway.close();
+    }
+  }
+
+  async testSigning() {
+    log('\n🧪 测试31: 消息签名与验证', 'blue');
+    
+    const gateway = new InProcessGateway();
+    const secret = new TextEncoder().encode('shared-secret');
+    const edKeys = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+    const edPublic = new Uint8Array(await crypto.subtle.exportKey('raw', edKeys.publicKey));
+    const verificationKeys = {
+      hmac1: { algorithm: 'hmac-sha256', key: secret },
+      ed1: { algorithm: 'ed25519', key: edPublic }
+    };
+    let signingKey = { keyId: 'hmac1', algorithm: 'hmac-sha256', key: secret };
+    const backend = gateway.createClient('BACK', silentOptions({
+      signing: {
+        keyProvider: { getSigningKey: (cmd) => (cmd === 'nokey' ? null : signingKey), getVerificationKey: () => null },
+        signedHeaders: ['X-Order-Id']
+      }
+    }));
+    const app = gateway.createClient('APP1', silentOptions({
+      signing: {
+        keyProvider: { getVerificationKey: (cmd, keyId) => verificationKeys[keyId] || null },
+        verify: (cmd) => (cmd.startsWith('@user:') ? 'drop' : 'flag')
+      }
+    }));
+    try {
+      const received = [];
+      const record = (cmd, data, header, info) => received.push({ cmd, data, header, verified: info.verified });
+      await app.subscribe('orders', Symbol('orders'), record);
+      await app.subscribe('@user:bob', Symbol('inbox'), record);
+      
+      await backend.publish('orders', 'order-1', new Map([['X-Order-Id', '1']]));
+      signingKey = { keyId: 'ed1', algorithm: 'ed25519', key: edKeys.privateKey };
+      await backend.publish('@user:bob', 'hello bob');
+      await gateway.flushPushes();
+      
+      const [signed] = gateway.requests.filter((req) => req.api === 'API/Publish');
+      assert(signed.headers.get('X-Signature'), '发布应该带签名');
+      assertEqual(signed.headers.get('X-Signature-Key-Id'), 'hmac1', '应该带签名密钥ID');
+      assertEqual(signed.headers.get('X-Signed-Headers'), 'x-order-id', '应该记录参与签名的头部');
+      
+      assertEqual(received.length, 2, '签名有效的推送应该分发');
+      assert(received[0].verified && received[1].verified, 'HMAC 与 Ed25519 签名都应该验证通过');
+      assert(!received[0].header.has('X-Signature'), '验证后应该移除签名头部');
+      assertEqual(received[0].header.get('X-Order-Id'), '1', '其他头部保持不变');
+      
+      logTest('HMAC 与 Ed25519 签名验证', 'PASS');
+      
+      // 篡改内容或签名头部、未签名的推送按频道策略处理
+      const signedHeaders = Object.fromEntries(signed.headers);
+      const privateHeaders = Object.fromEntries(gateway.requests.filter((req) => req.api === 'API/Publish')[1].headers);
+      await gateway.injectPush('orders', 'order-1', { ...signedHeaders, 'X-Order-Id': '2' });
+      await gateway.injectPush('@user:bob', 'hello bob', { ...privateHeaders, 'X-Content-Encoding': 'gzip' });
+      await gateway.injectPush('orders', 'unsigned', { 'X-Req-Id': 'u1' });
+      await gateway.injectPush('@user:bob', 'spoofed', { 'X-Req-Id': 'u2' });
+      await gateway.injectPush('@user:bob', 'order-1', { ...signedHeaders, 'X-Signature-Key-Id': 'unknown' });
+      await gateway.flushPushes();
+      
+      assertEqual(received.length, 4, 'drop 策略的频道不应该分发未验证的推送');
+      assert(received.slice(2).every((push) => push.cmd === 'orders' && !push.verified), 'flag 策略应该分发并标记为未验证');
+      assertEqual(received[3].data, 'unsigned', '未签名的推送应该标记为未验证');
+      assert(!received.some((push) => push.data === 'spoofed'), '伪造的私有消息应该被丢弃');
+      assertEqual(app.getStats().push.invalid, 3, '丢弃的推送应该计入无效推送');
+      
+      logTest('验证策略', 'PASS');
+      
+      // 没有签名密钥时发布失败
+      try {
+        await backend.publish('nokey', 'data');
+        logTest('缺少签名密钥', 'FAIL', '应该抛出 GatewaySigningError');
+      } catch (error) {
+        assert(error instanceof GatewaySigningError, '应该是 GatewaySigningError');
+        assertEqual(error.code, GatewayErrorCode.SIGNING_FAILED, '错误代码应该是 SIGNING_FAILED');
+      }
+      
+      logTest('缺少签名密钥', 'PASS');
+      
+      // X-Content-Type 决定二进制内容的解释方式，必须参与签名
+      const binaryHeaders = new Map([['X-Content-Type', 'image/png']]);
+      await signPayload('camera', 'iVBORw0KGgo=', binaryHeaders, { keyId: 'hmac1', algorithm: 'hmac-sha256', key: secret });
+      assert(binaryHeaders.get('X-Signed-Headers').split(',').includes('x-content-type'), 'X-Content-Type 应该参与签名');
+      const getKey = (cmd, keyId) => verificationKeys[keyId] || null;
+      assertEqual(await verifyPayload('camera', 'iVBORw0KGgo=', new Map(binaryHeaders), getKey), 'valid', '未篡改的二进制推送应该验证通过');
+      const retyped = new Map(binaryHeaders).set('X-Content-Type', 'text/plain');
+      assertEqual(await verifyPayload('camera', 'iVBORw0KGgo=', retyped, getKey), 'invalid', '篡改 X-Content-Type 应该验证失败');
+      const stripped = new Map(binaryHeaders);
+      stripped.delete('X-Content-Type');
+      assertEqual(await verifyPayload('camera', 'iVBORw0KGgo=', stripped, getKey), 'invalid', '移除 X-Content-Type 应该验证失败');
+      const textHeaders = new Map();
+      await signPayload('camera', 'plain', textHeaders, { keyId: 'hmac1', algorithm: 'hmac-sha256', key: secret });
+      textHeaders.set('X-Content-Type', 'application/octet-stream');
+      assertEqual(await verifyPayload('camera', 'plain', textHeaders, getKey), 'invalid', '添加未签名的 X-Content-Type 应该验证失败');
+      
+      logTest('内容类型头部受签名保护', 'PASS');
+      
+    } catch (error) {
+      logTest('消息签名与验证', 'FAIL', error.message);
+    } finally {
+      backend.destroy();
+      app.destroy();
+      gateway.close();
+    }
+  }
+
+  async testBinaryPayloads() {
+    log('\n🧪 测试32: 二进制负载', 'blue');
+    
+    const gateway = new InProcessGateway();
+    const sender = gateway.createClient('BIN1', silentOptions({ compression: { thresholdBytes: 512 } }));
+    const receiver = gateway.createClient('BIN2', silentOptions());
+    try {
+      const bytesReceived = [];
+      const textReceived = [];
+      await receiver.subscribe('files', Symbol('bytes'), (cmd, data, header) => bytesReceived.push({ data, header }), undefined, { binary: true });
+      await receiver.subscribe('files', Symbol('text'), (cmd, data, header) => textReceived.push({ data, header }));
+      
+      const all = Uint8Array.from({ length: 256 }, (_, i) => i);
+      const zeros = new Uint8Array(4096);
+      await sender.publish('files', all);
+      await sender.publish('files', all.buffer.slice(0, 4));
+      await sender.publish('files', new Blob([new Uint8Array([1, 2, 3])], { type: 'image/png' }));
+      await sender.publish('files', new Uint8Array(0));
+      await sender.publish('files', zeros);
+      await sender.publish('files', 'plain text');
+      await sleep(20);
+      
+      const published = gateway.requests.filter((req) => req.api === 'API/Publish');
+      assertEqual(published[0].headers.get('X-Content-Type'), 'application/octet-stream', '二进制内容应该标记内容类型');
+      assertEqual(JSON.parse(published[0].data).data, Buffer.from(all).toString('base64'), '二进制内容应该以 base64 发送');
+      assertEqual(published[2].headers.get('X-Content-Type'), 'image/png', 'Blob 应该使用自身的类型');
+      assertEqual(published[4].headers.get('X-Content-Encoding'), 'gzip', '二进制内容应该按字节压缩');
+      assert(JSON.parse(published[4].data).data.length < 200, `压缩后应该明显变小: ${JSON.parse(published[4].data).data.length}`);
+      assert(!published[5].headers.has('X-Content-Type'), '文本内容不应该标记内容类型');
+      
+      assertEqual(bytesReceived.length, 6, '应该收到所有推送 (包括空的二进制内容)');
+      assert(bytesReceived[0].data instanceof Uint8Array, '二进制观察者应该收到 Uint8Array');
+      assertEqual(Array.from(bytesReceived[0].data).join(), Array.from(all).join(), '字节内容应该一致');
+      assertEqual(Array.from(bytesReceived[1].data).join(), '0,1,2,3', 'ArrayBuffer 应该正确编码');
+      assertEqual(bytesReceived[3].data.length, 0, '空的二进制内容应该分发');
+      assertEqual(bytesReceived[4].data.length, 4096, '压缩的二进制内容应该解压为原始字节');
+      assertEqual(new TextDecoder().decode(bytesReceived[5].data), 'plain text', '文本推送按 UTF-8 编码为字节');
+      assertEqual(textReceived[2].data, 'AQID', '普通观察者收到 base64');
+      assertEqual(textReceived[2].header.get('X-Content-Type'), 'image/png', '普通观察者可以通过头部识别二进制内容');
+      
+      logTest('二进制发布与接收', 'PASS');
+      
+      // sendRaw 与 binaryObserver
+      const fake = createFakeClient('RAW1');
+      await fake.sendRaw('API/Upload', new Uint8Array([255, 254]), new Map([['X-Content-Type', 'application/cbor']]));
+      const [upload] = fake.callsTo('Upload');
+      assertEqual(upload.data, '//4=', 'sendRaw 应该以 base64 发送二进制数据');
+      assertEqual(upload.headers.get('X-Content-Type'), 'application/cbor', '应该保留调用方设置的内容类型');
+      
+      const frames = [];
+      fake.subscribePattern('camera:*', Symbol('frames'), binaryObserver((cmd, data) => frames.push(data)));
+      await fake.emitPush('camera:1', '//4=', { 'X-Content-Type': 'image/jpeg' });
+      assertEqual(Array.from(frames[0] || []).join(), '255,254', 'binaryObserver 应该解码二进制推送');
+      fake.destroy();
+      
+      logTest('sendRaw 与 binaryObserver', 'PASS');
+      
+    } catch (error) {
+      logTest('二进制负载', 'FAIL', error.message);
+    } finally {
+      sender.destroy();
+      receiver.destroy();
+      gateway.close();
+    }
+  }
+
+  async testChunking() {
+    log('\n🧪 测试33: 分块发送与重组', 'blue');
+    
+    const gateway = new InProcessGateway();
+    const sender = gateway.createClient('CHK1', silentOptions({ chunking: { maxChunkBytes: 100 }, compression: { thresholdBytes: 2000 } }));
+    const receiver = gateway.createClient('CHK2', silentOptions({ chunking: { reassemblyTimeoutMs: 50, maxPendingBytes: 20000 } }));
+    try {
+      const received = [];
+      await receiver.subscribe('docs', Symbol('docs'), (cmd, data, header) => received.push({ data, header }));
+      
+      const text = '分块传输 chunked ✓ '.repeat(20);
+      await sender.publish('docs', text);
+      await sleep(20);
+      
+      const chunks = gateway.requests.filter((req) => req.api === 'API/Publish');
+      assert(chunks.length > 1, `超过上限应该拆分发布: ${chunks.length}`);
+      assert(chunks.every((req) => Buffer.byteLength(JSON.parse(req.data).data) <= 100), '每个分块不应该超过上限');
+      assert(chunks.every((req) => req.headers.get('X-Chunk-Id') === chunks[0].headers.get('X-Chunk-Id')), '分块应该共享消息ID');
+      assertEqual(chunks.map((req) => req.headers.get('X-Chunk-Index')).join(), chunks.map((_, i) => i).join(), '分块应该按序编号');
+      assertEqual(new Set(chunks.map((req) => req.headers.get('X-Req-Id'))).size, chunks.length, '每个分块应该使用独立的请求ID');
+      
+      assertEqual(received.length, 1, '应该重组为一条消息');
+      assertEqual(received[0].data, text, '重组后的内容应该与原文一致');
+      assert(!received[0].header.has('X-Chunk-Id'), '重组后应该移除分块头部');
+      
+      // 先压缩再分块
+      const snapshot = JSON.stringify(Array.from({ length: 300 }, (_, i) => ({ id: i, value: Math.random() })));
+      await sender.publish('docs', snapshot);
+      await sleep(20);
+      const compressed = gateway.requests.filter((req) => req.api === 'API/Publish').slice(chunks.length);
+      assert(compressed.length > 1 && compressed.every((req) => req.headers.get('X-Content-Encoding') === 'gzip'), '压缩后的内容应该分块发送');
+      assertEqual(received[1] && received[1].data, snapshot, '应该重组后再解压');
+      
+      logTest('分块发布与重组', 'PASS');
+      
+      // 乱序到达
+      const parts = splitPayload('out-of-order message '.repeat(4), 20);
+      const chunkHeaders = (id, index, total) => ({ 'X-Chunk-Id': id, 'X-Chunk-Index': String(index), 'X-Chunk-Total': String(total) });
+      // 重复的分块被忽略
+      for (const index of [2, 0, 0, 4, 1, 3].filter((i) => i < parts.length)) {
+        await gateway.injectPush('docs', parts[index], chunkHeaders('m1', index, parts.length));
+      }
+      await sleep(10);
+      assertEqual(parts.length, 5, '应该拆分为 5 个分块');
+      assertEqual(received.length, 3, '乱序的分块收齐后应该分发一次');
+      assertEqual(received[2].data, 'out-of-order message '.repeat(4), '应该按序号重组');
+      
+      logTest('乱序分块', 'PASS');
+      
+      // 超时与缓存上限
+      const invalidBefore = receiver.getStats().push.invalid;
+      await gateway.injectPush('docs', 'a'.repeat(12000), chunkHeaders('old', 0, 2));
+      await gateway.injectPush('docs', 'b'.repeat(12000), chunkHeaders('new', 0, 2));
+      await sleep(10);
+      await gateway.injectPush('docs', 'c', chunkHeaders('old', 1, 2));
+      await gateway.injectPush('docs', 'x', chunkHeaders('bad', 3, 2));
+      await sleep(10);
+      assertEqual(received.length, 3, '超出缓存上限被丢弃的消息不应该分发');
+      assertEqual(receiver.getStats().push.invalid, invalidBefore + 2, '丢弃最早的消息并拒绝无效分块');
+      
+      await sleep(80);
+      assertEqual(receiver.getStats().push.invalid, invalidBefore + 4, '未收齐的消息超时后应该丢弃');
+      await gateway.injectPush('docs', 'b', chunkHeaders('new', 1, 2));
+      await sleep(10);
+      assertEqual(received.length, 3, '超时后的分块不应该拼出消息');
+      
+      // 缓存按 UTF-8 字节计算：8000 个汉字为 24000 字节，超出 20000 字节的上限
+      await sleep(80);
+      const wideBefore = receiver.getStats().push.invalid;
+      await gateway.injectPush('docs', '中'.repeat(8000), chunkHeaders('wide', 0, 2));
+      await sleep(10);
+      assertEqual(receiver.getStats().push.invalid, wideBefore + 1, '缓存上限应该按 UTF-8 字节计算');
+      
+      logTest('超时与缓存上限', 'PASS');
+      
+    } catch (error) {
+      logTest('分块发送与重组', 'FAIL', error.message);
+    } finally {
+      sender.destroy();
+      receiver.destroy();
+      gateway.close();
+    }
+  }
+
+  // 测试34: WebSocket 模拟网关
+  async testMockGateway() {
+    log('\n🧪 测试34: WebSocket 模拟网关', 'blue');
+    
+    const gateway = new MockGateway({ fetch: () => Promise.reject(new Error('upstream down')) });
+    const sockets = [];
+    try {
+      await gateway.listen();
+      assert(/^ws:\/\/127\.0\.0\.1:\d+$/.test(gateway.url) && gateway.port > 0, `应该监听本地端口, got ${gateway.url}`);
+      
+      const alice = await connectFrames(gateway.clientUrl('ALIC'));
+      const bob = await connectFrames(gateway.clientUrl('BOB0'));
+      sockets.push(alice.socket, bob.socket);
+      assertEqual(alice.handshake.length, 16, '握手应该为 16 字节');
+      assertEqual(alice.handshake.readUInt16BE(0), 30, '握手应该带心跳间隔');
+      assertEqual(alice.handshake[3], 100, '握手应该带最大并发数');
+      assertEqual(alice.handshake.readUInt32BE(4), 4 * 1024 * 1024, '握手应该带最大帧长度');
+      assert(!alice.handshake.subarray(8).equals(bob.handshake.subarray(8)), '每个连接的 connect id 应该不同');
+      
+      logTest('握手', 'PASS');
+      
+      const headers = (api, reqId) => new Map([['api', api], ['X-Req-Id', reqId]]);
+      // clientId 由连接决定，与调用方自定义的 X-Req-Id 无关
+      const ok = await bob.request(10, headers('API/Subscribe', 'bob-sub-1'), { cmd: ['news', '@client:BOB0'] });
+      assertEqual(ok.status, 0, '订阅应该成功');
+      assertEqual(JSON.parse(ok.body).errMsg, null, '订阅响应应该为 JSON');
+      await alice.request(10, headers('API/Subscribe', '00000002-BOB0-0000-0001-1'), { cmd: ['news'] });
+      assertEqual(gateway.getSubscriptions('BOB0').sort().join(','), '@client:BOB0,news', '应该按连接识别客户端');
+      assertEqual(gateway.getSubscriptions('ALIC').join(','), 'news', 'X-Req-Id 不应该影响连接的 clientId');
+      
+      const publishHeaders = headers('API/Publish', '00000003-ALIC-0000-0002-1');
+      publishHeaders.set('X-From', 'alice');
+      await alice.request(11, publishHeaders, { cmd: '@client:BOB0', data: 'psst' });
+      await alice.request(12, headers('API/Publish', '00000004-ALIC-0000-0003-1'), { cmd: 'news', data: 'hello' });
+      await sleep(10);
+      
+      assertEqual(bob.pushes.map((p) => `${p.body.cmd}:${p.body.data}`).join(','), '@client:BOB0:psst,news:hello', '应该按 @client 路由并广播');
+      assertEqual(bob.pushes[0].body.header['X-From'], 'alice', '推送应该带发布头部');
+      assert(!('api' in bob.pushes[0].body.header), '推送不应该带 api 头部');
+      assertEqual(bob.pushes.map((p) => p.pushId).join(','), '1,2', 'pushId 应该递增');
+      assertEqual(alice.pushes.map((p) => p.body.data).join(','), 'hello', '私有频道不应该投递给其他客户端');
+      
+      // 推送确认与心跳不产生响应
+      bob.send(1, [], Buffer.from([0, 0, 0, 1]));
+      bob.socket.send(Buffer.alloc(0));
+      const ping = await bob.request(13, headers('API/Ping', '00000005-BOB0-0000-0002-1'), {});
+      assertEqual(JSON.parse(ping.body).errMsg, null, 'Ping 应该成功');
+      
+      logTest('帧协议请求与推送', 'PASS');
+      
+      gateway.rejectNext('API/Publish', 'quota exceeded');
+      const rejected = await alice.request(14, headers('API/Publish', '00000006-ALIC-0000-0004-1'), { cmd: 'news', data: 'x' });
+      assertEqual(JSON.parse(rejected.body).errMsg, 'quota exceeded', '应该返回设置的 errMsg');
+      
+      const proxyHeaders = headers('API/Proxy', '00000007-ALIC-0000-0005-1');
+      proxyHeaders.set('x-proxy-url', 'http://127.0.0.1:1/none');
+      const failed = await alice.request(15, proxyHeaders, {});
+      assertEqual(failed.status, 1, '代理失败应该以失败状态响应');
+      assertEqual(failed.body, 'upstream down', '失败响应应该带原因');
+      
+      assertEqual(await gateway.injectPush('news', 'server'), 2, '应该推送给两个订阅者');
+      
+      logTest('测试控制', 'PASS');
+      
+      gateway.disconnect('BOB0');
+      await sleep(20);
+      assertEqual(bob.closed, 1006, '断线应该表现为异常关闭');
+      assertEqual(gateway.getSubscriptions('BOB0').length, 0, '断线后服务器端订阅应该丢失');
+      
+      gateway.setOnline(false);
+      try {
+        await connectFrames(gateway.url);
+        throw new Error('离线时应该拒绝连接');
+      } catch (error) {
+        assertEqual(error.message, 'HTTP 503', '离线时应该拒绝连接');
+      }
+      gateway.setOnline(true);
+      const again = await connectFrames(gateway.url);
+      sockets.push(again.socket);
+      assertEqual(again.handshake.length, 16, '恢复在线后应该可以连接');
+      
+      logTest('断线与离线', 'PASS');
+      
+    } catch (error) {
+      logTest('WebSocket 模拟网关', 'FAIL', error.message);
+    } finally {
+      sockets.forEach((socket) => socket.terminate());
+      await gateway.close();
+    }
+  }
+
   // 运行所有测试
   async runAllTests() {
     log('🧪 Gateway TypeScript SDK - 单元测试', 'bright');
@@ -356,6 +2673,32 @@ class UnitTestSuite {
     this.testErrorHandling();
     this.testTypeSafety();
     this.testBoundaryConditions();
+    this.testInjectableLogger();
+    await this.testConnectionState();
+    await this.testReconnectPolicy();
+    await this.testRequestDeadline();
+    await this.testGatewayErrors();
+    await this.testPatternSubscriptions();
+    await this.testOfflineOutbox();
+    await this.testChannelStream();
+    await this.testRequestReply();
+    await this.testPresence();
+    await this.testHttpClient();
+    await this.testHookReceiver();
+    await this.testInProcessGateway();
+    await this.testFakeClient();
+    await this.testClientMetrics();
+    await this.testTracing();
+    await this.testInterceptors();
+    await this.testTokenProvider();
+    await this.testBulkSubscriptions();
+    await this.testFlowControl();
+    await this.testCompression();
+    await this.testEncryption();
+    await this.testSigning();
+    await this.testBinaryPayloads();
+    await this.testChunking();
+    await this.testMockGateway();
     
     // 输出测试结果
     this.printResults();